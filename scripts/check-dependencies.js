@@ -4,26 +4,15 @@ import { execSync } from 'child_process';
 import { readFileSync } from 'fs';
 import { join } from 'path';
 
+import { DependencyDecisions } from '../tools/decisions/dist/dependencies.js';
+import { checkLockfile, readLockfile } from '../tools/tooling/src/lockfile.js';
+
 const rootDir = join(import.meta.dirname, '..');
 
 /**
- * Enhanced dependency checker using npm-check-updates with decision tracking
- * Part of the "Enforced Explicit Decision" pattern for LLM-assisted development
+ * Updates npm-check-updates finds, flattened across workspaces
  */
-async function checkDependencies() {
-  console.log('🔍 Checking dependency versions with npm-check-updates...\n');
-
-  // Read current tracking file
-  const trackingPath = join(rootDir, 'dependency-versions.json');
-  let tracking;
-  try {
-    tracking = JSON.parse(readFileSync(trackingPath, 'utf8'));
-  } catch (error) {
-    console.error('❌ Cannot read dependency-versions.json:', error.message);
-    console.log('💡 Run `pnpm deps:init` to create initial tracking file');
-    process.exit(1);
-  }
-
+function getOutdatedDependencies() {
   // Get outdated dependencies using simple ncu command
   let outdatedOutput;
   try {
@@ -37,8 +26,7 @@ async function checkDependencies() {
     if (error.stdout) {
       outdatedOutput = error.stdout;
     } else {
-      console.log('✅ All dependencies are up to date!');
-      return;
+      return {};
     }
   }
 
@@ -48,8 +36,7 @@ async function checkDependencies() {
     try {
       ncuResult = JSON.parse(outdatedOutput);
     } catch (parseError) {
-      console.log('✅ All dependencies are up to date!');
-      return;
+      return {};
     }
   }
 
@@ -59,23 +46,57 @@ async function checkDependencies() {
     Object.assign(outdatedDeps, packageUpdates);
   });
 
+  return outdatedDeps;
+}
+
+/**
+ * Enhanced dependency checker using npm-check-updates with decision tracking
+ * Part of the "Enforced Explicit Decision" pattern for LLM-assisted development
+ */
+async function checkDependencies() {
+  console.log('🔍 Checking dependency versions with npm-check-updates...\n');
+
+  // Same decisions `decisions deps check` reads: decisions.toml, or dependency-versions.json
+  const decisions = new DependencyDecisions(rootDir);
+  let source;
+  try {
+    source = await decisions.source();
+  } catch (error) {
+    console.error('❌ Cannot read dependency decisions:', error.message);
+    process.exit(1);
+  }
+  if (source === undefined) {
+    console.error('❌ No dependency decisions found in decisions.toml or dependency-versions.json');
+    console.log('💡 Run `pnpm deps:init` to create initial tracking file');
+    process.exit(1);
+  }
+
+  const manifest = JSON.parse(readFileSync(join(rootDir, 'package.json'), 'utf8'));
+  let lockfile;
+  try {
+    lockfile = readLockfile(rootDir);
+  } catch (error) {
+    console.error('❌ Cannot read the lockfile:', error.message);
+    process.exit(1);
+  }
+
+  const outdatedDeps = getOutdatedDependencies();
   if (Object.keys(outdatedDeps).length === 0) {
     console.log('✅ All dependencies are up to date!');
-    return;
   }
 
   // Check each outdated dependency against tracking file
   const violations = [];
 
   for (const [depName, newVersion] of Object.entries(outdatedDeps)) {
-    const tracked = tracking.dependencies[depName];
+    const tracked = await decisions.get(depName);
     
     if (!tracked) {
       violations.push({
         type: 'UNTRACKED',
         dependency: depName,
         newVersion: newVersion,
-        message: `Dependency ${depName} has updates available but is not tracked in dependency-versions.json`
+        message: `Dependency ${depName} has updates available but is not tracked in ${source}`
       });
       continue;
     }
@@ -92,20 +113,28 @@ async function checkDependencies() {
     }
 
     // Check if decision is stale
-    const reviewDate = new Date(tracked.reviewDate);
-    const daysSinceReview = Math.floor((new Date() - reviewDate) / (1000 * 60 * 60 * 24));
-    
-    if (daysSinceReview > tracking.rules.allowedOutdatedDays) {
+    if (tracked.expired) {
       violations.push({
         type: 'STALE_DECISION',
         dependency: depName,
-        daysSinceReview,
-        allowedDays: tracking.rules.allowedOutdatedDays,
-        message: `Dependency ${depName} decision is ${daysSinceReview} days old (max: ${tracking.rules.allowedOutdatedDays})`
+        reviewBy: tracked.reviewBy,
+        message: `Dependency ${depName} decision was due for review on ${tracked.reviewBy}`
       });
     }
   }
 
+  // What is installed: recorded resolved versions, duplicates and transitive packages
+  if (lockfile !== undefined) {
+    const lockfileCheck = checkLockfile({ lockfile, manifest, decisions: await decisions.list() });
+    violations.push(...lockfileCheck.violations);
+
+    if (lockfileCheck.duplicates.length > 0) {
+      console.log(`📦 Installed in more than one version (${lockfile.path}):\n`);
+      lockfileCheck.duplicates.forEach(({ name, versions }) => console.log(`   ${name}: ${versions.join(', ')}`));
+      console.log('');
+    }
+  }
+
   if (violations.length === 0) {
     console.log('✅ All outdated dependencies are properly tracked and up to date!');
     return;
@@ -122,6 +151,10 @@ async function checkDependencies() {
       console.log(`   💡 Run 'pnpm deps:interactive' to review the new version\n`);
     } else if (violation.type === 'STALE_DECISION') {
       console.log(`   💡 Run 'pnpm deps:interactive' to refresh your decision\n`);
+    } else if (violation.type === 'RESOLVED_VERSION_CHANGED' || violation.type === 'RESOLVED_OUTSIDE_DECISION') {
+      console.log(`   💡 Reinstall, or run 'pnpm deps:interactive' to record what is installed now\n`);
+    } else if (violation.type === 'TRANSITIVE_UNDECIDED') {
+      console.log(`   💡 Run 'decisions deps add ${violation.dependency} <range> "<reason>"' to decide on it\n`);
     }
   });
 
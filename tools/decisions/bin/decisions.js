@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-import { program } from '../src/cli.ts';
+import { program } from '../dist/cli.js';
 
 process.on('unhandledRejection', (error) => {
   console.error('Unexpected error:', error.message);
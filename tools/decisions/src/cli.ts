@@ -1,10 +1,27 @@
-import { program } from 'commander';
+import { writeFile } from 'fs/promises';
+
+import { Option, program } from 'commander';
 
 import { ClaudeUpdater } from './claude-updater.ts';
+import { DependencyDecisions } from './dependencies.ts';
+import type { MigrationTarget } from './dependencies.ts';
+import { DependencyDiff, isDecided } from './diff.ts';
+import type { DependencyChange } from './diff.ts';
+import { DriftDetector } from './drift.ts';
+import type { Drift, DriftFix } from './drift.ts';
+import { durationInDays, parseDuration } from './duration.ts';
+import { OUTPUT_FORMATS, formatChanges, formatDecisions } from './format.ts';
+import type { FormattableDecision, OutputFormat } from './format.ts';
 import { logger } from './logger.ts';
-import { DecisionsManager } from './manager.ts';
+import { DecisionsManager, FileSystemStorage, GitRevisionStorage } from './manager.ts';
+import type { AddOptions, LifecycleOptions } from './manager.ts';
+import { REPORT_FORMATS, createReport } from './report.ts';
+import type { ReportFormat } from './report.ts';
+import { formatIssue } from './schema.ts';
+import { WorkspaceDecisions, findWorkspaceRoot } from './workspace.ts';
 
 const manager = new DecisionsManager();
+const dependencyDecisions = new DependencyDecisions();
 const claudeUpdater = new ClaudeUpdater();
 
 function handleError(error: Error): void {
@@ -12,6 +29,39 @@ function handleError(error: Error): void {
   process.exit(1);
 }
 
+interface FormatOptions {
+  format?: OutputFormat;
+}
+
+function formatOption(): Option {
+  return new Option('--format <format>', 'Machine-readable output format').choices(OUTPUT_FORMATS);
+}
+
+/**
+ * Print decisions in the requested format. Bypasses --quiet, since the
+ * output is the point of the command.
+ */
+function printDecisions(decisions: FormattableDecision[], format: OutputFormat): void {
+  const output = formatDecisions(decisions, format);
+  if (output !== '') console.log(output);
+}
+
+async function workspace(): Promise<WorkspaceDecisions> {
+  const root = await findWorkspaceRoot();
+  if (root === undefined) {
+    throw new Error('No pnpm-workspace.yaml found in this directory or any parent');
+  }
+  return new WorkspaceDecisions(root);
+}
+
+/**
+ * `category.key`, followed by the file it came from for workspace decisions
+ */
+function describeDecision(decision: FormattableDecision): string {
+  const name = `${decision.category}.${decision.key}`;
+  return decision.source === undefined ? name : `${name} [${decision.source}]`;
+}
+
 program
   .name('decisions')
   .description('Track technical decisions in TOML format')
@@ -37,32 +87,116 @@ program
   .argument('<key>', 'Key (e.g., typescript)')
   .argument('<value>', 'Value (e.g., ^5.7.0)')
   .argument('<reason>', 'Reason for decision')
-  .action(async (category: string, key: string, value: string, reason: string) => {
+  .option('--review-after <duration>', 'Review after this long (e.g., 30d, 6w, 3m, 1y); defaults to [defaults].reviewAfter')
+  .action(async (category: string, key: string, value: string, reason: string, options: AddOptions) => {
     try {
-      await manager.add(category, key, value, reason);
+      await manager.add(category, key, value, reason, options);
       logger.success(`Added ${category}.${key}`);
     } catch (error) {
       handleError(error as Error);
     }
   });
 
+interface LifecycleCommandOptions extends LifecycleOptions {
+  reason: string;
+}
+
+program
+  .command('renew')
+  .description('Mark a decision as reviewed and push back its review date')
+  .argument('<category>', 'Category (e.g., dependencies)')
+  .argument('<key>', 'Key (e.g., typescript)')
+  .requiredOption('--reason <reason>', 'Why the decision still holds')
+  .option('--review-after <duration>', 'Review after this long (e.g., 30d, 6w, 3m, 1y)')
+  .option('--by <name>', 'Who reviewed it (defaults to $USER)')
+  .action(async (category: string, key: string, options: LifecycleCommandOptions) => {
+    try {
+      await manager.renew(category, key, options.reason, options);
+      logger.success(`Renewed ${category}.${key}`);
+    } catch (error) {
+      handleError(error as Error);
+    }
+  });
+
+program
+  .command('supersede')
+  .description('Replace a decision with a new value, keeping the old one in its history')
+  .argument('<category>', 'Category (e.g., dependencies)')
+  .argument('<key>', 'Key (e.g., typescript)')
+  .argument('<value>', 'New value (e.g., ^5.9.0)')
+  .requiredOption('--reason <reason>', 'Why the decision changed')
+  .option('--review-after <duration>', 'Review after this long (e.g., 30d, 6w, 3m, 1y)')
+  .option('--by <name>', 'Who made the change (defaults to $USER)')
+  .action(async (category: string, key: string, value: string, options: LifecycleCommandOptions) => {
+    try {
+      await manager.supersede(category, key, value, options.reason, options);
+      logger.success(`Superseded ${category}.${key} with ${value}`);
+    } catch (error) {
+      handleError(error as Error);
+    }
+  });
+
+program
+  .command('revoke')
+  .description('Retire a decision; it is kept for its history but never expires')
+  .argument('<category>', 'Category (e.g., dependencies)')
+  .argument('<key>', 'Key (e.g., typescript)')
+  .requiredOption('--reason <reason>', 'Why the decision no longer applies')
+  .option('--by <name>', 'Who revoked it (defaults to $USER)')
+  .action(async (category: string, key: string, options: LifecycleCommandOptions) => {
+    try {
+      await manager.revoke(category, key, options.reason, options);
+      logger.success(`Revoked ${category}.${key}`);
+    } catch (error) {
+      handleError(error as Error);
+    }
+  });
+
+program
+  .command('reinstate')
+  .description('Make a revoked decision active again with a new value')
+  .argument('<category>', 'Category (e.g., dependencies)')
+  .argument('<key>', 'Key (e.g., typescript)')
+  .argument('<value>', 'Value to reinstate it with (e.g., ^5.9.0)')
+  .requiredOption('--reason <reason>', 'Why the decision applies again')
+  .option('--review-after <duration>', 'Review after this long (e.g., 30d, 6w, 3m, 1y)')
+  .option('--by <name>', 'Who reinstated it (defaults to $USER)')
+  .action(async (category: string, key: string, value: string, options: LifecycleCommandOptions) => {
+    try {
+      await manager.reinstate(category, key, value, options.reason, options);
+      logger.success(`Reinstated ${category}.${key} with ${value}`);
+    } catch (error) {
+      handleError(error as Error);
+    }
+  });
+
 program
   .command('list')
   .description('List all decisions')
-  .action(async () => {
+  .addOption(formatOption())
+  .option('--package <name>', 'List the decisions in effect for a workspace package (root decisions plus its own)')
+  .action(async (options: FormatOptions & { package?: string }) => {
     try {
-      const decisions = await manager.list();
-      
+      const decisions: FormattableDecision[] = options.package === undefined
+        ? await manager.list()
+        : await (await workspace()).listPackage(options.package);
+
+      if (options.format !== undefined) {
+        printDecisions(decisions, options.format);
+        return;
+      }
+
       if (decisions.length === 0) {
         logger.info('No decisions found.');
         return;
       }
 
       for (const decision of decisions) {
-        const status = decision.expired ? '⚠️ EXPIRED' : '✅';
-        logger.info(`${status} ${decision.category}.${decision.key}`);
+        const status = decision.status === 'revoked' ? '🚫 REVOKED' : decision.expired ? '⚠️ EXPIRED' : '✅';
+        logger.info(`${status} ${describeDecision(decision)}`);
         logger.info(`   ${decision.value} - ${decision.reason}`);
         logger.info(`   Review: ${decision.reviewBy}`);
+        if (decision.overrides !== undefined) logger.info(`   Overrides: ${decision.overrides}`);
         logger.info('');
       }
     } catch (error) {
@@ -70,13 +204,64 @@ program
     }
   });
 
+interface CheckOptions extends FormatOptions {
+  report?: ReportFormat;
+  output?: string;
+  warnWithin?: string;
+  allPackages?: boolean;
+}
+
+/**
+ * Warn (without failing) about decisions due for review soon
+ */
+function warnDueSoon(dueSoon: FormattableDecision[], window: string): void {
+  if (dueSoon.length === 0) return;
+
+  logger.warning(`${dueSoon.length} decision(s) due for review within ${window}:`);
+  for (const decision of dueSoon) {
+    logger.warning(`   ${describeDecision(decision)} (${decision.reviewBy})`);
+  }
+}
+
 program
   .command('check')
   .description('Check for expired decisions (for CI)')
-  .action(async () => {
+  .addOption(formatOption())
+  .addOption(new Option('--report <format>', 'Write a CI report pointing at decisions.toml lines').choices(REPORT_FORMATS))
+  .option('--output <file>', 'File to write the --report to (defaults to stdout)')
+  .option('--warn-within <duration>', 'Also warn about decisions due for review within this long (e.g., 14d, 2w)')
+  .option('--all-packages', 'Check the root decisions.toml and every workspace package\'s decisions.toml')
+  .action(async (options: CheckOptions) => {
     try {
-      const expired = await manager.getExpired();
-      
+      const scope = options.allPackages === true ? await workspace() : manager;
+      const expired: FormattableDecision[] = await scope.getExpired();
+      const dueSoon: FormattableDecision[] = options.warnWithin === undefined
+        ? []
+        : await scope.getDueSoon(durationInDays(parseDuration(options.warnWithin)));
+
+      if (options.report !== undefined) {
+        const sources = scope instanceof WorkspaceDecisions
+          ? await scope.sources()
+          : [{ file: manager.configPath, content: await manager.source() }];
+        const report = createReport(options.report, await scope.list(), sources, { dueSoon });
+        if (options.output === undefined) {
+          console.log(report);
+          if (expired.length > 0) process.exit(1);
+          return;
+        }
+        await writeFile(options.output, `${report}\n`, 'utf8');
+        logger.info(`Wrote ${options.report} report to ${options.output}`);
+      }
+
+      if (options.format !== undefined) {
+        printDecisions(expired, options.format);
+        warnDueSoon(dueSoon, options.warnWithin ?? '');
+        if (expired.length > 0) process.exit(1);
+        return;
+      }
+
+      warnDueSoon(dueSoon, options.warnWithin ?? '');
+
       if (expired.length === 0) {
         logger.success('All decisions up to date');
         return;
@@ -84,7 +269,29 @@ program
 
       logger.error(`❌ ${expired.length} expired decision(s):`);
       for (const decision of expired) {
-        logger.warning(`⚠️ ${decision.category}.${decision.key} (${decision.reviewBy})`);
+        logger.warning(`⚠️ ${describeDecision(decision)} (${decision.reviewBy})`);
+      }
+      process.exit(1);
+    } catch (error) {
+      handleError(error as Error);
+    }
+  });
+
+program
+  .command('validate')
+  .description('Validate decisions.toml against the decision schema')
+  .action(async () => {
+    try {
+      const issues = await manager.validate();
+
+      if (issues.length === 0) {
+        logger.success(`${manager.configPath} is valid`);
+        return;
+      }
+
+      logger.error(`❌ ${issues.length} invalid entr${issues.length === 1 ? 'y' : 'ies'}:`);
+      for (const issue of issues) {
+        logger.error(`   ${formatIssue(manager.configPath, issue)}`);
       }
       process.exit(1);
     } catch (error) {
@@ -95,10 +302,16 @@ program
 program
   .command('review')
   .description('Show expired decisions')
-  .action(async () => {
+  .addOption(formatOption())
+  .action(async (options: FormatOptions) => {
     try {
       const expired = await manager.getExpired();
-      
+
+      if (options.format !== undefined) {
+        printDecisions(expired, options.format);
+        return;
+      }
+
       if (expired.length === 0) {
         logger.success('No expired decisions');
         return;
@@ -111,6 +324,69 @@ program
         logger.info(`   Expired: ${decision.reviewBy}`);
         logger.info('');
       }
+      logger.info(`Resolve each with: decisions renew | supersede | revoke <category> <key> --reason "..."`);
+    } catch (error) {
+      handleError(error as Error);
+    }
+  });
+
+const CHANGE_ICONS = { added: '➕', removed: '➖', bumped: '⬆️' } as const;
+
+function describeChange(change: DependencyChange): string {
+  const range = change.kind === 'bumped'
+    ? `${change.from ?? ''} → ${change.to ?? ''}`
+    : change.to ?? change.from ?? '';
+  const decision = change.decision === 'missing'
+    ? 'no decision'
+    : change.decision === 'unchanged' ? 'decision not updated'
+      : change.decision === 'stale' ? `decision still records ${change.recorded ?? ''}` : `${change.decision} decision`;
+  const name = change.package === undefined ? change.name : `${change.name} in ${change.package}`;
+  return `${CHANGE_ICONS[change.kind]} ${name} ${range} (${decision})`;
+}
+
+program
+  .command('diff')
+  .description('Show dependency changes since a git revision and whether each has a decision (for PRs)')
+  .requiredOption('--base <ref>', 'Revision to compare against (e.g., origin/main)')
+  .option('--head <ref>', 'Revision with the changes (defaults to the working tree)')
+  .addOption(formatOption())
+  .action(async (options: FormatOptions & { base: string; head?: string }) => {
+    try {
+      const root = await findWorkspaceRoot() ?? process.cwd();
+      const base = await GitRevisionStorage.at(options.base, root);
+      const head = options.head === undefined ? new FileSystemStorage() : await GitRevisionStorage.at(options.head, root);
+      const changes = await new DependencyDiff(root).compare(base, head);
+      const undecided = changes.filter(change => change.kind === 'bumped' && !isDecided(change));
+
+      if (options.format !== undefined) {
+        const output = formatChanges(changes, options.format);
+        if (output !== '') console.log(output);
+        if (undecided.length > 0) process.exit(1);
+        return;
+      }
+
+      const target = options.head ?? 'the working tree';
+      if (changes.length === 0) {
+        logger.success(`No dependency changes between ${options.base} and ${target}`);
+        return;
+      }
+
+      logger.info(`Dependency changes between ${options.base} and ${target}:`);
+      for (const change of changes) {
+        const line = `   ${describeChange(change)}`;
+        if (change.kind === 'bumped' && !isDecided(change)) logger.warning(line);
+        else logger.info(line);
+      }
+      logger.info('');
+
+      if (undecided.length === 0) {
+        logger.success('Every bumped dependency has a new or updated decision');
+        return;
+      }
+
+      logger.error(`❌ ${undecided.length} bumped dependenc${undecided.length === 1 ? 'y has' : 'ies have'} no new or updated decision`);
+      logger.info('Record them with: decisions supersede dependencies <name> <range> --reason "..."');
+      process.exit(1);
     } catch (error) {
       handleError(error as Error);
     }
@@ -124,9 +400,10 @@ const deps = program
 deps
   .command('add <name> <version> <reason>')
   .description('Add a dependency decision')
-  .action(async (name: string, version: string, reason: string) => {
+  .option('--review-after <duration>', 'Review after this long (e.g., 30d, 6w, 3m, 1y); defaults to [defaults.dependencies].reviewAfter')
+  .action(async (name: string, version: string, reason: string, options: AddOptions) => {
     try {
-      await manager.add('dependencies', name, version, reason);
+      await manager.add('dependencies', name, version, reason, options);
       logger.success(`Added dependency decision for ${name}`);
     } catch (error) {
       handleError(error as Error);
@@ -136,17 +413,23 @@ deps
 deps
   .command('list')
   .description('List all dependency decisions')
-  .action(async () => {
+  .addOption(formatOption())
+  .action(async (options: FormatOptions) => {
     try {
-      const dependencies = await manager.listByCategory('dependencies');
-      
+      const dependencies = await dependencyDecisions.list();
+
+      if (options.format !== undefined) {
+        printDecisions(dependencies, options.format);
+        return;
+      }
+
       if (dependencies.length === 0) {
         logger.info('No dependency decisions found.');
         return;
       }
 
       for (const dep of dependencies) {
-        const status = dep.expired ? '⚠️ EXPIRED' : '✅';
+        const status = dep.status === 'revoked' ? '🚫 REVOKED' : dep.expired ? '⚠️ EXPIRED' : '✅';
         logger.info(`${status} ${dep.key}: ${dep.value}`);
         logger.info(`   ${dep.reason}`);
         logger.info(`   Review by: ${dep.reviewBy}`);
@@ -160,11 +443,17 @@ deps
 deps
   .command('check')
   .description('Check for expired dependency decisions')
-  .action(async () => {
+  .addOption(formatOption())
+  .action(async (options: FormatOptions) => {
     try {
-      const dependencies = await manager.listByCategory('dependencies');
-      const expired = dependencies.filter(d => d.expired);
-      
+      const expired = await dependencyDecisions.getExpired();
+
+      if (options.format !== undefined) {
+        printDecisions(expired, options.format);
+        if (expired.length > 0) process.exit(1);
+        return;
+      }
+
       if (expired.length === 0) {
         logger.success('All dependency decisions are up to date');
         return;
@@ -180,6 +469,86 @@ deps
     }
   });
 
+function describeDrift(drift: Drift): string {
+  const declared = drift.declared.join(' / ');
+  switch (drift.kind) {
+    case 'mismatch':
+      return `${drift.name} in ${drift.package}: package.json declares ${declared}, ${drift.source} records ${drift.recorded}`;
+    case 'undocumented':
+      return `${drift.name} in ${drift.package}: ${declared} is not recorded in any decisions file`;
+    case 'orphaned':
+      return `${drift.name}: ${drift.source} records ${drift.recorded}, but no package.json declares it`;
+  }
+}
+
+function describeFix(fix: DriftFix): string {
+  switch (fix.action) {
+    case 'supersede':
+      return `Superseded dependencies.${fix.name} with ${fix.value} in ${fix.file}`;
+    case 'add':
+      return `Recorded dependencies.${fix.name} = ${fix.value} in ${fix.file}`;
+    case 'revoke':
+      return `Revoked dependencies.${fix.name} in ${fix.file}`;
+  }
+}
+
+deps
+  .command('drift')
+  .description('Compare dependency decisions with the versions package.json files declare')
+  .option('--fix', 'Record the declared versions as decisions (requires --reason)')
+  .option('--reason <reason>', 'Why the declared versions are accepted')
+  .action(async (options: { fix?: boolean; reason?: string }) => {
+    try {
+      const detector = new DriftDetector(await findWorkspaceRoot() ?? process.cwd());
+
+      if (options.fix === true) {
+        if (options.reason === undefined) {
+          throw new Error('--fix requires --reason to record why the declared versions are accepted');
+        }
+        const fixes = await detector.fix(options.reason);
+        if (fixes.length === 0) {
+          logger.success('No dependency drift to fix');
+          return;
+        }
+        for (const fix of fixes) logger.success(describeFix(fix));
+        return;
+      }
+
+      const drift = await detector.detect();
+      if (drift.length === 0) {
+        logger.success('Dependency decisions match package.json');
+        return;
+      }
+
+      logger.error(`❌ ${drift.length} dependency decision(s) drifted from package.json:`);
+      for (const item of drift) {
+        logger.warning(`⚠️ ${describeDrift(item)}`);
+      }
+      logger.info('');
+      logger.info('Record the declared versions with: decisions deps drift --fix --reason "..."');
+      process.exit(1);
+    } catch (error) {
+      handleError(error as Error);
+    }
+  });
+
+const migrate = program
+  .command('migrate')
+  .description('Convert decisions between file formats');
+
+migrate
+  .command('deps')
+  .description('Copy dependency decisions between dependency-versions.json and decisions.toml')
+  .addOption(new Option('--to <format>', 'File to write').choices(['toml', 'json']).default('toml'))
+  .action(async (options: { to: MigrationTarget }) => {
+    try {
+      const result = await dependencyDecisions.migrate(options.to);
+      logger.success(`Migrated ${result.migrated.length} dependency decision(s) from ${result.from} to ${result.to}`);
+    } catch (error) {
+      handleError(error as Error);
+    }
+  });
+
 // Claude commands - create subcommand
 const claudeCommand = program
   .command('claude')
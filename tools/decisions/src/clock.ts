@@ -0,0 +1,14 @@
+/**
+ * Source of "now" for DecisionsManager, so expiry and review dates can be
+ * computed deterministically (e.g. `{ now: () => new Date('2025-01-01') }`)
+ */
+interface Clock {
+  now(): Date;
+}
+
+const systemClock: Clock = {
+  now: () => new Date()
+};
+
+export { systemClock };
+export type { Clock };
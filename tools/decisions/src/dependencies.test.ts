@@ -0,0 +1,224 @@
+import { describe, it, expect } from 'vitest';
+
+import { DependencyDecisions, fromDependencyInfo, toDependencyInfo } from './dependencies.ts';
+import type { DependencyInfo } from './dependencies.ts';
+import { MemoryStorage } from './storage.ts';
+
+const clock = { now: () => new Date('2025-06-01T12:00:00Z') };
+
+function dependencyInfo(overrides: Partial<DependencyInfo> = {}): DependencyInfo {
+  return {
+    decision: 'keep',
+    currentVersion: '^3.1.4',
+    reason: 'Waiting for the next minor',
+    reviewDate: '2025-05-27',
+    ...overrides
+  };
+}
+
+function dependencyVersionsFile(dependencies: Record<string, DependencyInfo>): string {
+  const rules = { allowedOutdatedDays: 30, requireReasonForOld: true };
+  const file = { $schema: './schemas/dependency-versions.schema.json', lastUpdated: '2025-05-27', dependencies, rules };
+  return JSON.stringify(file, null, 2);
+}
+
+const dependencyVersions = dependencyVersionsFile({
+  vitest: dependencyInfo({ availableVersion: '^3.2.0', tier: 'essential', reviewer: 'yehuda' }),
+  eslint: dependencyInfo({ currentVersion: '^9.0.0', reason: 'Flat config only', reviewDate: '2025-04-01' })
+});
+
+const decisionsToml = `[dependencies.typescript]
+value = "^5.8.3"
+reason = "Native .ts imports"
+reviewBy = "2025-08-27"
+current = "^5.8.3"
+available = "^5.9.0"
+
+  [dependencies.typescript.policy]
+  type = "tag-based"
+  targetTag = "latest"
+
+  [dependencies.typescript.meta]
+  security = "medium"
+`;
+
+function dependencies(files: Record<string, string>): { decisions: DependencyDecisions; storage: MemoryStorage } {
+  const storage = new MemoryStorage(files);
+  return { decisions: new DependencyDecisions('.', { clock, storage }), storage };
+}
+
+describe('dependency record conversion', () => {
+  const info = dependencyInfo({ latestAvailable: '^3.2.0', breakingChanges: ['ESM only'] });
+
+  it('maps dependency-versions.json fields onto decisions.toml fields', () => {
+    const record = fromDependencyInfo(info, 30);
+
+    expect(Object.keys(record)).toEqual([
+      'value', 'reason', 'reviewBy', 'decided', 'decision', 'currentVersion', 'availableVersion', 'meta'
+    ]);
+    expect(record).toMatchObject({ value: '^3.1.4', reviewBy: '2025-06-26', decided: '2025-05-27' });
+    expect(record['availableVersion']).toBe('^3.2.0');
+    expect(record['meta']).toEqual({ breakingChanges: ['ESM only'] });
+  });
+
+  it('converts back without the fields it can derive', () => {
+    const { latestAvailable, ...rest } = info;
+
+    expect(toDependencyInfo(fromDependencyInfo(info, 30), 30)).toEqual({ ...rest, availableVersion: latestAvailable });
+  });
+
+  it('fills in dependency-versions.json fields missing from decisions.toml', () => {
+    const converted = toDependencyInfo({ value: '^5.8.3', reason: 'Types', reviewBy: '2025-08-27', current: '^5.8.3' }, 30);
+
+    expect(converted).toEqual({ decision: 'keep', currentVersion: '^5.8.3', reason: 'Types', reviewDate: '2025-07-28' });
+  });
+});
+
+describe('DependencyDecisions', () => {
+  it('reads decisions.toml when it has dependency decisions', async () => {
+    const { decisions } = dependencies({ 'decisions.toml': decisionsToml, 'dependency-versions.json': dependencyVersions });
+
+    expect(await decisions.source()).toBe('decisions.toml');
+
+    const typescript = await decisions.get('typescript');
+    expect(typescript?.currentVersion).toBe('^5.8.3');
+    expect(typescript?.availableVersion).toBe('^5.9.0');
+    expect(typescript?.policy).toEqual({ type: 'tag-based', targetTag: 'latest' });
+    expect(typescript?.meta).toEqual({ security: 'medium' });
+    expect(await decisions.get('vitest')).toBeUndefined();
+  });
+
+  it('falls back to dependency-versions.json', async () => {
+    const { decisions } = dependencies({ 'decisions.toml': '[tools.editor]\nvalue = "vim"\nreason = "r"\nreviewBy = "2099-01-01"\n', 'dependency-versions.json': dependencyVersions });
+
+    expect(await decisions.source()).toBe('dependency-versions.json');
+    expect((await decisions.list()).map(d => [d.name, d.reviewBy, d.expired])).toEqual([
+      ['vitest', '2025-06-26', false],
+      ['eslint', '2025-05-01', true]
+    ]);
+    expect((await decisions.getExpired()).map(d => d.name)).toEqual(['eslint']);
+  });
+
+  it('lists nothing when neither file exists', async () => {
+    const { decisions } = dependencies({});
+
+    expect(await decisions.source()).toBeUndefined();
+    expect(await decisions.list()).toEqual([]);
+  });
+
+  it('migrates dependency-versions.json into a new decisions.toml', async () => {
+    const { decisions, storage } = dependencies({ 'dependency-versions.json': dependencyVersions });
+
+    const result = await decisions.migrate('toml');
+
+    expect(result).toEqual({ from: 'dependency-versions.json', to: 'decisions.toml', migrated: ['vitest', 'eslint'] });
+    const toml = await storage.read('decisions.toml');
+    expect(toml).toContain('[metadata.dependencyVersions]');
+    expect(toml).toContain('reviewer = "yehuda"');
+    expect(await decisions.source()).toBe('decisions.toml');
+  });
+
+  it('round-trips dependency-versions.json through decisions.toml unchanged', async () => {
+    const { decisions, storage } = dependencies({ 'dependency-versions.json': dependencyVersions });
+
+    await decisions.migrate('toml');
+    const { decisions: fromToml, storage: jsonStorage } = dependencies({ 'decisions.toml': await storage.read('decisions.toml') });
+    await fromToml.migrate('json');
+
+    expect(JSON.parse(await jsonStorage.read('dependency-versions.json'))).toEqual(JSON.parse(dependencyVersions));
+  });
+
+  it('merges into existing entries, keeping fields only the target has', async () => {
+    const { decisions, storage } = dependencies({ 'decisions.toml': decisionsToml, 'dependency-versions.json': dependencyVersions });
+
+    await decisions.migrate('json');
+
+    const json = JSON.parse(await storage.read('dependency-versions.json')) as { dependencies: Record<string, DependencyInfo> };
+    expect(Object.keys(json.dependencies)).toEqual(['vitest', 'eslint', 'typescript']);
+    expect(json.dependencies['typescript']).toMatchObject({ currentVersion: '^5.8.3', availableVersion: '^5.9.0' });
+    expect(json.dependencies['typescript']?.['updatePolicy']).toEqual({ type: 'tag-based', targetTag: 'latest' });
+  });
+
+  it('refuses to migrate from a file that has no dependency decisions', async () => {
+    const { decisions } = dependencies({});
+
+    await expect(decisions.migrate('toml')).rejects.toThrow('Nothing to migrate: dependency-versions.json not found');
+    await expect(decisions.migrate('json')).rejects.toThrow('Nothing to migrate: decisions.toml has no [dependencies] decisions');
+  });
+
+  it('supersedes a TOML decision when accepting a new range', async () => {
+    const { decisions } = dependencies({ 'decisions.toml': decisionsToml });
+
+    await decisions.decide('typescript', { decision: 'accept', value: '^5.9.0', availableVersion: '^5.9.0', reason: 'Faster builds', by: 'ci' });
+
+    const typescript = await decisions.get('typescript');
+    expect(typescript).toMatchObject({ value: '^5.9.0', reason: 'Faster builds', decision: 'accept', currentVersion: '^5.9.0' });
+    expect(typescript?.history.map(entry => [entry.action, entry.oldValue, entry.by])).toEqual([['supersede', '^5.8.3', 'ci']]);
+  });
+
+  it('renews a TOML decision when keeping its range', async () => {
+    const { decisions, storage } = dependencies({ 'decisions.toml': decisionsToml });
+
+    await decisions.decide('typescript', { decision: 'keep', value: '^5.8.3', availableVersion: '^6.0.0', reason: 'Wait for 6.1' });
+
+    const typescript = await decisions.get('typescript');
+    expect(typescript).toMatchObject({ reviewBy: '2025-12-01', availableVersion: '^6.0.0', decision: 'keep' });
+    expect(typescript?.history.map(entry => entry.action)).toEqual(['renew']);
+    expect(await storage.read('decisions.toml')).not.toContain('available = ');
+  });
+
+  it('reinstates a revoked TOML decision instead of replacing it', async () => {
+    const { decisions } = dependencies({ 'decisions.toml': decisionsToml.replace('available = "^5.9.0"', 'available = "^5.9.0"\nstatus = "revoked"') });
+
+    await decisions.decide('typescript', { decision: 'accept', value: '^5.9.0', reason: 'Back to TypeScript', by: 'ci' });
+
+    const typescript = await decisions.get('typescript');
+    expect(typescript).toMatchObject({ value: '^5.9.0', status: 'active', decision: 'accept' });
+    expect(typescript?.history.map(entry => [entry.action, entry.oldValue, entry.by])).toEqual([['reinstate', '^5.8.3', 'ci']]);
+  });
+
+  it('adds decisions for untracked dependencies', async () => {
+    const { decisions } = dependencies({ 'decisions.toml': decisionsToml });
+
+    await decisions.decide('vitest', { decision: 'keep', value: '^3.1.4', reason: 'Stay on 3.x' });
+
+    expect(await decisions.get('vitest')).toMatchObject({ value: '^3.1.4', decided: '2025-06-01', history: [] });
+  });
+
+  it('records decisions in dependency-versions.json when it is the source', async () => {
+    const { decisions, storage } = dependencies({ 'dependency-versions.json': dependencyVersions });
+
+    await decisions.decide('vitest', { decision: 'accept', value: '^3.2.0', availableVersion: '^3.2.0', reason: 'Bug fixes' });
+
+    const json = JSON.parse(await storage.read('dependency-versions.json')) as { lastUpdated: string; dependencies: Record<string, DependencyInfo> };
+    expect(json.lastUpdated).toBe('2025-06-01');
+    expect(json.dependencies['vitest']).toMatchObject({ decision: 'accept', currentVersion: '^3.2.0', reviewDate: '2025-06-01', tier: 'essential' });
+  });
+
+  it('requires a reason and a decisions file', async () => {
+    await expect(dependencies({ 'decisions.toml': decisionsToml }).decisions.decide('typescript', { decision: 'keep', value: '^5.8.3', reason: ' ' }))
+      .rejects.toThrow('A reason is required to decide typescript');
+    await expect(dependencies({}).decisions.decide('typescript', { decision: 'keep', value: '^5.8.3', reason: 'r' }))
+      .rejects.toThrow('No dependency decisions found in decisions.toml or dependency-versions.json');
+  });
+
+  it('reads tier definitions from either file', async () => {
+    const toml = `[metadata.tiers.experimental]\nreviewWithin = "14d"\n\n${decisionsToml}`;
+    const json = JSON.parse(dependencyVersions) as { rules: Record<string, unknown> };
+    json.rules['tiers'] = { since: '2025-06-01' };
+
+    expect((await dependencies({ 'decisions.toml': toml }).decisions.tiers())['experimental']).toEqual({ reviewWithin: '14d' });
+    expect(await dependencies({ 'dependency-versions.json': JSON.stringify(json) }).decisions.tiers()).toEqual({ since: '2025-06-01' });
+    expect(await dependencies({ 'decisions.toml': decisionsToml }).decisions.tiers()).toEqual({});
+  });
+
+  it('reads license decisions from decisions.toml whichever file holds the dependencies', async () => {
+    const licenses = '[licenses.MIT]\nvalue = "allow"\nreason = "Permissive"\nreviewBy = "2026-06-01"\n';
+
+    expect(await dependencies({ 'decisions.toml': `${licenses}\n${decisionsToml}` }).decisions.licenses())
+      .toMatchObject([{ category: 'licenses', key: 'MIT', value: 'allow' }]);
+    expect(await dependencies({ 'decisions.toml': licenses, 'dependency-versions.json': dependencyVersions }).decisions.licenses())
+      .toMatchObject([{ key: 'MIT', value: 'allow' }]);
+    expect(await dependencies({ 'dependency-versions.json': dependencyVersions }).decisions.licenses()).toEqual([]);
+  });
+});
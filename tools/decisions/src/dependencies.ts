@@ -0,0 +1,548 @@
+/**
+ * Dependency decisions, shared by `decisions deps` and the tooling `deps`
+ * commands so both read the same data the same way.
+ *
+ * decisions.toml `[dependencies.*]` is the source of truth. Projects that
+ * still use dependency-versions.json are read through the same model, and
+ * `migrate` converts between the two formats without dropping fields.
+ */
+
+import { join } from 'path';
+
+import * as TOML from '@iarna/toml';
+
+import { systemClock } from './clock.ts';
+import type { Clock } from './clock.ts';
+import { addDuration } from './duration.ts';
+import { DecisionsManager, createDateString } from './manager.ts';
+import type { Decision, ManagerOptions } from './manager.ts';
+import { DECISION_FIELDS, isTable } from './schema.ts';
+import type { DecisionRecord } from './schema.ts';
+import { FileSystemStorage, MemoryStorage } from './storage.ts';
+import type { DecisionsStorage } from './storage.ts';
+
+const DECISIONS_FILE = 'decisions.toml';
+const DEPENDENCY_VERSIONS_FILE = 'dependency-versions.json';
+const CATEGORY = 'dependencies';
+const LICENSES_CATEGORY = 'licenses';
+
+/** Default staleness window of dependency-versions.json (see scripts/deps-init.js) */
+const DEFAULT_ALLOWED_OUTDATED_DAYS = 30;
+
+/**
+ * A dependency decision with the short field aliases (`current`, `available`)
+ * resolved to their canonical names
+ */
+interface DependencyDecision extends Decision {
+  /** Package name */
+  name: string;
+  decided?: string;
+  decision?: string;
+  tier?: string;
+  currentVersion?: string;
+  availableVersion?: string;
+  /** Exact version the lockfile resolved to when the decision was made */
+  resolvedVersion?: string;
+  platformAlternative?: string;
+  removalTrigger?: string;
+  removalDate?: string;
+  migrationPath?: string;
+  policy?: Record<string, unknown>;
+  /** Free-form metadata such as `security` sensitivity */
+  meta?: Record<string, unknown>;
+}
+
+/**
+ * An entry of dependency-versions.json (see schemas/dependency-versions.schema.json)
+ */
+interface DependencyInfo {
+  decision: string;
+  currentVersion: string;
+  availableVersion?: string;
+  reason: string;
+  /** When the decision was made or last reviewed */
+  reviewDate: string;
+  [field: string]: unknown;
+}
+
+interface DependencyVersionsFile {
+  dependencies: Record<string, DependencyInfo>;
+  rules?: { allowedOutdatedDays?: number; [rule: string]: unknown };
+  [field: string]: unknown;
+}
+
+/**
+ * A decision about available updates, as `deps decide` records it
+ */
+interface DependencyChoice {
+  /** `accept` moves to `value`; `keep` stays on it */
+  decision: 'accept' | 'keep';
+  /** Range package.json declares once the decision is applied */
+  value: string;
+  /** Newest range that was reviewed, so checks stay quiet until something newer appears */
+  availableVersion?: string;
+  /** Exact version the lockfile resolves `value` to; dropped when omitted, as it may be stale */
+  resolvedVersion?: string;
+  reason: string;
+  /** Who decided; recorded in the history or as the reviewer */
+  by?: string;
+}
+
+type MigrationTarget = 'toml' | 'json';
+
+interface MigrationResult {
+  from: string;
+  to: string;
+  /** Names of the dependencies written to the target */
+  migrated: string[];
+}
+
+/** dependency-versions.json fields stored under a different name in decisions.toml */
+const RENAMED_FIELDS: Record<string, string> = {
+  reviewDate: 'decided',
+  updatePolicy: 'policy'
+};
+
+/** Fields older tooling wrote, read but never written back */
+const LEGACY_FIELDS: Record<string, string> = {
+  latestAvailable: 'availableVersion'
+};
+
+/** Short forms accepted in decisions.toml */
+const FIELD_ALIASES: Record<string, string> = {
+  current: 'currentVersion',
+  available: 'availableVersion'
+};
+
+/** Field order of dependency-versions.json entries, following its schema */
+const JSON_FIELD_ORDER = [
+  'decision', 'currentVersion', 'availableVersion', 'resolvedVersion', 'reason', 'reviewDate', 'tier',
+  'platformAlternative', 'removalTrigger', 'removalDate', 'migrationPath', 'updatePolicy'
+];
+
+/** Where file-level dependency-versions.json settings (rules, metadata) live in decisions.toml */
+const METADATA_KEY = 'dependencyVersions';
+
+function allowedOutdatedDays(file: Pick<DependencyVersionsFile, 'rules'> | undefined): number {
+  const days = file?.rules?.allowedOutdatedDays;
+  return typeof days === 'number' ? days : DEFAULT_ALLOWED_OUTDATED_DAYS;
+}
+
+function shiftDate(date: string, days: number): string {
+  return createDateString(addDuration(new Date(`${date}T00:00:00Z`), { amount: days, unit: 'd' }));
+}
+
+function orderKeys(record: Record<string, unknown>, order: readonly string[]): Record<string, unknown> {
+  const rank = (key: string): number => {
+    const index = order.indexOf(key);
+    return index === -1 ? order.length : index;
+  };
+  return Object.fromEntries(Object.entries(record).sort(([a], [b]) => rank(a) - rank(b)));
+}
+
+/**
+ * Convert a dependency-versions.json entry to a decisions.toml record.
+ * Fields decisions.toml has no place for are kept in its free-form `meta` table.
+ */
+function fromDependencyInfo(info: DependencyInfo, outdatedDays: number): DecisionRecord {
+  const record: Record<string, unknown> = {};
+  const meta: Record<string, unknown> = {};
+
+  for (const [field, value] of Object.entries(info)) {
+    const target = RENAMED_FIELDS[field] ?? LEGACY_FIELDS[field] ?? field;
+    if (target === 'meta' && isTable(value)) {
+      Object.assign(meta, value);
+    } else if (target in DECISION_FIELDS) {
+      record[target] = value;
+    } else {
+      meta[field] = value;
+    }
+  }
+
+  record['value'] ??= info.currentVersion;
+  // dependency-versions.json treats a decision as stale `allowedOutdatedDays` after its review
+  record['reviewBy'] ??= shiftDate(info.reviewDate, outdatedDays);
+  if (Object.keys(meta).length > 0) record['meta'] = meta;
+
+  return orderKeys(record, Object.keys(DECISION_FIELDS)) as DecisionRecord;
+}
+
+/**
+ * Convert a decisions.toml record to a dependency-versions.json entry.
+ * `value` and `reviewBy` are only written when they can't be derived from
+ * `currentVersion` and `reviewDate`, so converting back yields the same record.
+ */
+function toDependencyInfo(record: DecisionRecord, outdatedDays: number): DependencyInfo {
+  const renamed = Object.fromEntries(Object.entries(RENAMED_FIELDS).map(([from, to]) => [to, from]));
+  const info: Record<string, unknown> = {};
+
+  for (const [field, value] of Object.entries(record)) {
+    if (field === 'meta' && isTable(value)) {
+      Object.assign(info, value);
+    } else {
+      info[renamed[field] ?? FIELD_ALIASES[field] ?? field] = value;
+    }
+  }
+
+  info['decision'] ??= 'keep';
+  info['currentVersion'] ??= record.value;
+  info['reviewDate'] ??= shiftDate(record.reviewBy, -outdatedDays);
+
+  if (info['value'] === info['currentVersion']) delete info['value'];
+  if (info['reviewBy'] === shiftDate(String(info['reviewDate']), outdatedDays)) delete info['reviewBy'];
+
+  return orderKeys(info, JSON_FIELD_ORDER) as DependencyInfo;
+}
+
+/**
+ * Convert a whole dependency-versions.json file to decisions.toml data
+ */
+function fromDependencyVersions(file: DependencyVersionsFile): Record<string, unknown> {
+  const { dependencies, ...settings } = file;
+  const outdatedDays = allowedOutdatedDays(file);
+
+  return {
+    metadata: { [METADATA_KEY]: settings },
+    [CATEGORY]: Object.fromEntries(
+      Object.entries(dependencies).map(([name, info]) => [name, fromDependencyInfo(info, outdatedDays)])
+    )
+  };
+}
+
+/**
+ * Convert decisions.toml data to a dependency-versions.json file.
+ * File-level settings come from `[metadata.dependencyVersions]` when present.
+ */
+function toDependencyVersions(data: Record<string, unknown>, today: string): DependencyVersionsFile {
+  const metadata = data['metadata'];
+  const stored = isTable(metadata) && isTable(metadata[METADATA_KEY]) ? metadata[METADATA_KEY] : {};
+  const settings = {
+    $schema: './schemas/dependency-versions.schema.json',
+    lastUpdated: today,
+    ...stored,
+    rules: isTable(stored['rules']) ? stored['rules'] : {
+      allowedOutdatedDays: DEFAULT_ALLOWED_OUTDATED_DAYS,
+      requireReasonForOld: true,
+      blockMajorUpdatesWithoutReview: true
+    }
+  };
+
+  const outdatedDays = allowedOutdatedDays(settings);
+  const category = isTable(data[CATEGORY]) ? data[CATEGORY] : {};
+  const dependencies = Object.fromEntries(
+    Object.entries(category).map(([name, record]) => [name, toDependencyInfo(record as DecisionRecord, outdatedDays)])
+  );
+
+  const { rules, ...rest } = settings;
+  return { ...rest, dependencies, rules };
+}
+
+function toDependencyDecision(decision: Decision, record: DecisionRecord): DependencyDecision {
+  const result: Record<string, unknown> = { ...decision, name: decision.key };
+
+  for (const [field, value] of Object.entries(record)) {
+    const canonical = FIELD_ALIASES[field] ?? field;
+    if (typeof value === 'string' && !(canonical in result)) result[canonical] = value;
+  }
+  if (isTable(record['policy'])) result['policy'] = record['policy'];
+  if (isTable(record['meta'])) result['meta'] = record['meta'];
+
+  return result as unknown as DependencyDecision;
+}
+
+export class DependencyDecisions {
+  readonly #dir: string;
+  readonly #clock: Clock;
+  readonly #storage: DecisionsStorage;
+  readonly #options: ManagerOptions;
+
+  /**
+   * @param dir - Directory containing decisions.toml and/or dependency-versions.json
+   * @param options - Clock and storage, also passed to the underlying DecisionsManager
+   */
+  constructor(dir = process.cwd(), options: ManagerOptions = {}) {
+    this.#dir = dir;
+    this.#clock = options.clock ?? systemClock;
+    this.#storage = options.storage ?? new FileSystemStorage();
+    this.#options = { clock: this.#clock, storage: this.#storage };
+  }
+
+  #path(file: string): string {
+    return join(this.#dir, file);
+  }
+
+  /**
+   * The file dependency decisions are read from: decisions.toml when it has
+   * any `[dependencies.*]`, otherwise dependency-versions.json
+   */
+  async source(): Promise<string | undefined> {
+    if (await this.#hasTomlDependencies()) return DECISIONS_FILE;
+    if (await this.#storage.exists(this.#path(DEPENDENCY_VERSIONS_FILE))) return DEPENDENCY_VERSIONS_FILE;
+    return undefined;
+  }
+
+  async list(): Promise<DependencyDecision[]> {
+    const manager = await this.#manager();
+    if (manager === undefined) return [];
+
+    const records = (await manager.load())[CATEGORY];
+    const decisions = await manager.listByCategory(CATEGORY);
+    return decisions.map(decision => {
+      const record = isTable(records) ? records[decision.key] : undefined;
+      return toDependencyDecision(decision, record as DecisionRecord);
+    });
+  }
+
+  /**
+   * Tier definitions configured alongside the decisions: `[metadata.tiers]` in
+   * decisions.toml, or `rules.tiers` in dependency-versions.json. Empty when
+   * neither is set; interpreting them is up to the caller.
+   */
+  async tiers(): Promise<Record<string, unknown>> {
+    const manager = await this.#manager();
+    if (manager === undefined) return {};
+
+    const metadata = (await manager.load())['metadata'];
+    if (!isTable(metadata)) return {};
+    if (isTable(metadata['tiers'])) return metadata['tiers'];
+
+    const settings = metadata[METADATA_KEY];
+    const rules = isTable(settings) ? settings['rules'] : undefined;
+    return isTable(rules) && isTable(rules['tiers']) ? rules['tiers'] : {};
+  }
+
+  /**
+   * License decisions, `[licenses.*]` in decisions.toml: allow/deny entries
+   * keyed by license and approvals keyed by package. They live in
+   * decisions.toml even when dependency-versions.json holds the dependency
+   * decisions; interpreting them is up to the caller.
+   */
+  async licenses(): Promise<Decision[]> {
+    const path = this.#path(DECISIONS_FILE);
+    if (!await this.#storage.exists(path)) return [];
+    return new DecisionsManager(path, this.#options).listByCategory(LICENSES_CATEGORY);
+  }
+
+  async get(name: string): Promise<DependencyDecision | undefined> {
+    return (await this.list()).find(decision => decision.name === name);
+  }
+
+  async getExpired(): Promise<DependencyDecision[]> {
+    return (await this.list()).filter(decision => decision.expired);
+  }
+
+  /**
+   * Record a decision about `name` in whichever file holds the dependency
+   * decisions, adding it, renewing it (same value) or superseding it
+   */
+  async decide(name: string, choice: DependencyChoice): Promise<void> {
+    if (choice.reason.trim() === '') {
+      throw new Error(`A reason is required to decide ${name}`);
+    }
+
+    const source = await this.source() ??
+      (await this.#storage.exists(this.#path(DECISIONS_FILE)) ? DECISIONS_FILE : undefined);
+    if (source === undefined) {
+      throw new Error(`No dependency decisions found in ${DECISIONS_FILE} or ${DEPENDENCY_VERSIONS_FILE}`);
+    }
+
+    await (source === DECISIONS_FILE ? this.#decideInToml(name, choice) : this.#decideInJson(name, choice));
+  }
+
+  async #decideInToml(name: string, choice: DependencyChoice): Promise<void> {
+    const manager = new DecisionsManager(this.#path(DECISIONS_FILE), this.#options);
+    const existing = await this.get(name);
+    const options = choice.by === undefined ? {} : { by: choice.by };
+
+    if (existing === undefined) {
+      await manager.add(CATEGORY, name, choice.value, choice.reason);
+    } else if (existing.status === 'revoked') {
+      await manager.reinstate(CATEGORY, name, choice.value, choice.reason, options);
+    } else if (existing.value === choice.value) {
+      await manager.renew(CATEGORY, name, choice.reason, options);
+    } else {
+      await manager.supersede(CATEGORY, name, choice.value, choice.reason, options);
+    }
+
+    const data = await manager.load();
+    const category = data[CATEGORY];
+    const record = isTable(category) ? category[name] as DecisionRecord | undefined : undefined;
+    if (record === undefined) {
+      throw new Error(`Decision not found after recording it: ${CATEGORY}.${name}`);
+    }
+    record.reason = choice.reason;
+    record['decision'] = choice.decision;
+    record['currentVersion'] = choice.value;
+    delete record['current'];
+    if (choice.availableVersion !== undefined) {
+      record['availableVersion'] = choice.availableVersion;
+      delete record['available'];
+    }
+    if (choice.resolvedVersion === undefined) {
+      delete record['resolvedVersion'];
+    } else {
+      record['resolvedVersion'] = choice.resolvedVersion;
+    }
+    await manager.save(data);
+  }
+
+  async #decideInJson(name: string, choice: DependencyChoice): Promise<void> {
+    const file = await this.#readJson();
+    if (file === undefined) {
+      throw new Error(`${DEPENDENCY_VERSIONS_FILE} not found`);
+    }
+    const today = createDateString(this.#clock.now());
+
+    const info: DependencyInfo = {
+      ...file.dependencies[name],
+      decision: choice.decision,
+      currentVersion: choice.value,
+      reason: choice.reason,
+      reviewDate: today
+    };
+    if (choice.availableVersion !== undefined) {
+      info.availableVersion = choice.availableVersion;
+      delete info['latestAvailable'];
+    }
+    if (choice.resolvedVersion === undefined) {
+      delete info['resolvedVersion'];
+    } else {
+      info['resolvedVersion'] = choice.resolvedVersion;
+    }
+    if (choice.by !== undefined) info['reviewer'] = choice.by;
+
+    file.dependencies[name] = info;
+    file['lastUpdated'] = today;
+    await this.#storage.write(this.#path(DEPENDENCY_VERSIONS_FILE), JSON.stringify(file, null, 2));
+  }
+
+  /**
+   * Copy dependency decisions into decisions.toml (`toml`) or dependency-versions.json (`json`).
+   * Entries in both files are merged field by field, with the source winning;
+   * entries only in the target are kept.
+   */
+  async migrate(to: MigrationTarget): Promise<MigrationResult> {
+    return to === 'toml' ? this.#migrateToToml() : this.#migrateToJson();
+  }
+
+  async #migrateToToml(): Promise<MigrationResult> {
+    const json = await this.#readJson();
+    if (json === undefined) {
+      throw new Error(`Nothing to migrate: ${DEPENDENCY_VERSIONS_FILE} not found`);
+    }
+
+    const manager = new DecisionsManager(this.#path(DECISIONS_FILE), this.#options);
+    if (!await this.#storage.exists(this.#path(DECISIONS_FILE))) await manager.init();
+
+    const converted = fromDependencyVersions(json);
+    const data = await manager.load();
+    const metadata = isTable(data['metadata']) ? data['metadata'] : {};
+    data['metadata'] = { ...metadata, ...(converted['metadata'] as Record<string, unknown>) };
+
+    const existing = isTable(data[CATEGORY]) ? data[CATEGORY] : {};
+    const incoming = converted[CATEGORY] as Record<string, Record<string, unknown>>;
+    data[CATEGORY] = { ...existing, ...mergeEntries(existing, incoming, Object.keys(FIELD_ALIASES)) };
+
+    await manager.save(data);
+    return { from: DEPENDENCY_VERSIONS_FILE, to: DECISIONS_FILE, migrated: Object.keys(incoming) };
+  }
+
+  async #migrateToJson(): Promise<MigrationResult> {
+    if (!await this.#hasTomlDependencies()) {
+      throw new Error(`Nothing to migrate: ${DECISIONS_FILE} has no [${CATEGORY}] decisions`);
+    }
+
+    const data = await new DecisionsManager(this.#path(DECISIONS_FILE), this.#options).load();
+    const converted = toDependencyVersions(data, createDateString(this.#clock.now()));
+    const existing = await this.#readJson();
+
+    const renamedFrom = [...Object.keys(RENAMED_FIELDS), ...Object.keys(LEGACY_FIELDS)];
+    const file = existing === undefined
+      ? converted
+      : {
+          ...existing,
+          dependencies: {
+            ...existing.dependencies,
+            ...mergeEntries(existing.dependencies, converted.dependencies, renamedFrom) as Record<string, DependencyInfo>
+          }
+        };
+
+    await this.#storage.write(this.#path(DEPENDENCY_VERSIONS_FILE), JSON.stringify(file, null, 2));
+    return { from: DECISIONS_FILE, to: DEPENDENCY_VERSIONS_FILE, migrated: Object.keys(converted.dependencies) };
+  }
+
+  async #hasTomlDependencies(): Promise<boolean> {
+    const path = this.#path(DECISIONS_FILE);
+    if (!await this.#storage.exists(path)) return false;
+
+    const category = (await new DecisionsManager(path, this.#options).load())[CATEGORY];
+    return isTable(category) && Object.keys(category).length > 0;
+  }
+
+  async #readJson(): Promise<DependencyVersionsFile | undefined> {
+    const path = this.#path(DEPENDENCY_VERSIONS_FILE);
+    if (!await this.#storage.exists(path)) return undefined;
+
+    const file = JSON.parse(await this.#storage.read(path)) as unknown;
+    if (!isTable(file) || !isTable(file['dependencies'])) {
+      throw new Error(`Invalid ${DEPENDENCY_VERSIONS_FILE}: expected a "dependencies" object`);
+    }
+    return file as DependencyVersionsFile;
+  }
+
+  /**
+   * A manager over whichever file holds the dependency decisions. For
+   * dependency-versions.json, its converted form is held in memory.
+   */
+  async #manager(): Promise<DecisionsManager | undefined> {
+    switch (await this.source()) {
+      case DECISIONS_FILE:
+        return new DecisionsManager(this.#path(DECISIONS_FILE), this.#options);
+      case DEPENDENCY_VERSIONS_FILE: {
+        const json = await this.#readJson();
+        const content = TOML.stringify(fromDependencyVersions(json ?? { dependencies: {} }) as TOML.JsonMap);
+        return new DecisionsManager(DECISIONS_FILE, {
+          ...this.#options,
+          storage: new MemoryStorage({ [DECISIONS_FILE]: content })
+        });
+      }
+      default:
+        return undefined;
+    }
+  }
+}
+
+/**
+ * Merge `incoming` entries into `existing` ones field by field. `replaced`
+ * lists fields that are dropped from the existing entry when the incoming one
+ * sets their canonical name (aliases and renamed fields).
+ */
+function mergeEntries(
+  existing: Record<string, unknown>,
+  incoming: Record<string, Record<string, unknown>>,
+  replaced: string[]
+): Record<string, Record<string, unknown>> {
+  return Object.fromEntries(Object.entries(incoming).map(([name, entry]) => {
+    const previous = existing[name];
+    if (!isTable(previous)) return [name, entry];
+
+    const kept = Object.fromEntries(Object.entries(previous).filter(([field]) => !replaced.includes(field)));
+    return [name, { ...kept, ...entry }];
+  }));
+}
+
+export {
+  DEPENDENCY_VERSIONS_FILE,
+  fromDependencyInfo,
+  fromDependencyVersions,
+  toDependencyInfo,
+  toDependencyVersions
+};
+export type {
+  DependencyChoice,
+  DependencyDecision,
+  DependencyInfo,
+  DependencyVersionsFile,
+  MigrationResult,
+  MigrationTarget
+};
@@ -0,0 +1,123 @@
+import { join } from 'path';
+
+import { describe, it, expect } from 'vitest';
+
+import { DependencyDiff, isDecided } from './diff.ts';
+import { MemoryStorage } from './storage.ts';
+import { createDecisionToml, createManifestFile } from './test-utils/factories.ts';
+
+const dir = '/project';
+
+/**
+ * A dependency-versions.json with one accepted dependency
+ */
+function dependencyVersions(name: string, currentVersion: string): Record<string, unknown> {
+  return { dependencies: { [name]: { decision: 'accept', currentVersion, reviewDate: '2025-06-01', reason: 'Tests' } } };
+}
+
+function revision(dependencies: Record<string, string>, ...decisions: string[]): MemoryStorage {
+  return new MemoryStorage({
+    [join(dir, 'package.json')]: createManifestFile('app', dependencies),
+    [join(dir, 'decisions.toml')]: decisions.join('\n')
+  });
+}
+
+const base = revision(
+  { typescript: '^5.8.3', vitest: '^3.1.4', 'left-pad': '^1.3.0' },
+  createDecisionToml('typescript', '^5.8.3'),
+  createDecisionToml('vitest', '^3.1.4')
+);
+
+describe('DependencyDiff', () => {
+  it('reports added, removed and bumped dependencies with their decisions', async () => {
+    const head = revision(
+      { typescript: '^5.9.2', vitest: '^3.2.0', zod: '^3.23.0' },
+      createDecisionToml('typescript', '^5.8.3'),
+      createDecisionToml('vitest', '^3.2.0', { reason: 'Bug fixes we need' }),
+      createDecisionToml('zod', '^3.23.0')
+    );
+
+    const changes = await new DependencyDiff(dir).compare(base, head);
+
+    expect(changes.map(change => [change.kind, change.name, change.from, change.to, change.decision])).toEqual([
+      ['removed', 'left-pad', '^1.3.0', undefined, 'missing'],
+      ['bumped', 'typescript', '^5.8.3', '^5.9.2', 'unchanged'],
+      ['bumped', 'vitest', '^3.1.4', '^3.2.0', 'updated'],
+      ['added', 'zod', undefined, '^3.23.0', 'new']
+    ]);
+    expect(changes.filter(isDecided).map(change => change.name)).toEqual(['vitest', 'zod']);
+  });
+
+  it('ignores unchanged dependencies and workspace links', async () => {
+    const head = revision(
+      { typescript: '^5.8.3', vitest: '^3.1.4', 'left-pad': '^1.3.0', '@acme/lib': 'workspace:*' },
+      createDecisionToml('typescript', '^5.8.3', { reason: 'Reworded' }),
+      createDecisionToml('vitest', '^3.1.4')
+    );
+
+    expect(await new DependencyDiff(dir).compare(base, head)).toEqual([]);
+  });
+
+  it('treats files missing at the base as empty', async () => {
+    const head = revision({ zod: '^3.23.0' });
+
+    const changes = await new DependencyDiff(dir).compare(new MemoryStorage(), head);
+
+    expect(changes).toEqual([{ kind: 'added', name: 'zod', to: '^3.23.0', decision: 'missing' }]);
+  });
+
+  it('does not count a renewed decision that still records the old range', async () => {
+    const head = revision(
+      { typescript: '^6.0.0', vitest: '^3.2.0', 'left-pad': '^1.3.0' },
+      createDecisionToml('typescript', '^5.8.3').replace('2099-01-01', '2099-06-01'),
+      createDecisionToml('vitest', '3.2.4', { reason: 'Pinned to the version CI runs' })
+    );
+
+    const changes = await new DependencyDiff(dir).compare(base, head);
+
+    expect(changes.map(change => [change.name, change.decision, change.recorded])).toEqual([
+      ['typescript', 'stale', '^5.8.3'],
+      ['vitest', 'updated', '3.2.4']
+    ]);
+    expect(changes.filter(isDecided).map(change => change.name)).toEqual(['vitest']);
+  });
+
+  it('reads decisions from dependency-versions.json', async () => {
+    const versions = (currentVersion: string): string => JSON.stringify(dependencyVersions('vitest', currentVersion));
+    const before = new MemoryStorage({
+      [join(dir, 'package.json')]: createManifestFile('app', { vitest: '^3.1.4' }),
+      [join(dir, 'dependency-versions.json')]: versions('^3.1.4')
+    });
+    const after = new MemoryStorage({
+      [join(dir, 'package.json')]: createManifestFile('app', { vitest: '^3.2.0' }),
+      [join(dir, 'dependency-versions.json')]: versions('^3.2.0')
+    });
+
+    const [change] = await new DependencyDiff(dir).compare(before, after);
+
+    expect(change).toMatchObject({ kind: 'bumped', decision: 'updated', recorded: '^3.2.0' });
+  });
+
+  it('compares every workspace package with the root decisions it inherits', async () => {
+    const workspace = (cliDependencies: Record<string, string>, ...cliDecisions: string[]): MemoryStorage => new MemoryStorage({
+      [join(dir, 'pnpm-workspace.yaml')]: 'packages:\n  - "tools/*"\n',
+      [join(dir, 'package.json')]: createManifestFile('acme', { typescript: '^5.8.3' }),
+      [join(dir, 'decisions.toml')]: [createDecisionToml('typescript', '^5.8.3'), createDecisionToml('commander', '^12.1.0')].join('\n'),
+      [join(dir, 'tools/lib/package.json')]: createManifestFile('@acme/lib', { typescript: '^5.8.3' }),
+      [join(dir, 'tools/cli/package.json')]: createManifestFile('@acme/cli', cliDependencies),
+      [join(dir, 'tools/cli/decisions.toml')]: cliDecisions.join('\n')
+    });
+    const before = workspace({ commander: '^12.1.0', zod: '^3.23.0' });
+    const after = workspace(
+      { commander: '^13.0.0', zod: '^3.24.0' },
+      createDecisionToml('zod', '^3.24.0', { reason: 'Needs the new parser' })
+    );
+
+    const changes = await new DependencyDiff(dir).compare(before, after);
+
+    expect(changes.map(change => [change.package, change.name, change.from, change.to, change.decision])).toEqual([
+      ['@acme/cli', 'commander', '^12.1.0', '^13.0.0', 'unchanged'],
+      ['@acme/cli', 'zod', '^3.23.0', '^3.24.0', 'new']
+    ]);
+  });
+});
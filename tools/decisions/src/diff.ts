@@ -0,0 +1,188 @@
+/**
+ * Dependency changes between two revisions of a project, and whether each
+ * one came with a decision.
+ *
+ * The root package.json, every workspace package's, and the dependency
+ * decisions (decisions.toml, or dependency-versions.json) are read at both
+ * revisions through their storage, so the base is usually a
+ * GitRevisionStorage and the head the working tree. Packages inherit the
+ * root decisions, as they do for drift. A bumped dependency needs a new or
+ * updated decision whose value records the new range; added and removed ones
+ * are reported with theirs.
+ */
+
+import { join } from 'path';
+
+import semver from 'semver';
+
+import { DependencyDecisions } from './dependencies.ts';
+import type { DependencyDecision } from './dependencies.ts';
+import { declaredDependencies } from './drift.ts';
+import type { DecisionsStorage } from './storage.ts';
+import { discoverPackages } from './workspace.ts';
+
+type DependencyChangeKind = 'added' | 'removed' | 'bumped';
+
+/**
+ * What happened to a changed dependency's decision between the revisions:
+ * `new` and `updated` decisions were recorded alongside the change,
+ * `unchanged` ones were not, and `missing` means there is none at the head.
+ * A `stale` decision was changed (say, only renewed) but its value still
+ * records a range other than the one declared at the head.
+ */
+type DecisionChange = 'new' | 'updated' | 'stale' | 'unchanged' | 'missing';
+
+interface DependencyChange {
+  kind: DependencyChangeKind;
+  /** Dependency name */
+  name: string;
+  /** Workspace package declaring it; absent for the root package */
+  package?: string;
+  /** Declared range at the base; absent for added dependencies */
+  from?: string;
+  /** Declared range at the head; absent for removed dependencies */
+  to?: string;
+  decision: DecisionChange;
+  /** The decision's `value` at the head */
+  recorded?: string;
+}
+
+interface PackageSnapshot {
+  name: string;
+  /** Declared ranges per dependency */
+  dependencies: Map<string, string[]>;
+  /** Decisions in effect for the package: its own over the root's */
+  decisions: Map<string, DependencyDecision>;
+}
+
+/** Package snapshots by directory relative to the root; '' for the root package */
+type Snapshot = Map<string, PackageSnapshot>;
+
+const EMPTY_PACKAGE: PackageSnapshot = { name: '', dependencies: new Map(), decisions: new Map() };
+
+/**
+ * Everything but `expired`, which depends on when the diff runs
+ */
+function fingerprint(decision: DependencyDecision): string {
+  const { expired: _expired, ...rest } = decision;
+  return JSON.stringify(rest);
+}
+
+/**
+ * Whether a decision's value covers a declared range: the same range, a
+ * version the range allows, or a range allowing everything it does
+ */
+function records(value: string, range: string): boolean {
+  if (value === range) return true;
+  if (semver.validRange(range) === null) return false;
+  if (semver.valid(value) !== null) return semver.satisfies(value, range);
+  return semver.validRange(value) !== null && semver.subset(range, value);
+}
+
+function decisionChange(
+  base: DependencyDecision | undefined,
+  head: DependencyDecision | undefined,
+  declared: string[]
+): DecisionChange {
+  if (head === undefined) return 'missing';
+  if (base !== undefined && fingerprint(base) === fingerprint(head)) return 'unchanged';
+  if (declared.length > 0 && !declared.some(range => records(head.value, range))) return 'stale';
+  return base === undefined ? 'new' : 'updated';
+}
+
+/**
+ * Whether a change was recorded with a decision
+ */
+function isDecided(change: DependencyChange): boolean {
+  return change.decision === 'new' || change.decision === 'updated';
+}
+
+export class DependencyDiff {
+  readonly #root: string;
+
+  /**
+   * @param root - Workspace root, or the project directory outside a pnpm workspace
+   */
+  constructor(root = process.cwd()) {
+    this.#root = root;
+  }
+
+  /**
+   * Dependencies added, removed or bumped between `base` and `head`: the root
+   * package's first, then each workspace package's, sorted by name
+   */
+  async compare(base: DecisionsStorage, head: DecisionsStorage): Promise<DependencyChange[]> {
+    const before = await this.#snapshot(base);
+    const after = await this.#snapshot(head);
+    const dirs = [...new Set([...before.keys(), ...after.keys()])].sort();
+
+    const changes: DependencyChange[] = [];
+    for (const dir of dirs) {
+      const packageBefore = before.get(dir) ?? EMPTY_PACKAGE;
+      const packageAfter = after.get(dir) ?? EMPTY_PACKAGE;
+      const name = packageAfter === EMPTY_PACKAGE ? packageBefore.name : packageAfter.name;
+      changes.push(...this.#changes(packageBefore, packageAfter, dir === '' ? undefined : name));
+    }
+    return changes;
+  }
+
+  #changes(before: PackageSnapshot, after: PackageSnapshot, packageName: string | undefined): DependencyChange[] {
+    const names = [...new Set([...before.dependencies.keys(), ...after.dependencies.keys()])].sort();
+
+    const changes: DependencyChange[] = [];
+    for (const name of names) {
+      // A dependency declared in several fields is compared by all of its ranges
+      const from = before.dependencies.get(name)?.join(' / ');
+      const declared = after.dependencies.get(name) ?? [];
+      const to = declared.length === 0 ? undefined : declared.join(' / ');
+      if (from === to) continue;
+
+      const kind: DependencyChangeKind = from === undefined ? 'added' : to === undefined ? 'removed' : 'bumped';
+      const decision = after.decisions.get(name);
+      changes.push({
+        kind,
+        name,
+        ...(packageName === undefined ? {} : { package: packageName }),
+        ...(from === undefined ? {} : { from }),
+        ...(to === undefined ? {} : { to }),
+        decision: decisionChange(before.decisions.get(name), decision, declared),
+        ...(decision === undefined ? {} : { recorded: decision.value })
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * The root package and every workspace package at one revision, discovered
+   * through its pnpm-workspace.yaml
+   */
+  async #snapshot(storage: DecisionsStorage): Promise<Snapshot> {
+    const rootDecisions = await this.#decisions(storage, '');
+    const candidates = [{ name: undefined, dir: '' }, ...await discoverPackages(this.#root, storage)];
+
+    const snapshot: Snapshot = new Map();
+    for (const candidate of candidates) {
+      const manifestPath = join(this.#root, candidate.dir, 'package.json');
+      if (!await storage.exists(manifestPath)) continue;
+
+      const manifest = JSON.parse(await storage.read(manifestPath)) as Record<string, unknown>;
+      const decisions = candidate.dir === ''
+        ? rootDecisions
+        : new Map([...rootDecisions, ...await this.#decisions(storage, candidate.dir)]);
+      snapshot.set(candidate.dir, {
+        name: candidate.name ?? (typeof manifest['name'] === 'string' ? manifest['name'] : 'root'),
+        dependencies: declaredDependencies(manifest),
+        decisions
+      });
+    }
+    return snapshot;
+  }
+
+  async #decisions(storage: DecisionsStorage, dir: string): Promise<Map<string, DependencyDecision>> {
+    const decisions = await new DependencyDecisions(join(this.#root, dir), { storage }).list();
+    return new Map(decisions.map(decision => [decision.name, decision]));
+  }
+}
+
+export { isDecided };
+export type { DecisionChange, DependencyChange, DependencyChangeKind };
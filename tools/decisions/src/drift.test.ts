@@ -0,0 +1,95 @@
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import { DriftDetector } from './drift.ts';
+import { createDecisionToml, createManifestFile } from './test-utils/factories.ts';
+
+const clock = { now: () => new Date('2025-06-01T12:00:00Z') };
+
+describe('DriftDetector', () => {
+  let root: string;
+
+  async function writeProjectFile(path: string, content: string): Promise<void> {
+    const file = join(root, path);
+    await mkdir(join(file, '..'), { recursive: true });
+    await writeFile(file, content, 'utf8');
+  }
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'decisions-drift-'));
+    await writeProjectFile('pnpm-workspace.yaml', 'packages:\n  - "tools/*"\n');
+    await writeProjectFile('package.json', createManifestFile('acme', {}, { typescript: '^5.8.3', vitest: '^3.2.0' }));
+    await writeProjectFile('decisions.toml', [
+      createDecisionToml('typescript', '^5.8.3'),
+      createDecisionToml('vitest', '^3.1.4'),
+      createDecisionToml('left-pad', '^1.3.0'),
+      createDecisionToml('moment', '^2.0.0', { status: 'revoked' })
+    ].join('\n'));
+    await writeProjectFile('tools/cli/package.json', createManifestFile('@acme/cli', { commander: '^12.1.0', '@acme/lib': 'workspace:*' }, { typescript: '^5.7.2' }));
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('reports mismatched, undocumented and orphaned dependencies', async () => {
+    const drift = await new DriftDetector(root).detect();
+
+    expect(drift.map(d => [d.kind, d.package, d.name, d.declared.join(), d.recorded])).toEqual([
+      ['mismatch', 'acme', 'vitest', '^3.2.0', '^3.1.4'],
+      ['undocumented', '@acme/cli', 'commander', '^12.1.0', undefined],
+      ['mismatch', '@acme/cli', 'typescript', '^5.7.2', '^5.8.3'],
+      ['orphaned', 'acme', 'left-pad', '', '^1.3.0']
+    ]);
+  });
+
+  it('accepts package decisions that override the root one', async () => {
+    await writeProjectFile('tools/cli/decisions.toml', createDecisionToml('typescript', '^5.7.2') + '\n' + createDecisionToml('commander', '^12.1.0'));
+
+    const drift = await new DriftDetector(root).detect();
+
+    expect(drift.map(d => `${d.kind}:${d.name}`)).toEqual(['mismatch:vitest', 'orphaned:left-pad']);
+  });
+
+  it('ignores peer dependency ranges', async () => {
+    const peers = { typescript: '>=5', eslint: '>=9' };
+    await writeProjectFile('tools/cli/package.json', createManifestFile('@acme/cli', { commander: '^12.1.0' }, { typescript: '^5.8.3' }, peers));
+
+    const drift = await new DriftDetector(root).detect();
+
+    expect(drift.map(d => `${d.kind}:${d.name}`)).toEqual(['mismatch:vitest', 'undocumented:commander', 'orphaned:left-pad']);
+  });
+
+  it('treats a directory without pnpm-workspace.yaml as a single package', async () => {
+    await rm(join(root, 'pnpm-workspace.yaml'));
+
+    const drift = await new DriftDetector(root).detect();
+
+    expect(drift.map(d => `${d.kind}:${d.name}`)).toEqual(['mismatch:vitest', 'orphaned:left-pad']);
+  });
+
+  it('requires a reason to fix drift', async () => {
+    await expect(new DriftDetector(root).fix(' ')).rejects.toThrow('A reason is required to record dependency drift');
+  });
+
+  it('records the declared versions until nothing has drifted', async () => {
+    const detector = new DriftDetector(root, { clock });
+
+    const fixes = await detector.fix('Match package.json');
+
+    expect(fixes.map(f => [f.action, f.name, f.file, f.value])).toEqual([
+      ['supersede', 'vitest', 'decisions.toml', '^3.2.0'],
+      ['add', 'commander', 'decisions.toml', '^12.1.0'],
+      ['add', 'typescript', 'tools/cli/decisions.toml', '^5.7.2'],
+      ['revoke', 'left-pad', 'decisions.toml', undefined]
+    ]);
+    expect(await detector.detect()).toEqual([]);
+
+    const rootFile = await readFile(join(root, 'decisions.toml'), 'utf8');
+    expect(rootFile).toContain('newValue = "^3.2.0"');
+    expect(rootFile).toContain('reason = "Match package.json"');
+  });
+});
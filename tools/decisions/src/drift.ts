@@ -0,0 +1,266 @@
+/**
+ * Drift between dependency decisions and what package.json files declare.
+ *
+ * Each package.json in the workspace is compared with the decisions in effect
+ * for its package (see workspace.ts): a declared range must match the
+ * decision's `value`, every registry dependency needs a decision, and every
+ * active decision needs a package that still declares the dependency.
+ */
+
+import { join } from 'path';
+
+import { DecisionsManager } from './manager.ts';
+import type { ManagerOptions } from './manager.ts';
+import { isTable } from './schema.ts';
+import { FileSystemStorage } from './storage.ts';
+import type { DecisionsStorage } from './storage.ts';
+import { WorkspaceDecisions } from './workspace.ts';
+import type { SourcedDecision } from './workspace.ts';
+
+const CATEGORY = 'dependencies';
+const ROOT_DECISIONS_FILE = 'decisions.toml';
+
+/**
+ * Searched in this order; the first declared range is the one `fix` records.
+ * peerDependencies are left out: a peer range states what the package's
+ * consumers may install, not the version the package was decided on.
+ */
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'] as const;
+
+/** Root changes settle in the first pass and package overrides in the second */
+const MAX_FIX_PASSES = 3;
+
+/** Specifiers that point inside the repository rather than at a registry version */
+const LOCAL_SPECIFIER = /^(workspace|link|file|portal):/;
+
+type DriftKind = 'mismatch' | 'undocumented' | 'orphaned';
+
+interface Drift {
+  kind: DriftKind;
+  /** Dependency name */
+  name: string;
+  /** Package the drift was found in; for orphaned root decisions, the root package */
+  package: string;
+  /** Ranges the package's package.json declares; empty for orphaned decisions */
+  declared: string[];
+  /** The decision's `value`; absent for undocumented dependencies */
+  recorded?: string;
+  /** Decisions file holding the decision; absent for undocumented dependencies */
+  source?: string;
+}
+
+type DriftFixAction = 'supersede' | 'add' | 'revoke';
+
+interface DriftFix {
+  action: DriftFixAction;
+  name: string;
+  /** Decisions file that was changed, relative to the root */
+  file: string;
+  /** Recorded value; absent for revocations */
+  value?: string;
+}
+
+interface Manifest {
+  name: string;
+  /** Directory relative to the root; '' for the root package */
+  dir: string;
+  /** Decisions file governing this package, relative to the root */
+  decisionsPath: string;
+  /** Declared ranges per dependency */
+  dependencies: Map<string, string[]>;
+}
+
+function declaredDependencies(manifest: Record<string, unknown>): Map<string, string[]> {
+  const dependencies = new Map<string, string[]>();
+
+  for (const field of DEPENDENCY_FIELDS) {
+    const entries = manifest[field];
+    if (!isTable(entries)) continue;
+
+    for (const [name, range] of Object.entries(entries)) {
+      if (typeof range !== 'string' || LOCAL_SPECIFIER.test(range)) continue;
+      const ranges = dependencies.get(name) ?? [];
+      if (!ranges.includes(range)) ranges.push(range);
+      dependencies.set(name, ranges);
+    }
+  }
+
+  return dependencies;
+}
+
+function byKey(decisions: SourcedDecision[]): Map<string, SourcedDecision> {
+  return new Map(decisions.filter(d => d.category === CATEGORY).map(d => [d.key, d]));
+}
+
+export class DriftDetector {
+  readonly #root: string;
+  readonly #options: ManagerOptions;
+  readonly #storage: DecisionsStorage;
+  readonly #workspace: WorkspaceDecisions;
+
+  /**
+   * @param root - Workspace root, or the project directory outside a pnpm workspace
+   * @param options - Clock and storage passed to every DecisionsManager
+   */
+  constructor(root: string, options: ManagerOptions = {}) {
+    this.#root = root;
+    this.#storage = options.storage ?? new FileSystemStorage();
+    this.#options = { ...options, storage: this.#storage };
+    this.#workspace = new WorkspaceDecisions(root, this.#options);
+  }
+
+  /**
+   * Compare every package.json with its dependency decisions.
+   * Revoked decisions opt a dependency out and are never reported.
+   */
+  async detect(): Promise<Drift[]> {
+    const manifests = await this.#manifests();
+    const all = (await this.#workspace.list()).filter(d => d.category === CATEGORY);
+    const drift: Drift[] = [];
+
+    for (const manifest of manifests) {
+      const effective = manifest.dir === ''
+        ? byKey(all.filter(d => d.source === ROOT_DECISIONS_FILE))
+        : byKey(await this.#workspace.listPackage(manifest.dir));
+
+      for (const [name, declared] of manifest.dependencies) {
+        const decision = effective.get(name);
+        if (decision === undefined) {
+          drift.push({ kind: 'undocumented', name, package: manifest.name, declared });
+        } else if (decision.status !== 'revoked' && !declared.includes(decision.value)) {
+          drift.push({ kind: 'mismatch', name, package: manifest.name, declared, recorded: decision.value, source: decision.source });
+        }
+      }
+    }
+
+    for (const decision of all.filter(d => d.status !== 'revoked')) {
+      // Root decisions are inherited by every package; package decisions only apply to their own
+      const scope = decision.package === undefined
+        ? manifests
+        : manifests.filter(manifest => manifest.name === decision.package);
+      if (scope.some(manifest => manifest.dependencies.has(decision.key))) continue;
+
+      drift.push({
+        kind: 'orphaned',
+        name: decision.key,
+        package: decision.package ?? manifests[0]?.name ?? '',
+        declared: [],
+        recorded: decision.value,
+        source: decision.source
+      });
+    }
+
+    return drift;
+  }
+
+  /**
+   * Record what package.json declares: supersede mismatched decisions (or
+   * override inherited ones in the package's decisions file), add decisions for
+   * undocumented dependencies and revoke orphaned ones, all with `reason`
+   */
+  async fix(reason: string): Promise<DriftFix[]> {
+    if (reason.trim() === '') {
+      throw new Error('A reason is required to record dependency drift');
+    }
+
+    // Superseding a root decision can leave packages that matched its old value
+    // drifted, so repeat until a pass finds nothing left to record
+    const fixes: DriftFix[] = [];
+    for (let pass = 0; pass < MAX_FIX_PASSES; pass++) {
+      const applied = await this.#fixPass(reason);
+      if (applied.length === 0) break;
+      fixes.push(...applied);
+    }
+    return fixes;
+  }
+
+  async #fixPass(reason: string): Promise<DriftFix[]> {
+    const manifests = new Map((await this.#manifests()).map(manifest => [manifest.name, manifest]));
+    // Values recorded in the root file during this run, which packages inherit
+    const recordedInRoot = new Map<string, string>();
+    const fixes: DriftFix[] = [];
+
+    for (const drift of await this.detect()) {
+      if (drift.kind === 'orphaned') {
+        const file = drift.source ?? ROOT_DECISIONS_FILE;
+        await this.#manager(file).revoke(CATEGORY, drift.name, reason);
+        fixes.push({ action: 'revoke', name: drift.name, file });
+        continue;
+      }
+
+      const value = drift.declared[0];
+      if (value === undefined) continue;
+
+      const governing = manifests.get(drift.package)?.decisionsPath ?? ROOT_DECISIONS_FILE;
+      const inherited = drift.source !== governing;
+      if (inherited && recordedInRoot.get(drift.name) === value) continue;
+
+      let fix: DriftFix;
+      if (!inherited) {
+        await this.#manager(governing).supersede(CATEGORY, drift.name, value, reason);
+        fix = { action: 'supersede', name: drift.name, file: governing, value };
+      } else {
+        // New dependencies are shared through the root file unless the package
+        // keeps its own decisions; inherited mismatches become package overrides
+        const shared = drift.kind === 'undocumented' &&
+          !recordedInRoot.has(drift.name) &&
+          (governing === ROOT_DECISIONS_FILE || !await this.#exists(governing));
+        const file = shared ? ROOT_DECISIONS_FILE : governing;
+        await this.#add(file, drift.name, value, reason);
+        fix = { action: 'add', name: drift.name, file, value };
+      }
+
+      if (fix.file === ROOT_DECISIONS_FILE) recordedInRoot.set(drift.name, value);
+      fixes.push(fix);
+    }
+
+    return fixes;
+  }
+
+  #resolve(file: string): string {
+    return join(this.#root, ...file.split('/'));
+  }
+
+  async #exists(file: string): Promise<boolean> {
+    return this.#storage.exists(this.#resolve(file));
+  }
+
+  #manager(file: string): DecisionsManager {
+    return new DecisionsManager(this.#resolve(file), this.#options);
+  }
+
+  async #add(file: string, name: string, value: string, reason: string): Promise<void> {
+    const manager = this.#manager(file);
+    if (!await this.#exists(file)) await manager.init();
+    await manager.add(CATEGORY, name, value, reason);
+  }
+
+  /**
+   * The root package.json followed by every workspace package's
+   */
+  async #manifests(): Promise<Manifest[]> {
+    const candidates = [
+      { name: undefined, dir: '', decisionsPath: ROOT_DECISIONS_FILE },
+      ...await this.#workspace.packages()
+    ];
+
+    const manifests: Manifest[] = [];
+    for (const candidate of candidates) {
+      const file = candidate.dir === '' ? 'package.json' : `${candidate.dir}/package.json`;
+      if (!await this.#exists(file)) continue;
+
+      const manifest = JSON.parse(await this.#storage.read(this.#resolve(file))) as Record<string, unknown>;
+      const name = candidate.name ?? (typeof manifest['name'] === 'string' ? manifest['name'] : 'root');
+      manifests.push({
+        name,
+        dir: candidate.dir,
+        decisionsPath: candidate.decisionsPath,
+        dependencies: declaredDependencies(manifest)
+      });
+    }
+    return manifests;
+  }
+}
+
+export { DEPENDENCY_FIELDS, declaredDependencies };
+export type { Drift, DriftFix, DriftFixAction, DriftKind };
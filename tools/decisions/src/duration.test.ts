@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+
+import { addDuration, durationInDays, parseDuration } from './duration.ts';
+
+describe('parseDuration', () => {
+  it('parses days, weeks, months and years', () => {
+    expect(parseDuration('30d')).toEqual({ amount: 30, unit: 'd' });
+    expect(parseDuration('6w')).toEqual({ amount: 6, unit: 'w' });
+    expect(parseDuration('6m')).toEqual({ amount: 6, unit: 'm' });
+    expect(parseDuration('1Y')).toEqual({ amount: 1, unit: 'y' });
+  });
+
+  it('rejects malformed durations', () => {
+    expect(() => parseDuration('6 months')).toThrow('Invalid duration "6 months"');
+    expect(() => parseDuration('0d')).toThrow('Invalid duration');
+    expect(() => parseDuration('m')).toThrow('Invalid duration');
+  });
+});
+
+describe('addDuration', () => {
+  const start = new Date('2025-01-31T00:00:00Z');
+
+  it('adds days and weeks', () => {
+    expect(addDuration(start, { amount: 30, unit: 'd' }).toISOString()).toBe('2025-03-02T00:00:00.000Z');
+    expect(addDuration(start, { amount: 2, unit: 'w' }).toISOString()).toBe('2025-02-14T00:00:00.000Z');
+  });
+
+  it('adds calendar months and years', () => {
+    expect(addDuration(start, { amount: 6, unit: 'm' }).toISOString()).toBe('2025-07-31T00:00:00.000Z');
+    expect(addDuration(start, { amount: 1, unit: 'y' }).toISOString()).toBe('2026-01-31T00:00:00.000Z');
+  });
+
+  it('clamps to the last day of a shorter target month', () => {
+    expect(addDuration(start, { amount: 1, unit: 'm' }).toISOString()).toBe('2025-02-28T00:00:00.000Z');
+    expect(addDuration(new Date('2024-01-31T00:00:00Z'), { amount: 1, unit: 'm' }).toISOString()).toBe('2024-02-29T00:00:00.000Z');
+    expect(addDuration(new Date('2024-02-29T00:00:00Z'), { amount: 1, unit: 'y' }).toISOString()).toBe('2025-02-28T00:00:00.000Z');
+    expect(addDuration(new Date('2024-02-29T00:00:00Z'), { amount: 4, unit: 'y' }).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  it('does not modify the original date', () => {
+    addDuration(start, { amount: 1, unit: 'y' });
+    expect(start.toISOString()).toBe('2025-01-31T00:00:00.000Z');
+  });
+
+  it('counts the days a duration spans from a given date', () => {
+    expect(durationInDays({ amount: 14, unit: 'd' }, start)).toBe(14);
+    expect(durationInDays({ amount: 2, unit: 'w' }, start)).toBe(14);
+    expect(durationInDays({ amount: 1, unit: 'm' }, start)).toBe(28);
+  });
+});
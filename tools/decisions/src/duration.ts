@@ -0,0 +1,77 @@
+/**
+ * Review durations like `30d`, `6w`, `6m` and `1y`
+ */
+
+type DurationUnit = 'd' | 'w' | 'm' | 'y';
+
+interface Duration {
+  amount: number;
+  unit: DurationUnit;
+}
+
+const DURATION_PATTERN = /^(\d+)\s*([dwmy])$/;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a duration string, throwing on anything that isn't `<number><d|w|m|y>`
+ */
+function parseDuration(text: string): Duration {
+  const match = DURATION_PATTERN.exec(text.trim().toLowerCase());
+  const amount = Number(match?.[1]);
+
+  if (!match || amount <= 0) {
+    throw new Error(`Invalid duration "${text}": expected a positive number followed by d, w, m or y (e.g. 30d, 6w, 6m, 1y)`);
+  }
+
+  return { amount, unit: match[2] as DurationUnit };
+}
+
+/**
+ * Move `date` by whole calendar months, keeping its day of the month unless
+ * the target month is shorter: then it lands on that month's last day
+ */
+function addMonths(date: Date, months: number): void {
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  // Day 0 of the following month is the last day of this one
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+}
+
+/**
+ * Return a new date `duration` after `date`, using UTC calendar arithmetic.
+ * Months and years never overflow into the next month: Jan 31 + 1m is the
+ * last day of February, and Feb 29 + 1y is Feb 28.
+ */
+function addDuration(date: Date, duration: Duration): Date {
+  const result = new Date(date.getTime());
+
+  switch (duration.unit) {
+    case 'd':
+      result.setUTCDate(result.getUTCDate() + duration.amount);
+      break;
+    case 'w':
+      result.setUTCDate(result.getUTCDate() + duration.amount * 7);
+      break;
+    case 'm':
+      addMonths(result, duration.amount);
+      break;
+    case 'y':
+      addMonths(result, duration.amount * 12);
+      break;
+  }
+
+  return result;
+}
+
+/**
+ * Number of days `duration` spans when counted from `from` (months and years vary in length)
+ */
+function durationInDays(duration: Duration, from = new Date()): number {
+  return Math.round((addDuration(from, duration).getTime() - from.getTime()) / MS_PER_DAY);
+}
+
+export { addDuration, durationInDays, parseDuration };
+export type { Duration, DurationUnit };
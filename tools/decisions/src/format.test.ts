@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+
+import type { DependencyChange } from './diff.ts';
+import { formatChanges, formatDecisions } from './format.ts';
+import type { Decision } from './manager.ts';
+
+function createDecision(overrides: Partial<Decision> = {}): Decision {
+  return {
+    category: 'dependencies',
+    key: 'typescript',
+    value: '^5.8.3',
+    reason: 'Native .ts imports',
+    reviewBy: '2026-01-01',
+    expired: false,
+    status: 'active',
+    history: [],
+    ...overrides
+  };
+}
+
+describe('formatDecisions', () => {
+  const decisions = [
+    createDecision(),
+    createDecision({ key: 'vitest', value: '^3.1.4', reason: 'Fast | ESM', expired: true }),
+    createDecision({ category: 'tools', key: 'jest', value: '^29.0.0', reason: 'Replaced\nby vitest', status: 'revoked' })
+  ];
+
+  it('renders JSON as an array of decisions', () => {
+    const parsed = JSON.parse(formatDecisions(decisions, 'json')) as Decision[];
+
+    expect(parsed).toEqual(decisions);
+    expect(Object.keys(parsed[0] ?? {})).toEqual([
+      'category', 'key', 'value', 'reason', 'reviewBy', 'expired', 'status', 'history'
+    ]);
+  });
+
+  it('drops fields outside the documented shape', () => {
+    const extended = { ...createDecision(), internal: true } as Decision;
+
+    expect(JSON.parse(formatDecisions([extended], 'json'))).toEqual([createDecision()]);
+  });
+
+  it('renders NDJSON as one decision per line', () => {
+    const lines = formatDecisions(decisions, 'ndjson').split('\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines.map(line => (JSON.parse(line) as Decision).key)).toEqual(['typescript', 'vitest', 'jest']);
+  });
+
+  it('renders an aligned table', () => {
+    expect(formatDecisions(decisions, 'table')).toBe([
+      'Status   Decision                 Value    Review By   Reason',
+      'active   dependencies.typescript  ^5.8.3   2026-01-01  Native .ts imports',
+      'expired  dependencies.vitest      ^3.1.4   2026-01-01  Fast | ESM',
+      'revoked  tools.jest               ^29.0.0  2026-01-01  Replaced by vitest'
+    ].join('\n'));
+  });
+
+  it('renders a markdown table with escaped pipes', () => {
+    expect(formatDecisions(decisions, 'markdown')).toBe([
+      '| Status | Decision | Value | Review By | Reason |',
+      '| --- | --- | --- | --- | --- |',
+      '| active | dependencies.typescript | ^5.8.3 | 2026-01-01 | Native .ts imports |',
+      '| expired | dependencies.vitest | ^3.1.4 | 2026-01-01 | Fast \\| ESM |',
+      '| revoked | tools.jest | ^29.0.0 | 2026-01-01 | Replaced by vitest |'
+    ].join('\n'));
+  });
+
+  it('produces valid empty output', () => {
+    expect(formatDecisions([], 'json')).toBe('[]');
+    expect(formatDecisions([], 'ndjson')).toBe('');
+    expect(formatDecisions([], 'markdown').split('\n')).toHaveLength(2);
+  });
+});
+
+describe('formatChanges', () => {
+  const changes: DependencyChange[] = [
+    { kind: 'bumped', name: 'typescript', from: '^5.8.3', to: '^5.9.2', decision: 'updated', recorded: '^5.9.2' },
+    { kind: 'added', name: 'zod', package: '@acme/cli', to: '^3.23.0', decision: 'missing' }
+  ];
+
+  it('renders JSON and NDJSON as the changes', () => {
+    expect(JSON.parse(formatChanges(changes, 'json'))).toEqual(changes);
+    expect(formatChanges(changes, 'ndjson').split('\n').map(line => JSON.parse(line) as DependencyChange)).toEqual(changes);
+  });
+
+  it('adds a Package column when a change is in a workspace package', () => {
+    expect(formatChanges(changes, 'table')).toBe([
+      'Change  Dependency  From    To       Decision  Recorded  Package',
+      'bumped  typescript  ^5.8.3  ^5.9.2   updated   ^5.9.2',
+      'added   zod                 ^3.23.0  missing             @acme/cli'
+    ].join('\n'));
+    expect(formatChanges(changes.slice(0, 1), 'markdown')).toBe([
+      '| Change | Dependency | From | To | Decision | Recorded |',
+      '| --- | --- | --- | --- | --- | --- |',
+      '| bumped | typescript | ^5.8.3 | ^5.9.2 | updated | ^5.9.2 |'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Machine-readable renderings of decisions for `--format`.
+ *
+ * The JSON shape is the `Decision` interface, one object per decision, so
+ * dashboards and PR bots can rely on the same fields the manager returns.
+ * Workspace listings add the provenance fields of `SourcedDecision`.
+ * `decisions diff` renders its `DependencyChange`s the same ways.
+ */
+
+import type { DependencyChange } from './diff.ts';
+import type { Decision } from './manager.ts';
+import type { SourcedDecision } from './workspace.ts';
+
+type Provenance = Pick<SourcedDecision, 'source' | 'package' | 'overrides'>;
+
+/**
+ * A decision, with provenance when it was read from a workspace
+ */
+type FormattableDecision = Decision & Partial<Provenance>;
+
+const OUTPUT_FORMATS = ['json', 'ndjson', 'table', 'markdown'] as const;
+
+type OutputFormat = typeof OUTPUT_FORMATS[number];
+
+type DisplayStatus = 'active' | 'expired' | 'revoked';
+
+const COLUMNS = ['Status', 'Decision', 'Value', 'Review By', 'Reason'] as const;
+const SOURCE_COLUMN = 'Source';
+const CHANGE_COLUMNS = ['Change', 'Dependency', 'From', 'To', 'Decision', 'Recorded'] as const;
+const PACKAGE_COLUMN = 'Package';
+
+function displayStatus(decision: Decision): DisplayStatus {
+  if (decision.status === 'revoked') return 'revoked';
+  return decision.expired ? 'expired' : 'active';
+}
+
+/**
+ * Pick out the documented fields so extra properties never leak into the output
+ */
+function toJson(decision: FormattableDecision): FormattableDecision {
+  return {
+    category: decision.category,
+    key: decision.key,
+    value: decision.value,
+    reason: decision.reason,
+    reviewBy: decision.reviewBy,
+    expired: decision.expired,
+    status: decision.status,
+    history: decision.history,
+    ...(decision.source === undefined ? {} : { source: decision.source }),
+    ...(decision.package === undefined ? {} : { package: decision.package }),
+    ...(decision.overrides === undefined ? {} : { overrides: decision.overrides })
+  };
+}
+
+/**
+ * Header and rows, with a Source column when any decision has provenance
+ */
+function toRows(decisions: FormattableDecision[]): { header: string[]; rows: string[][] } {
+  const withSource = decisions.some(decision => decision.source !== undefined);
+  return {
+    header: withSource ? [...COLUMNS, SOURCE_COLUMN] : [...COLUMNS],
+    rows: decisions.map(decision => toRow(decision, withSource))
+  };
+}
+
+function toRow(decision: FormattableDecision, withSource: boolean): string[] {
+  const row = [
+    displayStatus(decision),
+    `${decision.category}.${decision.key}`,
+    decision.value,
+    decision.reviewBy,
+    // Multi-line reasons would break the row layout
+    decision.reason.replace(/\s*\n\s*/g, ' ').trim()
+  ];
+  return withSource ? [...row, decision.source ?? ''] : row;
+}
+
+/**
+ * Pick out the documented fields, in a stable order
+ */
+function changeToJson(change: DependencyChange): DependencyChange {
+  return {
+    kind: change.kind,
+    name: change.name,
+    ...(change.package === undefined ? {} : { package: change.package }),
+    ...(change.from === undefined ? {} : { from: change.from }),
+    ...(change.to === undefined ? {} : { to: change.to }),
+    decision: change.decision,
+    ...(change.recorded === undefined ? {} : { recorded: change.recorded })
+  };
+}
+
+/**
+ * Header and rows, with a Package column when any change is in a workspace package
+ */
+function changeRows(changes: DependencyChange[]): { header: string[]; rows: string[][] } {
+  const withPackage = changes.some(change => change.package !== undefined);
+  return {
+    header: withPackage ? [...CHANGE_COLUMNS, PACKAGE_COLUMN] : [...CHANGE_COLUMNS],
+    rows: changes.map(change => {
+      const row = [change.kind, change.name, change.from ?? '', change.to ?? '', change.decision, change.recorded ?? ''];
+      return withPackage ? [...row, change.package ?? ''] : row;
+    })
+  };
+}
+
+function renderTable({ header, rows }: { header: string[]; rows: string[][] }): string {
+  const all = [header, ...rows];
+  const widths = header.map((_, column) => Math.max(...all.map(row => (row[column] ?? '').length)));
+
+  return all
+    .map(row => row.map((cell, column) => cell.padEnd(widths[column] ?? 0)).join('  ').trimEnd())
+    .join('\n');
+}
+
+function renderMarkdown({ header, rows }: { header: string[]; rows: string[][] }): string {
+  const escape = (cell: string): string => cell.replace(/\|/g, '\\|');
+  const line = (cells: readonly string[]): string => `| ${cells.map(escape).join(' | ')} |`;
+
+  return [
+    line(header),
+    line(header.map(() => '---')),
+    ...rows.map(line)
+  ].join('\n');
+}
+
+/**
+ * Render decisions in a machine-readable format.
+ * `ndjson` returns an empty string for no decisions; every other format
+ * still produces valid output (`[]`, or a header row).
+ */
+function formatDecisions(decisions: FormattableDecision[], format: OutputFormat): string {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(decisions.map(toJson), null, 2);
+    case 'ndjson':
+      return decisions.map(decision => JSON.stringify(toJson(decision))).join('\n');
+    case 'table':
+      return renderTable(toRows(decisions));
+    case 'markdown':
+      return renderMarkdown(toRows(decisions));
+  }
+}
+
+/**
+ * Render dependency changes from `decisions diff`, with the same conventions
+ * as `formatDecisions`
+ */
+function formatChanges(changes: DependencyChange[], format: OutputFormat): string {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(changes.map(changeToJson), null, 2);
+    case 'ndjson':
+      return changes.map(change => JSON.stringify(changeToJson(change))).join('\n');
+    case 'table':
+      return renderTable(changeRows(changes));
+    case 'markdown':
+      return renderMarkdown(changeRows(changes));
+  }
+}
+
+export { OUTPUT_FORMATS, formatChanges, formatDecisions };
+export type { FormattableDecision, OutputFormat };
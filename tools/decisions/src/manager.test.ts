@@ -1,9 +1,10 @@
 import { existsSync } from 'fs';
-import { unlink } from 'fs/promises';
+import { readFile, unlink, writeFile } from 'fs/promises';
 
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 
-import { DecisionsManager, createDateString } from "./manager.ts";
+import { addDuration, parseDuration } from './duration.ts';
+import { DecisionsManager, DecisionsValidationError, MemoryStorage, createDateString } from "./manager.ts";
 
 describe('DecisionsManager', () => {
   const testConfigPath = 'test-decisions.toml';
@@ -67,6 +68,36 @@ describe('DecisionsManager', () => {
       expect(decisions).toHaveProperty('metadata');
       expect(decisions).toHaveProperty('defaults');
     });
+
+    it('fails fast with structured errors for malformed entries', async () => {
+      await writeFile(testConfigPath, '[tools.eslint]\nvalue = "^9.0.0"\nreviewby = "2025-01-01"\n', 'utf8');
+
+      const error = await manager.load().catch((e: unknown) => e);
+
+      expect(error).toBeInstanceOf(DecisionsValidationError);
+      expect((error as DecisionsValidationError).issues.map(issue => issue.message)).toEqual([
+        'missing required field "reason"',
+        'missing required field "reviewBy"',
+        'unknown field "reviewby" (did you mean "reviewBy"?)'
+      ]);
+      expect((error as DecisionsValidationError).message).toContain(`${testConfigPath}:3 tools.eslint.reviewby`);
+    });
+  });
+
+  describe('validate', () => {
+    it('returns no issues for a valid file', async () => {
+      await manager.init(true);
+      expect(await manager.validate()).toEqual([]);
+    });
+
+    it('reports syntax errors as issues instead of throwing', async () => {
+      await writeFile(testConfigPath, '[tools.eslint\n', 'utf8');
+
+      const issues = await manager.validate();
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0]?.line).toBe(1);
+    });
   });
 
   describe('add', () => {
@@ -118,6 +149,100 @@ describe('DecisionsManager', () => {
     });
   });
 
+  describe('save', () => {
+    const handWritten = `# Team decisions
+[defaults]
+reviewAfter = "6m" # team-wide default
+
+# Build tooling
+[tools.eslint]
+value = "^9.0.0"
+reason = "Linting"
+reviewBy = "2099-01-01"
+
+[architecture.monorepo]
+value = "pnpm workspaces"
+reason = "Native monorepo support"
+reviewBy = "2099-01-01"
+`;
+
+    it('leaves the file byte-for-byte identical on a no-op save', async () => {
+      await writeFile(testConfigPath, handWritten, 'utf8');
+
+      await manager.save(await manager.load());
+
+      expect(await readFile(testConfigPath, 'utf8')).toBe(handWritten);
+    });
+
+    it('only touches the affected table when adding a decision', async () => {
+      await writeFile(testConfigPath, handWritten, 'utf8');
+
+      await manager.add('tools', 'prettier', '^3.0.0', 'Formatting');
+
+      const content = await readFile(testConfigPath, 'utf8');
+      const insertAt = handWritten.indexOf('[architecture.monorepo]');
+      expect(content.startsWith(handWritten.slice(0, insertAt))).toBe(true);
+      expect(content.endsWith(handWritten.slice(insertAt))).toBe(true);
+      expect(content.slice(insertAt, content.length - (handWritten.length - insertAt))).toMatch(
+        /^\[tools\.prettier\]\nvalue = "\^3\.0\.0"\nreason = "Formatting"\nreviewBy = "\d{4}-\d{2}-\d{2}"\ndecided = "\d{4}-\d{2}-\d{2}"\n\n$/
+      );
+    });
+  });
+
+  describe('review durations', () => {
+    function expectedReviewBy(duration: string): string {
+      return createDateString(addDuration(new Date(), parseDuration(duration)));
+    }
+
+    it('uses [defaults].reviewAfter', async () => {
+      await writeFile(testConfigPath, '[defaults]\nreviewAfter = "30d"\n', 'utf8');
+
+      await manager.add('tools', 'eslint', '^9.0.0', 'Linting');
+
+      const [decision] = await manager.list();
+      expect(decision?.reviewBy).toBe(expectedReviewBy('30d'));
+    });
+
+    it('prefers per-category defaults', async () => {
+      await writeFile(testConfigPath, '[defaults]\nreviewAfter = "1y"\n\n[defaults.dependencies]\nreviewAfter = "3m"\n', 'utf8');
+
+      await manager.add('dependencies', 'left-pad', '^1.0.0', 'Padding');
+      await manager.add('tools', 'eslint', '^9.0.0', 'Linting');
+
+      const decisions = await manager.list();
+      expect(decisions.find(d => d.key === 'left-pad')?.reviewBy).toBe(expectedReviewBy('3m'));
+      expect(decisions.find(d => d.key === 'eslint')?.reviewBy).toBe(expectedReviewBy('1y'));
+    });
+
+    it('prefers an explicit reviewAfter over defaults', async () => {
+      await writeFile(testConfigPath, '[defaults.dependencies]\nreviewAfter = "3m"\n', 'utf8');
+
+      await manager.add('dependencies', 'left-pad', '^1.0.0', 'Padding', { reviewAfter: '2w' });
+
+      const [decision] = await manager.list();
+      expect(decision?.reviewBy).toBe(expectedReviewBy('2w'));
+    });
+
+    it('rejects invalid durations without writing', async () => {
+      await manager.init();
+
+      await expect(manager.add('tools', 'eslint', '^9.0.0', 'Linting', { reviewAfter: 'soon' }))
+        .rejects.toThrow('Invalid duration "soon"');
+      expect(await manager.list()).toEqual([]);
+    });
+
+    it('reports invalid durations in defaults as validation issues', async () => {
+      await writeFile(testConfigPath, '[defaults]\nreviewAfter = "6 months"\n\n[defaults.dependencies]\nreviewAfer = "3m"\n', 'utf8');
+
+      const issues = await manager.validate();
+
+      expect(issues.map(issue => [issue.line, issue.path.join('.')])).toEqual([
+        [2, 'defaults.reviewAfter'],
+        [5, 'defaults.dependencies.reviewAfer']
+      ]);
+    });
+  });
+
   describe('list', () => {
     beforeEach(async () => {
       await manager.init();
@@ -205,6 +330,167 @@ describe('DecisionsManager', () => {
       expect(expired).toHaveLength(1);
       expect(expired[0]?.expired).toBe(true);
     });
+
+    it('never reports revoked decisions', async () => {
+      await writeFile(testConfigPath, '[test.package]\nvalue = "1.0.0"\nreason = "test"\nreviewBy = "2020-01-01"\n', 'utf8');
+      await manager.revoke('test', 'package', 'No longer used', { by: 'alice' });
+
+      expect(await manager.getExpired()).toEqual([]);
+    });
+  });
+
+  describe('getDueSoon', () => {
+    function inDays(days: number): string {
+      return createDateString(addDuration(new Date(), { amount: days, unit: 'd' }));
+    }
+
+    beforeEach(async () => {
+      await writeFile(testConfigPath, [
+        `[test.soon]\nvalue = "1"\nreason = "r"\nreviewBy = "${inDays(10)}"`,
+        `[test.later]\nvalue = "1"\nreason = "r"\nreviewBy = "${inDays(30)}"`,
+        `[test.expired]\nvalue = "1"\nreason = "r"\nreviewBy = "2020-01-01"`,
+        `[test.revoked]\nvalue = "1"\nreason = "r"\nreviewBy = "${inDays(5)}"\nstatus = "revoked"`
+      ].join('\n\n'), 'utf8');
+    });
+
+    it('returns active decisions due within the window, excluding expired ones', async () => {
+      expect((await manager.getDueSoon(14)).map(d => d.key)).toEqual(['soon']);
+      expect((await manager.getDueSoon(30)).map(d => d.key)).toEqual(['soon', 'later']);
+    });
+
+    it('rejects negative or fractional windows', async () => {
+      await expect(manager.getDueSoon(-1)).rejects.toThrow('Invalid number of days: -1');
+      await expect(manager.getDueSoon(1.5)).rejects.toThrow('Invalid number of days: 1.5');
+    });
+  });
+
+  describe('lifecycle', () => {
+    beforeEach(async () => {
+      await manager.init();
+      await manager.add('dependencies', 'zod', '^3.0.0', 'Schema validation');
+    });
+
+    it('renews a decision, pushing back its review date', async () => {
+      await manager.renew('dependencies', 'zod', 'Still the best fit', { by: 'alice', reviewAfter: '1y' });
+
+      const [decision] = await manager.listByCategory('dependencies');
+      expect(decision?.reviewBy).toBe(createDateString(addDuration(new Date(), parseDuration('1y'))));
+      expect(decision?.history).toEqual([{
+        action: 'renew',
+        at: createDateString(),
+        by: 'alice',
+        reason: 'Still the best fit',
+        oldValue: '^3.0.0',
+        newValue: '^3.0.0'
+      }]);
+    });
+
+    it('supersedes a decision, replacing its value and reason', async () => {
+      await manager.supersede('dependencies', 'zod', '^4.0.0', 'Faster parsing', { by: 'bob' });
+
+      const [decision] = await manager.listByCategory('dependencies');
+      expect(decision).toMatchObject({ value: '^4.0.0', reason: 'Faster parsing' });
+      expect(decision?.history[0]).toMatchObject({
+        action: 'supersede',
+        reason: 'Faster parsing',
+        oldValue: '^3.0.0',
+        newValue: '^4.0.0',
+        oldReason: 'Schema validation'
+      });
+    });
+
+    it('appends to the history on every change', async () => {
+      await manager.renew('dependencies', 'zod', 'Reviewed', { by: 'alice' });
+      await manager.supersede('dependencies', 'zod', '^4.0.0', 'Upgrade', { by: 'bob' });
+      await manager.revoke('dependencies', 'zod', 'Replaced by valibot', { by: 'carol' });
+
+      const [decision] = await manager.listByCategory('dependencies');
+      expect(decision?.status).toBe('revoked');
+      expect(decision?.history.map(entry => [entry.action, entry.by])).toEqual([
+        ['renew', 'alice'],
+        ['supersede', 'bob'],
+        ['revoke', 'carol']
+      ]);
+      expect(decision?.history[2]).not.toHaveProperty('newValue');
+
+      const content = await readFile(testConfigPath, 'utf8');
+      expect(content.match(/\[\[dependencies\.zod\.history\]\]/g)).toHaveLength(3);
+    });
+
+    it('reinstates a revoked decision, keeping its history', async () => {
+      await manager.revoke('dependencies', 'zod', 'Replaced by valibot', { by: 'carol' });
+      await manager.reinstate('dependencies', 'zod', '^4.0.0', 'valibot lacked transforms', { by: 'dave' });
+
+      const [decision] = await manager.listByCategory('dependencies');
+      expect(decision).toMatchObject({ value: '^4.0.0', reason: 'valibot lacked transforms', status: 'active' });
+      expect(decision?.history.map(entry => [entry.action, entry.by, entry.oldValue, entry.newValue])).toEqual([
+        ['revoke', 'carol', '^3.0.0', undefined],
+        ['reinstate', 'dave', '^3.0.0', '^4.0.0']
+      ]);
+      await expect(manager.reinstate('dependencies', 'zod', '^4.0.0', 'Again')).rejects.toThrow(
+        'Cannot reinstate dependencies.zod: decision is not revoked'
+      );
+    });
+
+    it('requires a reason', async () => {
+      await expect(manager.renew('dependencies', 'zod', '  ')).rejects.toThrow('A reason is required');
+    });
+
+    it('rejects unknown and revoked decisions', async () => {
+      await expect(manager.renew('dependencies', 'missing', 'x')).rejects.toThrow('Decision not found: dependencies.missing');
+
+      await manager.revoke('dependencies', 'zod', 'Unused');
+      await expect(manager.supersede('dependencies', 'zod', '^4.0.0', 'x')).rejects.toThrow(
+        'Cannot supersede dependencies.zod: decision was revoked'
+      );
+    });
+  });
+});
+
+describe('DecisionsManager with an injected clock and storage', () => {
+  const content = `[defaults]
+reviewAfter = "30d"
+
+[tools.eslint]
+value = "^9.0.0"
+reason = "Linting"
+reviewBy = "2025-03-01"
+`;
+
+  function createManager(now: string, storage = new MemoryStorage({ 'decisions.toml': content })): DecisionsManager {
+    return new DecisionsManager('decisions.toml', { clock: { now: () => new Date(now) }, storage });
+  }
+
+  it('computes expiry from the clock', async () => {
+    expect(await createManager('2025-02-28T12:00:00Z').getExpired()).toEqual([]);
+    expect((await createManager('2025-03-02T00:00:00Z').getExpired()).map(d => d.key)).toEqual(['eslint']);
+  });
+
+  it('computes due-soon windows from the clock', async () => {
+    const manager = createManager('2025-02-20T00:00:00Z');
+
+    expect(await manager.getDueSoon(7)).toEqual([]);
+    expect((await manager.getDueSoon(9)).map(d => d.key)).toEqual(['eslint']);
+  });
+
+  it('stamps new decisions and history with the clock date', async () => {
+    const storage = new MemoryStorage({ 'decisions.toml': content });
+    const manager = createManager('2025-01-15T00:00:00Z', storage);
+
+    await manager.add('tools', 'prettier', '^3.0.0', 'Formatting');
+    await manager.renew('tools', 'eslint', 'Still needed', { by: 'alice' });
+
+    const written = await storage.read('decisions.toml');
+    expect(written).toContain('[tools.prettier]\nvalue = "^3.0.0"\nreason = "Formatting"\nreviewBy = "2025-02-14"\ndecided = "2025-01-15"');
+    expect(written).toContain('reviewBy = "2025-02-14"\n\n[[tools.eslint.history]]\naction = "renew"\nat = "2025-01-15"');
+  });
+
+  it('initializes files in the storage, not on disk', async () => {
+    const storage = new MemoryStorage();
+    await createManager('2025-01-15T00:00:00Z', storage).init();
+
+    expect(await storage.read('decisions.toml')).toContain('createdAt = "2025-01-15"');
+    expect(existsSync('decisions.toml')).toBe(false);
   });
 });
 
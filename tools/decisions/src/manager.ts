@@ -1,8 +1,20 @@
-import { existsSync } from 'fs';
-import { readFile, writeFile } from 'fs/promises';
-
 import * as TOML from '@iarna/toml';
 
+import { systemClock } from './clock.ts';
+import type { Clock } from './clock.ts';
+import { addDuration, parseDuration } from './duration.ts';
+import {
+  DecisionsValidationError,
+  RESERVED_SECTIONS,
+  isTable,
+  parseDecisions,
+  validateDecisions
+} from './schema.ts';
+import type { DecisionRecord, DecisionStatus, HistoryAction, HistoryEntry, ValidationIssue } from './schema.ts';
+import { FileSystemStorage, GitRevisionStorage, MemoryStorage, StagedStorage } from './storage.ts';
+import type { DecisionsStorage } from './storage.ts';
+import { TomlDocument } from './toml-document.ts';
+
 interface Decision {
   category: string;
   key: string;
@@ -10,8 +22,29 @@ interface Decision {
   reason: string;
   reviewBy: string;
   expired: boolean;
+  status: DecisionStatus;
+  history: HistoryEntry[];
 }
 
+interface AddOptions {
+  /** Review duration for this decision, overriding `[defaults]` (e.g. '30d', '3m') */
+  reviewAfter?: string;
+}
+
+interface LifecycleOptions extends AddOptions {
+  /** Who is making the change; recorded in the decision's history */
+  by?: string;
+}
+
+interface ManagerOptions {
+  /** Defaults to the system clock */
+  clock?: Clock;
+  /** Defaults to the filesystem */
+  storage?: DecisionsStorage;
+}
+
+const DEFAULT_REVIEW_AFTER = '6m';
+
 function createDateString(date = new Date()): string {
   const isoString = date.toISOString();
   const datePart = isoString.split('T')[0];
@@ -20,29 +53,93 @@ function createDateString(date = new Date()): string {
 
 export class DecisionsManager {
   readonly #configPath: string;
-  
-  constructor(configPath = 'decisions.toml') {
+  readonly #clock: Clock;
+  readonly #storage: DecisionsStorage;
+
+  constructor(configPath = 'decisions.toml', options: ManagerOptions = {}) {
     this.#configPath = configPath;
+    this.#clock = options.clock ?? systemClock;
+    this.#storage = options.storage ?? new FileSystemStorage();
+  }
+
+  #today(): string {
+    return createDateString(this.#clock.now());
+  }
+
+  /**
+   * Path of the decisions file this manager reads and writes
+   */
+  get configPath(): string {
+    return this.#configPath;
+  }
+
+  /**
+   * Raw decisions file content, e.g. for pointing reports at source lines
+   */
+  async source(): Promise<string> {
+    return this.#read();
   }
 
+  /**
+   * Load and validate decisions, throwing DecisionsValidationError on malformed entries
+   */
   async load(): Promise<Record<string, unknown>> {
-    if (!existsSync(this.#configPath)) {
+    const content = await this.#read();
+    const decisions = parseDecisions(this.#configPath, content);
+
+    const issues = validateDecisions(decisions, content);
+    if (issues.length > 0) {
+      throw new DecisionsValidationError(this.#configPath, issues);
+    }
+
+    return decisions;
+  }
+
+  /**
+   * Report every malformed entry without failing on the first one
+   */
+  async validate(): Promise<ValidationIssue[]> {
+    const content = await this.#read();
+
+    try {
+      return validateDecisions(parseDecisions(this.#configPath, content), content);
+    } catch (error) {
+      if (error instanceof DecisionsValidationError) return error.issues;
+      throw error;
+    }
+  }
+
+  async #read(): Promise<string> {
+    if (!await this.#storage.exists(this.#configPath)) {
       throw new Error(`Decisions file not found: ${this.#configPath}`);
     }
-    
-    const content = await readFile(this.#configPath, 'utf8');
-    return TOML.parse(content) as Record<string, unknown>;
+
+    return this.#storage.read(this.#configPath);
   }
 
+  /**
+   * Write decisions back, editing only the tables that changed so hand-written
+   * comments, blank lines and key order survive
+   */
   async save(decisions: Record<string, unknown>): Promise<void> {
-    // TOML.stringify expects JsonMap but our decisions structure is compatible
-    const tomlData = decisions as unknown as TOML.JsonMap;
-    const content = TOML.stringify(tomlData);
-    await writeFile(this.#configPath, content, 'utf8');
+    if (!await this.#storage.exists(this.#configPath)) {
+      // TOML.stringify expects JsonMap but our decisions structure is compatible
+      await this.#storage.write(this.#configPath, TOML.stringify(decisions as unknown as TOML.JsonMap));
+      return;
+    }
+
+    const content = await this.#storage.read(this.#configPath);
+    const document = new TomlDocument(content);
+    document.update(decisions);
+
+    const updated = document.toString();
+    if (updated !== content) {
+      await this.#storage.write(this.#configPath, updated);
+    }
   }
 
   async init(withExamples = false): Promise<void> {
-    if (existsSync(this.#configPath)) {
+    if (await this.#storage.exists(this.#configPath)) {
       throw new Error(`File already exists: ${this.#configPath}`);
     }
 
@@ -50,16 +147,15 @@ export class DecisionsManager {
       metadata: {
         version: '1.0',
         description: 'Technical decisions for this project',
-        createdAt: createDateString()
+        createdAt: this.#today()
       },
       defaults: {
-        reviewAfter: '6m'
+        reviewAfter: DEFAULT_REVIEW_AFTER
       }
     };
 
     if (withExamples) {
-      const reviewDate = new Date();
-      reviewDate.setMonth(reviewDate.getMonth() + 6);
+      const reviewDate = addDuration(this.#clock.now(), parseDuration(DEFAULT_REVIEW_AFTER));
 
       const decisionData = decisions as Record<string, unknown>;
       decisionData['dependencies'] = {
@@ -67,7 +163,7 @@ export class DecisionsManager {
           value: '^5.7.0',
           reason: 'Native .ts import support',
           reviewBy: createDateString(reviewDate),
-          decided: createDateString()
+          decided: this.#today()
         }
       };
     }
@@ -75,50 +171,162 @@ export class DecisionsManager {
     await this.save(decisions);
   }
 
-  async add(category: string, key: string, value: string, reason: string): Promise<void> {
+  async add(category: string, key: string, value: string, reason: string, options: AddOptions = {}): Promise<void> {
     const decisions = await this.load();
+    const reviewBy = this.#reviewDate(decisions, category, options);
     
     // Initialize category if it doesn't exist
     if (decisions[category] === undefined || typeof decisions[category] !== 'object') {
       decisions[category] = {};
     }
 
-    const reviewDate = new Date();
-    reviewDate.setMonth(reviewDate.getMonth() + 6);
-
     const categoryObj = decisions[category] as Record<string, unknown>;
     categoryObj[key] = {
       value,
       reason,
-      reviewBy: createDateString(reviewDate),
-      decided: createDateString()
+      reviewBy,
+      decided: this.#today()
+    };
+
+    await this.save(decisions);
+  }
+
+  /**
+   * Mark a decision as reviewed: keep its value and push `reviewBy` out again
+   */
+  async renew(category: string, key: string, reason: string, options: LifecycleOptions = {}): Promise<void> {
+    await this.#transition(category, key, 'renew', reason, options, (record, decisions) => {
+      record.reviewBy = this.#reviewDate(decisions, category, options);
+      return { newValue: record.value };
+    });
+  }
+
+  /**
+   * Replace a decision's value, recording what it replaced
+   */
+  async supersede(category: string, key: string, value: string, reason: string, options: LifecycleOptions = {}): Promise<void> {
+    await this.#transition(category, key, 'supersede', reason, options, (record, decisions) => {
+      record.value = value;
+      record.reason = reason;
+      record.reviewBy = this.#reviewDate(decisions, category, options);
+      record.decided = this.#today();
+      return { newValue: value };
+    });
+  }
+
+  /**
+   * Retire a decision. It stays in the file for its history but no longer expires.
+   */
+  async revoke(category: string, key: string, reason: string, options: LifecycleOptions = {}): Promise<void> {
+    await this.#transition(category, key, 'revoke', reason, options, record => {
+      record.status = 'revoked';
+      return {};
+    });
+  }
+
+  /**
+   * Make a revoked decision active again with a new value, keeping its history
+   */
+  async reinstate(category: string, key: string, value: string, reason: string, options: LifecycleOptions = {}): Promise<void> {
+    await this.#transition(category, key, 'reinstate', reason, options, (record, decisions) => {
+      delete record.status;
+      record.value = value;
+      record.reason = reason;
+      record.reviewBy = this.#reviewDate(decisions, category, options);
+      record.decided = this.#today();
+      return { newValue: value };
+    });
+  }
+
+  /**
+   * Apply a lifecycle change to a decision and append it to the history.
+   * Only `reinstate` applies to revoked decisions, and only to them.
+   */
+  async #transition(
+    category: string,
+    key: string,
+    action: HistoryAction,
+    reason: string,
+    options: LifecycleOptions,
+    apply: (record: DecisionRecord, decisions: Record<string, unknown>) => { newValue?: string }
+  ): Promise<void> {
+    if (reason.trim() === '') {
+      throw new Error(`A reason is required to ${action} ${category}.${key}`);
+    }
+
+    const decisions = await this.load();
+    const categoryObj = decisions[category];
+    const record = isTable(categoryObj) ? categoryObj[key] as DecisionRecord | undefined : undefined;
+
+    if (record === undefined) {
+      throw new Error(`Decision not found: ${category}.${key}`);
+    }
+    if (record.status === 'revoked' && action !== 'reinstate') {
+      throw new Error(`Cannot ${action} ${category}.${key}: decision was revoked`);
+    }
+    if (record.status !== 'revoked' && action === 'reinstate') {
+      throw new Error(`Cannot reinstate ${category}.${key}: decision is not revoked`);
+    }
+
+    const oldValue = record.value;
+    const oldReason = record.reason;
+    const { newValue } = apply(record, decisions);
+    const entry: HistoryEntry = {
+      action,
+      at: this.#today(),
+      by: options.by ?? process.env['USER'] ?? 'unknown',
+      reason,
+      oldValue,
+      ...(newValue === undefined ? {} : { newValue }),
+      ...(record.reason === oldReason ? {} : { oldReason })
     };
+    record.history = [...(record.history ?? []), entry];
 
     await this.save(decisions);
   }
 
+  #reviewDate(decisions: Record<string, unknown>, category: string, options: AddOptions): string {
+    const reviewAfter = parseDuration(options.reviewAfter ?? this.#defaultReviewAfter(decisions, category));
+    return createDateString(addDuration(this.#clock.now(), reviewAfter));
+  }
+
+  /**
+   * Resolve the review duration for a category:
+   * `[defaults.<category>].reviewAfter`, then `[defaults].reviewAfter`, then 6 months
+   */
+  #defaultReviewAfter(decisions: Record<string, unknown>, category: string): string {
+    const defaults = decisions['defaults'];
+    if (!isTable(defaults)) return DEFAULT_REVIEW_AFTER;
+
+    const categoryDefaults = defaults[category];
+    if (isTable(categoryDefaults) && typeof categoryDefaults['reviewAfter'] === 'string') {
+      return categoryDefaults['reviewAfter'];
+    }
+
+    return typeof defaults['reviewAfter'] === 'string' ? defaults['reviewAfter'] : DEFAULT_REVIEW_AFTER;
+  }
+
   async list(): Promise<Decision[]> {
     const decisions = await this.load();
     const results: Decision[] = [];
-    const today = createDateString();
+    const today = this.#today();
 
     for (const [catName, catDecisions] of Object.entries(decisions)) {
-      if (catName === 'metadata' || catName === 'defaults') continue;
-
-      if (typeof catDecisions === 'object' && catDecisions !== null && !Array.isArray(catDecisions)) {
-        for (const [decKey, decision] of Object.entries(catDecisions as Record<string, unknown>)) {
-          if (typeof decision === 'object' && decision !== null && !Array.isArray(decision)) {
-            const decisionObj = decision as { value: string; reason: string; reviewBy: string };
-            results.push({
-              category: catName,
-              key: decKey,
-              value: decisionObj.value,
-              reason: decisionObj.reason,
-              reviewBy: decisionObj.reviewBy,
-              expired: decisionObj.reviewBy < today
-            });
-          }
-        }
+      if ((RESERVED_SECTIONS as readonly string[]).includes(catName) || !isTable(catDecisions)) continue;
+
+      // load() has already validated every entry against the decision model
+      for (const [decKey, decision] of Object.entries(catDecisions)) {
+        const record = decision as DecisionRecord;
+        results.push({
+          category: catName,
+          key: decKey,
+          value: record.value,
+          reason: record.reason,
+          reviewBy: record.reviewBy,
+          expired: record.status !== 'revoked' && record.reviewBy < today,
+          status: record.status ?? 'active',
+          history: record.history ?? []
+        });
       }
     }
 
@@ -130,6 +338,19 @@ export class DecisionsManager {
     return all.filter(d => d.expired);
   }
 
+  /**
+   * Active decisions that are not yet expired but are due for review within `days` days
+   */
+  async getDueSoon(days: number): Promise<Decision[]> {
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error(`Invalid number of days: ${days}`);
+    }
+
+    const cutoff = createDateString(addDuration(this.#clock.now(), { amount: days, unit: 'd' }));
+    const all = await this.list();
+    return all.filter(d => d.status !== 'revoked' && !d.expired && d.reviewBy <= cutoff);
+  }
+
 
   // Just reuse the general list method with a filter
   async listByCategory(category: string): Promise<Decision[]> {
@@ -138,5 +359,25 @@ export class DecisionsManager {
   }
 }
 
-export { createDateString };
-export type { Decision };
\ No newline at end of file
+export {
+  addDuration,
+  createDateString,
+  DecisionsValidationError,
+  FileSystemStorage,
+  GitRevisionStorage,
+  MemoryStorage,
+  parseDuration,
+  StagedStorage,
+  systemClock
+};
+export type {
+  AddOptions,
+  Clock,
+  Decision,
+  DecisionRecord,
+  DecisionsStorage,
+  HistoryEntry,
+  LifecycleOptions,
+  ManagerOptions,
+  ValidationIssue
+};
\ No newline at end of file
@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+
+import type { Decision } from './manager.ts';
+import { createReport } from './report.ts';
+
+const content = `[metadata]
+version = "1.0"
+
+[dependencies.typescript]
+value = "^5.8.3"
+reason = "Native .ts imports"
+reviewBy = "2099-01-01"
+
+[dependencies."@types/node"]
+value = "^20.0.0"
+reason = "Staying on <Node 20> & LTS"
+reviewBy = "2020-01-01"
+
+[tools.jest]
+value = "^29.0.0"
+reason = "Replaced"
+reviewBy = "2020-01-01"
+status = "revoked"
+`;
+
+const source = { file: 'decisions.toml', content };
+
+function createDecision(category: string, key: string, overrides: Partial<Decision> = {}): Decision {
+  return {
+    category,
+    key,
+    value: '^5.8.3',
+    reason: 'Native .ts imports',
+    reviewBy: '2099-01-01',
+    expired: false,
+    status: 'active',
+    history: [],
+    ...overrides
+  };
+}
+
+const typescript = createDecision('dependencies', 'typescript');
+
+const decisions = [
+  typescript,
+  createDecision('dependencies', '@types/node', { value: '^20.0.0', reason: 'Staying on <Node 20> & LTS', reviewBy: '2020-01-01', expired: true }),
+  createDecision('tools', 'jest', { value: '^29.0.0', reason: 'Replaced', reviewBy: '2020-01-01', status: 'revoked' })
+];
+
+interface SarifLog {
+  version: string;
+  runs: {
+    tool: { driver: { name: string; rules: { id: string }[] } };
+    results: {
+      ruleId: string;
+      level: string;
+      message: { text: string };
+      locations: { physicalLocation: { artifactLocation: { uri: string }; region?: { startLine: number } } }[];
+    }[];
+  }[];
+}
+
+describe('createReport', () => {
+  describe('sarif', () => {
+    it('reports one result per expired decision at its line', () => {
+      const sarif = JSON.parse(createReport('sarif', decisions, source)) as SarifLog;
+      const [run] = sarif.runs;
+
+      expect(sarif.version).toBe('2.1.0');
+      expect(run?.tool.driver.name).toBe('decisions');
+      expect(run?.tool.driver.rules.map(rule => rule.id)).toEqual(['expired-decision', 'decision-due-soon']);
+      expect(run?.results).toEqual([{
+        ruleId: 'expired-decision',
+        level: 'error',
+        message: { text: 'dependencies.@types/node (^20.0.0) expired on 2020-01-01: Staying on <Node 20> & LTS' },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: 'decisions.toml' },
+            region: { startLine: 9 }
+          }
+        }]
+      }]);
+    });
+
+    it('reports decisions due soon as warnings', () => {
+      const soon = createDecision('dependencies', 'typescript', { reviewBy: '2025-01-10' });
+      const sarif = JSON.parse(createReport('sarif', [soon], source, { dueSoon: [soon] })) as SarifLog;
+
+      expect(sarif.runs[0]?.results.map(result => [result.ruleId, result.level, result.locations[0]?.physicalLocation.region])).toEqual([
+        ['decision-due-soon', 'warning', { startLine: 4 }]
+      ]);
+    });
+
+    it('produces an empty result list when nothing is expired', () => {
+      const sarif = JSON.parse(createReport('sarif', [typescript], source)) as SarifLog;
+
+      expect(sarif.runs[0]?.results).toEqual([]);
+    });
+  });
+
+  describe('workspaces', () => {
+    const packageSource = {
+      file: 'tools/cli/decisions.toml',
+      content: '[dependencies.commander]\nvalue = "^12.0.0"\nreason = "CLI parsing"\nreviewBy = "2020-01-01"\n'
+    };
+    const commander = {
+      ...createDecision('dependencies', 'commander', { value: '^12.0.0', reviewBy: '2020-01-01', expired: true }),
+      source: packageSource.file
+    };
+
+    it('points each finding at the file the decision came from', () => {
+      const sarif = JSON.parse(createReport('sarif', [commander], [source, packageSource])) as SarifLog;
+
+      const location = sarif.runs[0]?.results[0]?.locations[0]?.physicalLocation;
+      expect(location?.artifactLocation.uri).toBe('tools/cli/decisions.toml');
+      expect(location?.region?.startLine).toBe(1);
+    });
+
+    it('writes one JUnit test suite per decisions file', () => {
+      const junit = createReport('junit', [...decisions, commander], [source, packageSource]);
+
+      expect(junit).toContain('<testsuites name="decisions" tests="3" failures="2">');
+      expect(junit).toContain('<testsuite name="decisions.toml" tests="2" failures="1">');
+      expect(junit).toContain('<testsuite name="tools/cli/decisions.toml" tests="1" failures="1">');
+    });
+  });
+
+  describe('junit', () => {
+    it('writes a test case per active decision, failing the expired ones', () => {
+      const junit = createReport('junit', decisions, source);
+
+      expect(junit).toContain('<testsuites name="decisions" tests="2" failures="1">');
+      expect(junit).toContain(
+        '<testcase classname="decisions.dependencies" name="typescript" file="decisions.toml" line="4"/>'
+      );
+      expect(junit).toContain(
+        '<testcase classname="decisions.dependencies" name="@types/node" file="decisions.toml" line="9">\n' +
+        '      <failure type="expired-decision" message="dependencies.@types/node (^20.0.0) expired on 2020-01-01: ' +
+        'Staying on &lt;Node 20&gt; &amp; LTS">decisions.toml:9\n'
+      );
+      expect(junit).not.toContain('jest');
+    });
+
+    it('keeps decisions due soon passing, with the warning in their output', () => {
+      const junit = createReport('junit', decisions, source, { dueSoon: [typescript] });
+
+      expect(junit).toContain('tests="2" failures="1"');
+      expect(junit).toContain('line="4">\n      <system-out>decisions.toml:4\ndependencies.typescript (^5.8.3) is due for review by 2099-01-01');
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * CI reports for `decisions check --report`.
+ *
+ * SARIF feeds code scanning and JUnit feeds test dashboards. Every finding
+ * points at the line that defines the decision in decisions.toml, so
+ * reviewers can jump straight to the entry.
+ */
+
+import type { Decision } from './manager.ts';
+import { locateLine } from './toml-source.ts';
+
+const REPORT_FORMATS = ['sarif', 'junit'] as const;
+
+type ReportFormat = typeof REPORT_FORMATS[number];
+
+/**
+ * A decisions file the report points into
+ */
+interface ReportSource {
+  /** Path written into the report, relative to the repository root */
+  file: string;
+  content: string;
+}
+
+/**
+ * A decision, optionally naming the file it came from (see `SourcedDecision`).
+ * Decisions without a `source` are located in the first report source.
+ */
+type ReportDecision = Decision & { source?: string };
+
+interface Finding {
+  decision: ReportDecision;
+  ruleId: string;
+  level: 'error' | 'warning';
+  message: string;
+}
+
+/**
+ * Where a decision is defined
+ */
+interface Location {
+  file: string;
+  /** 1-based line of the decision's table, when it can be found */
+  line: number | undefined;
+}
+
+const TOOL_NAME = 'decisions';
+const TOOL_VERSION = '0.1.0';
+const INFORMATION_URI = 'https://github.com/explicit-decisions/shared-lints/tree/main/tools/decisions';
+
+interface ReportOptions {
+  /** Decisions due for review soon, reported as warnings (see `getDueSoon`) */
+  dueSoon?: ReportDecision[];
+}
+
+const RULES = {
+  'expired-decision': 'Decision is past its review date',
+  'decision-due-soon': 'Decision is due for review soon'
+} as const;
+
+function isSameDecision(a: ReportDecision, b: ReportDecision): boolean {
+  return a.category === b.category && a.key === b.key && a.source === b.source;
+}
+
+function findings(decisions: ReportDecision[], options: ReportOptions): Finding[] {
+  const describe = (decision: Decision): string => `${decision.category}.${decision.key} (${decision.value})`;
+
+  const expired = decisions
+    .filter(decision => decision.expired)
+    .map((decision): Finding => ({
+      decision,
+      ruleId: 'expired-decision',
+      level: 'error',
+      message: `${describe(decision)} expired on ${decision.reviewBy}: ${decision.reason}`
+    }));
+
+  const dueSoon = (options.dueSoon ?? []).map((decision): Finding => ({
+    decision,
+    ruleId: 'decision-due-soon',
+    level: 'warning',
+    message: `${describe(decision)} is due for review by ${decision.reviewBy}: ${decision.reason}`
+  }));
+
+  return [...expired, ...dueSoon];
+}
+
+function renderSarif(results: Finding[], locate: (decision: ReportDecision) => Location): string {
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version: TOOL_VERSION,
+          informationUri: INFORMATION_URI,
+          rules: Object.entries(RULES).map(([id, text]) => ({ id, shortDescription: { text } }))
+        }
+      },
+      results: results.map(finding => {
+        const { file, line } = locate(finding.decision);
+        return {
+          ruleId: finding.ruleId,
+          level: finding.level,
+          message: { text: finding.message },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: file },
+              ...(line === undefined ? {} : { region: { startLine: line } })
+            }
+          }]
+        };
+      })
+    }]
+  };
+
+  return JSON.stringify(sarif, null, 2);
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderTestcase(decision: ReportDecision, finding: Finding | undefined, { file, line }: Location): string {
+  const attributes = [
+    `classname="${escapeXml(`${TOOL_NAME}.${decision.category}`)}"`,
+    `name="${escapeXml(decision.key)}"`,
+    `file="${escapeXml(file)}"`,
+    ...(line === undefined ? [] : [`line="${line}"`])
+  ].join(' ');
+
+  if (finding === undefined) return `    <testcase ${attributes}/>`;
+
+  const location = line === undefined ? file : `${file}:${line}`;
+  const body = escapeXml(`${location}\n${finding.message}`);
+  return [
+    `    <testcase ${attributes}>`,
+    finding.level === 'error'
+      ? `      <failure type="${finding.ruleId}" message="${escapeXml(finding.message)}">${body}</failure>`
+      : `      <system-out>${body}</system-out>`,
+    '    </testcase>'
+  ].join('\n');
+}
+
+/**
+ * One test suite per decisions file and one test case per active decision.
+ * Expired decisions fail; decisions due soon pass with the warning in their output.
+ */
+function renderJunit(
+  decisions: ReportDecision[],
+  results: Finding[],
+  sources: ReportSource[],
+  locate: (decision: ReportDecision) => Location
+): string {
+  const active = decisions.filter(decision => decision.status !== 'revoked');
+  const failures = results.filter(finding => finding.level === 'error');
+
+  const suites = sources.flatMap(source => {
+    const cases = active.filter(decision => locate(decision).file === source.file);
+    if (cases.length === 0 && sources.length > 1) return [];
+
+    const failed = failures.filter(finding => locate(finding.decision).file === source.file);
+    return [
+      `  <testsuite name="${escapeXml(source.file)}" tests="${cases.length}" failures="${failed.length}">`,
+      ...cases.map(decision => renderTestcase(
+        decision,
+        results.find(result => isSameDecision(result.decision, decision)),
+        locate(decision)
+      )),
+      '  </testsuite>'
+    ];
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${active.length}" failures="${failures.length}">`,
+    ...suites,
+    '</testsuites>'
+  ].join('\n');
+}
+
+/**
+ * Render a CI report for `decisions`, with one finding per expired or
+ * soon-to-expire decision
+ */
+function createReport(
+  format: ReportFormat,
+  decisions: ReportDecision[],
+  sources: ReportSource | ReportSource[],
+  options: ReportOptions = {}
+): string {
+  const files = Array.isArray(sources) ? sources : [sources];
+  const [fallback] = files;
+  if (fallback === undefined) throw new Error('A report needs at least one decisions file');
+
+  const locate = (decision: ReportDecision): Location => {
+    const source = files.find(candidate => candidate.file === decision.source) ?? fallback;
+    return { file: source.file, line: locateLine(source.content, [decision.category, decision.key]) };
+  };
+
+  const results = findings(decisions, options);
+  return format === 'sarif' ? renderSarif(results, locate) : renderJunit(decisions, results, files, locate);
+}
+
+export { REPORT_FORMATS, createReport };
+export type { ReportDecision, ReportFormat, ReportOptions, ReportSource };
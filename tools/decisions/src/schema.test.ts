@@ -0,0 +1,193 @@
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+
+import { describe, it, expect } from 'vitest';
+
+import {
+  DECISION_FIELDS,
+  DecisionsValidationError,
+  formatIssue,
+  parseDecisions,
+  validateDecisions
+} from './schema.ts';
+import { locateLine, parseKeyPath } from './toml-source.ts';
+
+function validate(content: string): ReturnType<typeof validateDecisions> {
+  return validateDecisions(parseDecisions('decisions.toml', content), content);
+}
+
+describe('validateDecisions', () => {
+  it('accepts well-formed decisions', () => {
+    const issues = validate(`[metadata]
+version = "1.0"
+
+[defaults]
+reviewAfter = "6m"
+
+[dependencies."@types/node"]
+value = "^20.0.0"
+reason = "Staying on Node 20 LTS"
+reviewBy = "2025-08-27"
+
+  [dependencies."@types/node".policy]
+  update = "auto"
+`);
+
+    expect(issues).toEqual([]);
+  });
+
+  it('accepts the repository decisions.toml', async () => {
+    const content = await readFile(join(import.meta.dirname, '../../../decisions.toml'), 'utf8');
+    expect(validate(content)).toEqual([]);
+  });
+
+  it('reports missing required fields with the table line', () => {
+    const issues = validate(`[tools.eslint]
+value = "^9.0.0"
+reviewBy = "2025-01-01"
+`);
+
+    expect(issues).toEqual([{
+      path: ['tools', 'eslint'],
+      line: 1,
+      message: 'missing required field "reason"'
+    }]);
+  });
+
+  it('reports misspelled fields with a suggestion and their own line', () => {
+    const issues = validate(`[tools.eslint]
+value = "^9.0.0"
+reason = "Linting"
+reviewby = "2025-01-01"
+`);
+
+    expect(issues).toContainEqual({
+      path: ['tools', 'eslint', 'reviewby'],
+      line: 4,
+      message: 'unknown field "reviewby" (did you mean "reviewBy"?)'
+    });
+    expect(issues).toContainEqual({
+      path: ['tools', 'eslint'],
+      line: 1,
+      message: 'missing required field "reviewBy"'
+    });
+  });
+
+  it('reports every malformed entry, not just the first', () => {
+    const issues = validate(`[tools.eslint]
+value = "^9.0.0"
+reason = "Linting"
+reviewBy = "soon"
+
+[tools.prettier]
+value = 3
+reason = "Formatting"
+reviewBy = 2025-01-01
+`);
+
+    expect(issues.map(issue => [issue.line, issue.message])).toEqual([
+      [4, 'must be a valid date (YYYY-MM-DD), got "soon"'],
+      [7, 'must be a string, got a number'],
+      [9, 'must be a quoted date string ("YYYY-MM-DD"), got a TOML date']
+    ]);
+  });
+
+  it('rejects decisions that are not tables', () => {
+    const issues = validate(`[tools]
+eslint = "^9.0.0"
+`);
+
+    expect(issues).toEqual([{
+      path: ['tools', 'eslint'],
+      line: 2,
+      message: 'decision must be a table, got a string'
+    }]);
+  });
+
+  it('checks lifecycle status and history entries', () => {
+    const issues = validate(`[tools.eslint]
+value = "^9.0.0"
+reason = "Linting"
+reviewBy = "2026-01-01"
+status = "retired"
+
+[[tools.eslint.history]]
+action = "renew"
+at = "2025-06-01"
+by = "alice"
+reason = "Reviewed"
+oldValue = "^9.0.0"
+
+[[tools.eslint.history]]
+action = "delete"
+at = "June"
+by = "bob"
+reason = "Oops"
+oldValue = "^9.0.0"
+`);
+
+    expect(issues.map(issue => formatIssue('decisions.toml', issue))).toEqual([
+      'decisions.toml:5 tools.eslint.status: must be one of "active", "revoked", got "retired"',
+      'decisions.toml:15 tools.eslint.history[1].action: must be one of "renew", "supersede", "revoke", "reinstate"',
+      'decisions.toml:16 tools.eslint.history[1].at: must be a valid date (YYYY-MM-DD), got "June"'
+    ]);
+  });
+
+  it('converts TOML syntax errors into issues with a line', () => {
+    expect(() => parseDecisions('decisions.toml', 'a = 1\n[b\nc = 2')).toThrow(DecisionsValidationError);
+
+    try {
+      parseDecisions('decisions.toml', 'a = 1\n[b\nc = 2');
+    } catch (error) {
+      const [issue] = (error as DecisionsValidationError).issues;
+      expect(issue?.line).toBe(2);
+      expect(issue?.message).toMatch(/^TOML syntax error: Unexpected character/);
+    }
+  });
+});
+
+describe('formatIssue', () => {
+  it('formats issues as file:line key: message', () => {
+    expect(formatIssue('decisions.toml', {
+      path: ['dependencies', '@types/node', 'reason'],
+      line: 12,
+      message: 'must be a string, got a number'
+    })).toBe('decisions.toml:12 dependencies."@types/node".reason: must be a string, got a number');
+  });
+});
+
+describe('toml-source', () => {
+  it('splits quoted dotted keys', () => {
+    expect(parseKeyPath('dependencies."@types/node".policy')).toEqual(['dependencies', '@types/node', 'policy']);
+    expect(parseKeyPath("a.'b.c'")).toEqual(['a', 'b.c']);
+  });
+
+  it('ignores keys inside multi-line strings', () => {
+    const content = `[architecture.layout]
+reason = """
+value = "not a key"
+"""
+value = "monorepo"
+`;
+
+    expect(locateLine(content, ['architecture', 'layout', 'value'])).toBe(5);
+  });
+});
+
+describe('decisions.schema.json', () => {
+  it('matches the fields the validator knows about', async () => {
+    const schemaPath = join(import.meta.dirname, '../../../schemas/decisions.schema.json');
+    const schema = JSON.parse(await readFile(schemaPath, 'utf8')) as {
+      definitions: { DecisionRecord: { required: string[]; properties: Record<string, unknown> } };
+    };
+    const record = schema.definitions.DecisionRecord;
+
+    expect(Object.keys(record.properties).sort()).toEqual(Object.keys(DECISION_FIELDS).sort());
+    expect(record.required.sort()).toEqual(
+      Object.entries(DECISION_FIELDS)
+        .filter(([, spec]) => spec.required === true)
+        .map(([field]) => field)
+        .sort()
+    );
+  });
+});
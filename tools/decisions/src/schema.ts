@@ -0,0 +1,322 @@
+/**
+ * Typed decision model and validation for decisions.toml.
+ *
+ * Mirrors schemas/decisions.schema.json - keep DECISION_FIELDS in sync with
+ * the schema's DecisionRecord properties (schema.test.ts checks this).
+ */
+
+import * as TOML from '@iarna/toml';
+
+import { parseDuration } from './duration.ts';
+import { formatKeyPath, locateLine } from './toml-source.ts';
+import type { KeySegment } from './toml-source.ts';
+
+/**
+ * A single decision entry as written in decisions.toml
+ */
+interface DecisionRecord {
+  value: string;
+  reason: string;
+  reviewBy: string;
+  decided?: string;
+  status?: DecisionStatus;
+  history?: HistoryEntry[];
+  [field: string]: unknown;
+}
+
+type DecisionStatus = 'active' | 'revoked';
+
+type HistoryAction = 'renew' | 'supersede' | 'revoke' | 'reinstate';
+
+/**
+ * One append-only lifecycle event recorded on a decision
+ */
+interface HistoryEntry {
+  action: HistoryAction;
+  /** Date of the change (YYYY-MM-DD) */
+  at: string;
+  /** Who made the change */
+  by: string;
+  reason: string;
+  oldValue: string;
+  /** Absent for revocations */
+  newValue?: string;
+  /** The decision's reason before the change; only present when the change replaced it */
+  oldReason?: string;
+}
+
+const DECISION_STATUSES: readonly DecisionStatus[] = ['active', 'revoked'];
+const HISTORY_ACTIONS: readonly HistoryAction[] = ['renew', 'supersede', 'revoke', 'reinstate'];
+
+/**
+ * Top-level sections that hold file settings rather than decisions
+ */
+const RESERVED_SECTIONS = ['metadata', 'defaults'] as const;
+
+type FieldType = 'string' | 'date' | 'table' | 'string-array' | 'table-array';
+
+interface FieldSpec {
+  type: FieldType;
+  required?: boolean;
+}
+
+const DECISION_FIELDS: Record<string, FieldSpec> = {
+  value: { type: 'string', required: true },
+  reason: { type: 'string', required: true },
+  reviewBy: { type: 'date', required: true },
+  decided: { type: 'date' },
+  decision: { type: 'string' },
+  tier: { type: 'string' },
+  currentVersion: { type: 'string' },
+  availableVersion: { type: 'string' },
+  resolvedVersion: { type: 'string' },
+  current: { type: 'string' },
+  available: { type: 'string' },
+  platformAlternative: { type: 'string' },
+  removalTrigger: { type: 'string' },
+  removalDate: { type: 'date' },
+  migrationPath: { type: 'string' },
+  supersedes: { type: 'string' },
+  status: { type: 'string' },
+  history: { type: 'table-array' },
+  policy: { type: 'table' },
+  meta: { type: 'table' },
+  tags: { type: 'string-array' },
+  references: { type: 'string-array' },
+  impacts: { type: 'string-array' },
+  alternatives: { type: 'table-array' }
+};
+
+interface ValidationIssue {
+  /** Key path of the offending entry, e.g. ['dependencies', 'typescript', 'reason'] */
+  path: KeySegment[];
+  /** 1-based line in the source file, when it can be located */
+  line: number | undefined;
+  message: string;
+}
+
+class DecisionsValidationError extends Error {
+  readonly file: string;
+  readonly issues: ValidationIssue[];
+
+  constructor(file: string, issues: ValidationIssue[]) {
+    const details = issues.map(issue => `  ${formatIssue(file, issue)}`).join('\n');
+    super(`Invalid decisions file ${file} (${issues.length} issue(s)):\n${details}`);
+    this.name = 'DecisionsValidationError';
+    this.file = file;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Format an issue as `file:line key: message`
+ */
+function formatIssue(file: string, issue: ValidationIssue): string {
+  const location = issue.line === undefined ? file : `${file}:${issue.line}`;
+  const key = issue.path.length > 0 ? ` ${formatKeyPath(issue.path)}:` : '';
+  return `${location}${key} ${issue.message}`;
+}
+
+function isTable(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function describeType(value: unknown): string {
+  if (value instanceof Date) return 'a TOML date';
+  if (Array.isArray(value)) return 'an array';
+  if (isTable(value)) return 'a table';
+  return `a ${typeof value}`;
+}
+
+function isDateString(value: string): boolean {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function checkField(type: FieldType, value: unknown): string | null {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : `must be a string, got ${describeType(value)}`;
+    case 'date':
+      if (value instanceof Date) return 'must be a quoted date string ("YYYY-MM-DD"), got a TOML date';
+      if (typeof value !== 'string') return `must be a date string, got ${describeType(value)}`;
+      return isDateString(value) ? null : `must be a valid date (YYYY-MM-DD), got "${value}"`;
+    case 'table':
+      return isTable(value) ? null : `must be a table, got ${describeType(value)}`;
+    case 'string-array':
+      return Array.isArray(value) && value.every(item => typeof item === 'string')
+        ? null
+        : 'must be an array of strings';
+    case 'table-array':
+      return Array.isArray(value) && value.every(isTable) ? null : 'must be an array of tables';
+  }
+}
+
+function suggestField(name: string): string | undefined {
+  const lower = name.toLowerCase();
+  return Object.keys(DECISION_FIELDS).find(field => field.toLowerCase() === lower);
+}
+
+/**
+ * Validate a single decision entry, returning issues without source locations
+ */
+function validateRecord(path: string[], record: Record<string, unknown>): Omit<ValidationIssue, 'line'>[] {
+  const issues: Omit<ValidationIssue, 'line'>[] = [];
+
+  for (const [field, spec] of Object.entries(DECISION_FIELDS)) {
+    if (spec.required === true && !(field in record)) {
+      issues.push({ path, message: `missing required field "${field}"` });
+    }
+  }
+
+  for (const [field, value] of Object.entries(record)) {
+    const spec = DECISION_FIELDS[field];
+    if (!spec) {
+      const suggestion = suggestField(field);
+      const hint = suggestion === undefined ? '' : ` (did you mean "${suggestion}"?)`;
+      issues.push({ path: [...path, field], message: `unknown field "${field}"${hint}` });
+      continue;
+    }
+
+    const problem = checkField(spec.type, value);
+    if (problem !== null) {
+      issues.push({ path: [...path, field], message: problem });
+    }
+  }
+
+  if (typeof record['status'] === 'string' && !(DECISION_STATUSES as readonly string[]).includes(record['status'])) {
+    issues.push({
+      path: [...path, 'status'],
+      message: `must be one of ${DECISION_STATUSES.map(status => `"${status}"`).join(', ')}, got "${record['status']}"`
+    });
+  }
+
+  if (Array.isArray(record['history'])) {
+    record['history'].forEach((entry: unknown, index) => {
+      if (isTable(entry)) issues.push(...validateHistoryEntry([...path, 'history', index], entry));
+    });
+  }
+
+  return issues;
+}
+
+function validateHistoryEntry(path: KeySegment[], entry: Record<string, unknown>): Omit<ValidationIssue, 'line'>[] {
+  const issues: Omit<ValidationIssue, 'line'>[] = [];
+
+  if (typeof entry['action'] !== 'string' || !(HISTORY_ACTIONS as readonly string[]).includes(entry['action'])) {
+    issues.push({ path: [...path, 'action'], message: `must be one of ${HISTORY_ACTIONS.map(action => `"${action}"`).join(', ')}` });
+  }
+  const at = checkField('date', entry['at']);
+  if (at !== null) issues.push({ path: [...path, 'at'], message: at });
+  for (const field of ['by', 'reason', 'oldValue'] as const) {
+    if (typeof entry[field] !== 'string') issues.push({ path: [...path, field], message: 'must be a string' });
+  }
+
+  return issues;
+}
+
+function checkDuration(value: unknown): string | null {
+  if (typeof value !== 'string') return `must be a duration string, got ${describeType(value)}`;
+
+  try {
+    parseDuration(value);
+    return null;
+  } catch (error) {
+    return (error as Error).message;
+  }
+}
+
+/**
+ * Validate `[defaults]` and per-category `[defaults.<category>]` tables
+ */
+function validateDefaults(defaults: Record<string, unknown>): Omit<ValidationIssue, 'line'>[] {
+  const issues: Omit<ValidationIssue, 'line'>[] = [];
+
+  for (const [key, value] of Object.entries(defaults)) {
+    if (key === 'reviewAfter') {
+      const problem = checkDuration(value);
+      if (problem !== null) issues.push({ path: ['defaults', key], message: problem });
+      continue;
+    }
+
+    if (!isTable(value)) {
+      issues.push({ path: ['defaults', key], message: `category defaults must be a table, got ${describeType(value)}` });
+      continue;
+    }
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const problem = field === 'reviewAfter' ? checkDuration(fieldValue) : `unknown field "${field}"`;
+      if (problem !== null) issues.push({ path: ['defaults', key, field], message: problem });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate parsed decisions against the decision model.
+ * `content` is the original TOML source, used to attach line numbers.
+ */
+function validateDecisions(data: Record<string, unknown>, content: string): ValidationIssue[] {
+  const issues: Omit<ValidationIssue, 'line'>[] = [];
+
+  for (const [section, entries] of Object.entries(data)) {
+    const reserved = (RESERVED_SECTIONS as readonly string[]).includes(section);
+
+    if (!isTable(entries)) {
+      issues.push({
+        path: [section],
+        message: reserved
+          ? `must be a table, got ${describeType(entries)}`
+          : `category must be a table of decisions, got ${describeType(entries)}`
+      });
+      continue;
+    }
+
+    if (section === 'defaults') {
+      issues.push(...validateDefaults(entries));
+    }
+    if (reserved) continue;
+
+    for (const [key, record] of Object.entries(entries)) {
+      if (!isTable(record)) {
+        issues.push({ path: [section, key], message: `decision must be a table, got ${describeType(record)}` });
+        continue;
+      }
+      issues.push(...validateRecord([section, key], record));
+    }
+  }
+
+  return issues.map(issue => ({ ...issue, line: locateLine(content, issue.path) }));
+}
+
+/**
+ * Parse TOML source, converting syntax errors into validation issues
+ */
+function parseDecisions(file: string, content: string): Record<string, unknown> {
+  try {
+    return TOML.parse(content) as Record<string, unknown>;
+  } catch (error) {
+    const { message, line } = error as Error & { line?: number };
+    const summary = (message.split('\n')[0] ?? message).replace(/ at row \d+, col \d+, pos \d+:$/, '');
+    throw new DecisionsValidationError(file, [{
+      path: [],
+      line: typeof line === 'number' ? line + 1 : undefined,
+      message: `TOML syntax error: ${summary}`
+    }]);
+  }
+}
+
+export {
+  DECISION_FIELDS,
+  DECISION_STATUSES,
+  HISTORY_ACTIONS,
+  RESERVED_SECTIONS,
+  DecisionsValidationError,
+  formatIssue,
+  isTable,
+  parseDecisions,
+  validateDecisions
+};
+export type { DecisionRecord, DecisionStatus, HistoryAction, HistoryEntry, ValidationIssue };
@@ -0,0 +1,178 @@
+import { execFileSync } from 'child_process';
+import { existsSync } from 'fs';
+import { mkdir, mkdtemp, rm, unlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { describe, it, expect, afterEach, beforeEach } from 'vitest';
+
+import { FileSystemStorage, GitRevisionStorage, MemoryStorage, StagedStorage } from './storage.ts';
+import type { DecisionsStorage } from './storage.ts';
+
+const testPath = 'test-storage.toml';
+
+function describeStorage(name: string, createStorage: () => DecisionsStorage): void {
+  describe(name, () => {
+    afterEach(async () => {
+      if (existsSync(testPath)) {
+        await unlink(testPath);
+      }
+    });
+
+    it('reports missing files', async () => {
+      const storage = createStorage();
+
+      expect(await storage.exists(testPath)).toBe(false);
+      await expect(storage.read(testPath)).rejects.toThrow();
+    });
+
+    it('reads back what was written', async () => {
+      const storage = createStorage();
+
+      await storage.write(testPath, '[tools.x]\nvalue = "1"\n');
+
+      expect(await storage.exists(testPath)).toBe(true);
+      expect(await storage.read(testPath)).toBe('[tools.x]\nvalue = "1"\n');
+    });
+
+    it('overwrites existing files', async () => {
+      const storage = createStorage();
+
+      await storage.write(testPath, 'a = 1\n');
+      await storage.write(testPath, 'a = 2\n');
+
+      expect(await storage.read(testPath)).toBe('a = 2\n');
+    });
+  });
+}
+
+describeStorage('FileSystemStorage', () => new FileSystemStorage());
+describeStorage('MemoryStorage', () => new MemoryStorage());
+
+describe('MemoryStorage', () => {
+  it('starts with the given files and never touches disk', async () => {
+    const storage = new MemoryStorage({ 'decisions.toml': 'a = 1\n' });
+
+    await storage.write(testPath, 'b = 2\n');
+
+    expect(await storage.read('decisions.toml')).toBe('a = 1\n');
+    expect(existsSync(testPath)).toBe(false);
+  });
+
+  it('lists the directories that hold files', async () => {
+    const storage = new MemoryStorage({
+      [join('repo', 'README.md')]: '',
+      [join('repo', 'tools', 'cli', 'package.json')]: '{}',
+      [join('repo', 'tools', 'lib', 'src', 'index.ts')]: ''
+    });
+
+    expect(await storage.directories('repo')).toEqual(['tools']);
+    expect(await storage.directories(join('repo', 'tools'))).toEqual(['cli', 'lib']);
+    expect(await storage.directories(join('repo', 'docs'))).toEqual([]);
+  });
+});
+
+/**
+ * Storage whose writes to one path fail, like a read-only file
+ */
+class ReadOnlyFileStorage extends MemoryStorage {
+  readonly #readOnly: string;
+
+  constructor(files: Record<string, string>, readOnly: string) {
+    super(files);
+    this.#readOnly = readOnly;
+  }
+
+  override write(path: string, content: string): Promise<void> {
+    if (path === this.#readOnly) return Promise.reject(new Error(`EACCES: ${path}`));
+    return super.write(path, content);
+  }
+}
+
+describe('StagedStorage', () => {
+  it('holds writes back until commit', async () => {
+    const target = new MemoryStorage({ 'package.json': '{}' });
+    const storage = new StagedStorage(target);
+
+    await storage.write('package.json', '{"a":1}');
+    await storage.write('decisions.toml', 'a = 1\n');
+
+    expect(await storage.read('package.json')).toBe('{"a":1}');
+    expect(await storage.exists('decisions.toml')).toBe(true);
+    expect(await target.read('package.json')).toBe('{}');
+    expect(storage.staged).toEqual(['package.json', 'decisions.toml']);
+
+    await storage.commit();
+
+    expect(await target.read('decisions.toml')).toBe('a = 1\n');
+    expect(storage.staged).toEqual([]);
+  });
+
+  it('restores written files when a later write fails', async () => {
+    const target = new ReadOnlyFileStorage({ 'package.json': '{}', 'decisions.toml': 'a = 1\n' }, 'decisions.toml');
+    const storage = new StagedStorage(target);
+
+    await storage.write('package.json', '{"a":1}');
+    await storage.write('decisions.toml', 'a = 2\n');
+
+    await expect(storage.commit()).rejects.toThrow('EACCES: decisions.toml');
+    expect(await target.read('package.json')).toBe('{}');
+  });
+
+  it('lists directories that only staged files are in', async () => {
+    const storage = new StagedStorage(new MemoryStorage({ [join('tools', 'cli', 'package.json')]: '{}' }));
+
+    await storage.write(join('tools', 'lib', 'decisions.toml'), 'a = 1\n');
+
+    expect(await storage.directories('tools')).toEqual(['cli', 'lib']);
+  });
+});
+
+describe('GitRevisionStorage', () => {
+  let repo: string;
+
+  function git(...args: string[]): void {
+    execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, stdio: 'ignore' });
+  }
+
+  beforeEach(async () => {
+    repo = await mkdtemp(join(tmpdir(), 'decisions-git-'));
+    git('init', '--quiet');
+    await writeFile(join(repo, 'decisions.toml'), 'a = 1\n');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'First');
+    await writeFile(join(repo, 'decisions.toml'), 'a = 2\n');
+  });
+
+  afterEach(async () => {
+    await rm(repo, { recursive: true, force: true });
+  });
+
+  it('reads files as the revision has them', async () => {
+    const storage = await GitRevisionStorage.at('HEAD', repo);
+
+    expect(await storage.read(join(repo, 'decisions.toml'))).toBe('a = 1\n');
+    expect(await storage.exists(join(repo, 'package.json'))).toBe(false);
+    await expect(storage.read(join(repo, 'package.json'))).rejects.toThrow('File not found at HEAD');
+    await expect(storage.write(join(repo, 'decisions.toml'), 'a = 3\n')).rejects.toThrow('read-only');
+  });
+
+  it('lists the directories the revision has', async () => {
+    await mkdir(join(repo, 'tools', 'cli'), { recursive: true });
+    await writeFile(join(repo, 'tools', 'cli', 'package.json'), '{}');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'Second');
+    await mkdir(join(repo, 'tools', 'scratch'));
+    await writeFile(join(repo, 'tools', 'scratch', 'notes.md'), '');
+
+    const storage = await GitRevisionStorage.at('HEAD', repo);
+
+    expect(await storage.directories(repo)).toEqual(['tools']);
+    expect(await storage.directories(join(repo, 'tools'))).toEqual(['cli']);
+    expect(await storage.directories(join(repo, 'docs'))).toEqual([]);
+  });
+
+  it('rejects unknown revisions', async () => {
+    await expect(GitRevisionStorage.at('no-such-branch', repo)).rejects.toThrow('Unknown git revision: no-such-branch');
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Where DecisionsManager reads and writes decisions files.
+ *
+ * FileSystemStorage is the default. MemoryStorage is a real implementation
+ * rather than a mock, so tests (ours and consumers') can exercise the
+ * manager without touching disk. StagedStorage holds writes back until
+ * `commit()`, so changes to several files land together or not at all.
+ * GitRevisionStorage reads files as a git revision has them.
+ */
+
+import { execFile } from 'child_process';
+import { existsSync } from 'fs';
+import { readdir, readFile, writeFile } from 'fs/promises';
+import { join, relative, sep } from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+interface DecisionsStorage {
+  exists(path: string): Promise<boolean>;
+  /** Read a file, rejecting if it does not exist */
+  read(path: string): Promise<string>;
+  write(path: string, content: string): Promise<void>;
+  /** Names of the directories directly inside `path`; empty if it does not exist */
+  directories(path: string): Promise<string[]>;
+}
+
+/**
+ * Names of the directories directly inside `dir` that hold any of `files`
+ */
+function directoriesHolding(files: Iterable<string>, dir: string): string[] {
+  const prefix = join(dir, sep);
+  const names = new Set<string>();
+  for (const file of files) {
+    if (!file.startsWith(prefix)) continue;
+    const [name, ...rest] = file.slice(prefix.length).split(sep);
+    if (name !== undefined && rest.length > 0) names.add(name);
+  }
+  return [...names];
+}
+
+class FileSystemStorage implements DecisionsStorage {
+  exists(path: string): Promise<boolean> {
+    return Promise.resolve(existsSync(path));
+  }
+
+  read(path: string): Promise<string> {
+    return readFile(path, 'utf8');
+  }
+
+  write(path: string, content: string): Promise<void> {
+    return writeFile(path, content, 'utf8');
+  }
+
+  async directories(path: string): Promise<string[]> {
+    if (!existsSync(path)) return [];
+    const entries = await readdir(path, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  }
+}
+
+class MemoryStorage implements DecisionsStorage {
+  readonly #files: Map<string, string>;
+
+  /**
+   * @param files - Initial file contents keyed by path
+   */
+  constructor(files: Record<string, string> = {}) {
+    this.#files = new Map(Object.entries(files));
+  }
+
+  exists(path: string): Promise<boolean> {
+    return Promise.resolve(this.#files.has(path));
+  }
+
+  read(path: string): Promise<string> {
+    const content = this.#files.get(path);
+    if (content === undefined) {
+      return Promise.reject(new Error(`File not found: ${path}`));
+    }
+    return Promise.resolve(content);
+  }
+
+  write(path: string, content: string): Promise<void> {
+    this.#files.set(path, content);
+    return Promise.resolve();
+  }
+
+  /** Directories exist as long as they hold a file */
+  directories(path: string): Promise<string[]> {
+    return Promise.resolve(directoriesHolding(this.#files.keys(), path));
+  }
+}
+
+class StagedStorage implements DecisionsStorage {
+  readonly #target: DecisionsStorage;
+  readonly #staged = new Map<string, string>();
+
+  /**
+   * @param target - Where `commit()` writes; reads of unstaged files go here too
+   */
+  constructor(target: DecisionsStorage = new FileSystemStorage()) {
+    this.#target = target;
+  }
+
+  exists(path: string): Promise<boolean> {
+    return this.#staged.has(path) ? Promise.resolve(true) : this.#target.exists(path);
+  }
+
+  read(path: string): Promise<string> {
+    const content = this.#staged.get(path);
+    return content === undefined ? this.#target.read(path) : Promise.resolve(content);
+  }
+
+  write(path: string, content: string): Promise<void> {
+    this.#staged.set(path, content);
+    return Promise.resolve();
+  }
+
+  async directories(path: string): Promise<string[]> {
+    const names = new Set([...await this.#target.directories(path), ...directoriesHolding(this.#staged.keys(), path)]);
+    return [...names];
+  }
+
+  /** Paths with writes waiting for `commit()` */
+  get staged(): string[] {
+    return [...this.#staged.keys()];
+  }
+
+  /**
+   * Write every staged file to the target. If a write fails, files already
+   * written get their previous content back before the error is rethrown;
+   * files the commit created are left in place.
+   */
+  async commit(): Promise<void> {
+    const previous = new Map<string, string | undefined>();
+    for (const path of this.#staged.keys()) {
+      previous.set(path, await this.#target.exists(path) ? await this.#target.read(path) : undefined);
+    }
+
+    const written: string[] = [];
+    try {
+      for (const [path, content] of this.#staged) {
+        await this.#target.write(path, content);
+        written.push(path);
+      }
+    } catch (error) {
+      for (const path of written.reverse()) {
+        const content = previous.get(path);
+        if (content !== undefined) await this.#target.write(path, content);
+      }
+      throw error;
+    }
+
+    this.#staged.clear();
+  }
+}
+
+class GitRevisionStorage implements DecisionsStorage {
+  readonly #ref: string;
+  readonly #cwd: string;
+
+  /**
+   * Use `GitRevisionStorage.at()`, which checks that the revision exists
+   */
+  private constructor(ref: string, cwd: string) {
+    this.#ref = ref;
+    this.#cwd = cwd;
+  }
+
+  /**
+   * @param ref - Any revision `git show` accepts (branch, tag, commit, `HEAD~1`)
+   * @param cwd - Directory inside the repository; paths are resolved relative to it
+   */
+  static async at(ref: string, cwd = process.cwd()): Promise<GitRevisionStorage> {
+    try {
+      await execFileAsync('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { cwd });
+    } catch {
+      throw new Error(`Unknown git revision: ${ref}`);
+    }
+    return new GitRevisionStorage(ref, cwd);
+  }
+
+  get ref(): string {
+    return this.#ref;
+  }
+
+  /** `ref:./path`, which git resolves relative to the working directory */
+  #object(path: string): string {
+    return `${this.#ref}:./${relative(this.#cwd, path).split(sep).join('/')}`;
+  }
+
+  async exists(path: string): Promise<boolean> {
+    try {
+      await execFileAsync('git', ['cat-file', '-e', this.#object(path)], { cwd: this.#cwd });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async read(path: string): Promise<string> {
+    try {
+      const { stdout } = await execFileAsync('git', ['show', this.#object(path)], { cwd: this.#cwd, encoding: 'utf8' });
+      return stdout;
+    } catch {
+      throw new Error(`File not found at ${this.#ref}: ${path}`);
+    }
+  }
+
+  write(path: string, _content: string): Promise<void> {
+    return Promise.reject(new Error(`Cannot write ${path}: files at ${this.#ref} are read-only`));
+  }
+
+  async directories(path: string): Promise<string[]> {
+    try {
+      const { stdout } = await execFileAsync('git', ['ls-tree', '-d', '--name-only', this.#object(path)], { cwd: this.#cwd, encoding: 'utf8' });
+      return stdout.split('\n').filter(name => name !== '');
+    } catch {
+      return [];
+    }
+  }
+}
+
+export { FileSystemStorage, GitRevisionStorage, MemoryStorage, StagedStorage };
+export type { DecisionsStorage };
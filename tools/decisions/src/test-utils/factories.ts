@@ -0,0 +1,31 @@
+/**
+ * Fixture files shared by the tests
+ */
+
+interface DecisionFields {
+  reason?: string;
+  reviewBy?: string;
+  status?: string;
+}
+
+/**
+ * A `[dependencies.<name>]` table for a decisions.toml
+ */
+export function createDecisionToml(name: string, value: string, fields: DecisionFields = {}): string {
+  const { reason = `Reason for ${name}`, reviewBy = '2099-01-01', status } = fields;
+  const table = `[dependencies.${name}]\nvalue = "${value}"\nreason = "${reason}"\nreviewBy = "${reviewBy}"\n`;
+  return status === undefined ? table : `${table}status = "${status}"\n`;
+}
+
+/**
+ * package.json content; empty dependency fields are left out
+ */
+export function createManifestFile(
+  name: string,
+  dependencies: Record<string, string>,
+  devDependencies: Record<string, string> = {},
+  peerDependencies: Record<string, string> = {}
+): string {
+  const fields = Object.entries({ dependencies, devDependencies, peerDependencies }).filter(([, ranges]) => Object.keys(ranges).length > 0);
+  return JSON.stringify({ name, ...Object.fromEntries(fields) });
+}
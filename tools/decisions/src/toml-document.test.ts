@@ -0,0 +1,162 @@
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+
+import { describe, it, expect } from 'vitest';
+
+import { TomlDocument } from './toml-document.ts';
+
+const handWritten = `# Decisions for the example project
+[metadata]
+version = "1.0" # format version
+
+[defaults]
+reviewAfter = "6m"
+
+# Runtime dependencies
+[dependencies.typescript]
+value = "^5.8.3"   # keep in sync with package.json
+reason = """
+Native .ts imports
+"""
+reviewBy = "2025-08-27"
+
+  [dependencies.typescript.policy]
+  update = "auto"
+
+[dependencies.vitest]
+value = "^3.1.4"
+reason = "Fast"
+reviewBy = "2025-08-27"
+policy.update = "manual"
+
+# Architecture
+[architecture.monorepo]
+value = "pnpm workspaces"
+reason = "Native monorepo support"
+reviewBy = "2025-11-30"
+`;
+
+type Data = Record<string, Record<string, Record<string, unknown>>>;
+
+/**
+ * Apply `edit` to a copy of the parsed data and return the rewritten source
+ */
+function edit(content: string, change: (data: Data) => void): string {
+  const document = new TomlDocument(content);
+  const data = structuredClone(document.data) as Data;
+  change(data);
+  document.update(data);
+  return document.toString();
+}
+
+function keepAsIs(): void {
+  // No changes - exercises the no-op save path
+}
+
+function dependencies(data: Data): Record<string, Record<string, unknown>> {
+  const category = data['dependencies'];
+  if (!category) throw new Error('Missing dependencies category');
+  return category;
+}
+
+function dependency(data: Data, name: string): Record<string, unknown> {
+  const entry = dependencies(data)[name];
+  if (!entry) throw new Error(`Missing dependency ${name}`);
+  return entry;
+}
+
+describe('TomlDocument', () => {
+  describe('no-op updates', () => {
+    it('preserves a hand-written file byte-for-byte', () => {
+      expect(edit(handWritten, keepAsIs)).toBe(handWritten);
+    });
+
+    it('preserves the repository decisions.toml byte-for-byte', async () => {
+      const content = await readFile(join(import.meta.dirname, '../../../decisions.toml'), 'utf8');
+      expect(edit(content, keepAsIs)).toBe(content);
+    });
+  });
+
+  it('rewrites only the changed line, keeping its comment', () => {
+    const result = edit(handWritten, data => {
+      dependency(data, 'typescript')['value'] = '^5.9.0';
+    });
+
+    expect(result).toBe(handWritten.replace(
+      'value = "^5.8.3"   # keep in sync with package.json',
+      'value = "^5.9.0" # keep in sync with package.json'
+    ));
+  });
+
+  it('inserts new decisions after the last table of their category', () => {
+    const result = edit(handWritten, data => {
+      dependencies(data)['eslint'] = { value: '^9.0.0', reason: 'Linting', reviewBy: '2026-01-01' };
+    });
+
+    expect(result).toBe(handWritten.replace(
+      'policy.update = "manual"\n',
+      'policy.update = "manual"\n\n[dependencies.eslint]\nvalue = "^9.0.0"\nreason = "Linting"\nreviewBy = "2026-01-01"\n'
+    ));
+  });
+
+  it('appends new categories at the end of the file', () => {
+    const result = edit(handWritten, data => {
+      data['tools'] = { taplo: { value: '0.9', reason: 'TOML formatting', reviewBy: '2026-01-01' } };
+    });
+
+    expect(result).toBe(`${handWritten}\n[tools.taplo]\nvalue = "0.9"\nreason = "TOML formatting"\nreviewBy = "2026-01-01"\n`);
+  });
+
+  it('removes a decision with its sub-tables and attached comment', () => {
+    const result = edit(handWritten, data => {
+      delete dependencies(data)['typescript'];
+    });
+
+    expect(result).not.toContain('typescript');
+    expect(result).not.toContain('# Runtime dependencies');
+    expect(result).toContain('# Architecture\n[architecture.monorepo]');
+    expect(result).toContain('[defaults]\nreviewAfter = "6m"\n\n[dependencies.vitest]');
+  });
+
+  it('adds keys to explicit sub-tables and dotted-key tables in place', () => {
+    const result = edit(handWritten, data => {
+      (dependency(data, 'typescript')['policy'] as Record<string, unknown>)['major'] = 'review';
+      (dependency(data, 'vitest')['policy'] as Record<string, unknown>)['major'] = 'review';
+    });
+
+    expect(result).toContain('  update = "auto"\n  major = "review"\n');
+    expect(result).toContain('policy.update = "manual"\npolicy.major = "review"\n');
+  });
+
+  it('appends to arrays of tables without touching existing entries', () => {
+    const withHistory = edit(handWritten, data => {
+      dependency(data, 'vitest')['history'] = [{ action: 'add' }];
+    });
+    const result = edit(withHistory, data => {
+      (dependency(data, 'vitest')['history'] as unknown[]).push({ action: 'renew' });
+    });
+
+    expect(result).toBe(handWritten.replace(
+      'policy.update = "manual"\n',
+      'policy.update = "manual"\n\n[[dependencies.vitest.history]]\naction = "add"\n\n[[dependencies.vitest.history]]\naction = "renew"\n'
+    ));
+  });
+
+  it('keeps unchanged multi-line strings and writes new ones as multi-line', () => {
+    const result = edit(handWritten, data => {
+      dependency(data, 'vitest')['reason'] = 'Fast\nand native ESM';
+    });
+
+    expect(result).toContain('reason = """\nNative .ts imports\n"""');
+    expect(result).toContain('reason = """\nFast\nand native ESM"""');
+    expect(dependency(new TomlDocument(result).data as Data, 'vitest')['reason']).toBe('Fast\nand native ESM');
+  });
+
+  it('adds keys to the root table above the first section', () => {
+    const result = edit('[tools.x]\nvalue = "1"\n', data => {
+      (data as Record<string, unknown>)['title'] = 'Decisions';
+    });
+
+    expect(result).toBe('title = "Decisions"\n\n[tools.x]\nvalue = "1"\n');
+  });
+});
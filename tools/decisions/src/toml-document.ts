@@ -0,0 +1,280 @@
+/**
+ * Format-preserving editor for TOML files.
+ *
+ * `TOML.stringify` rewrites the whole file, dropping comments, blank lines and
+ * hand-chosen key order. TomlDocument instead diffs the new data against what
+ * was parsed and rewrites only the lines of keys and tables that changed.
+ */
+
+import { isDeepStrictEqual } from 'util';
+
+import * as TOML from '@iarna/toml';
+
+import { formatKeyPath, scanEntries, startsWithPath } from './toml-source.ts';
+import type { KeySegment, SourceEntry } from './toml-source.ts';
+
+type TomlTable = Record<string, unknown>;
+
+function isTable(value: unknown): value is TomlTable {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isTableArray(value: unknown): value is TomlTable[] {
+  return Array.isArray(value) && value.length > 0 && value.every(isTable);
+}
+
+/**
+ * Values that TOML writes as `[header]` / `[[header]]` sections rather than `key = value`
+ */
+function needsHeader(value: unknown): boolean {
+  return (isTable(value) && Object.keys(value).length > 0) || isTableArray(value);
+}
+
+function isBlank(line: string): boolean {
+  return line.trim() === '';
+}
+
+function isComment(line: string): boolean {
+  return line.trim().startsWith('#');
+}
+
+function renderValue(value: unknown): string {
+  // Keep multi-line strings readable instead of collapsing them into "\n" escapes
+  if (typeof value === 'string' && value.includes('\n')) {
+    return TOML.stringify({ v: value }).trimEnd().slice('v = '.length);
+  }
+  return TOML.stringify.value(value as TOML.AnyJson);
+}
+
+/**
+ * Render `value` as TOML sections headed at `path`
+ */
+function renderSection(path: readonly KeySegment[], value: unknown): string[] {
+  let wrapped: unknown = value;
+  for (const segment of [...path].reverse()) {
+    wrapped = { [String(segment)]: wrapped };
+  }
+  return TOML.stringify(wrapped as TOML.JsonMap).trimEnd().split('\n');
+}
+
+export class TomlDocument {
+  #lines: string[];
+  #data: TomlTable;
+  #entries: SourceEntry[];
+
+  constructor(content: string) {
+    this.#lines = content.split('\n');
+    this.#data = TOML.parse(content) as TomlTable;
+    this.#entries = scanEntries(content);
+  }
+
+  /**
+   * The parsed data as of the last update
+   */
+  get data(): TomlTable {
+    return this.#data;
+  }
+
+  toString(): string {
+    return this.#lines.join('\n');
+  }
+
+  /**
+   * Rewrite the document so it parses to `data`, touching only what changed.
+   * Falls back to a full re-serialization if the targeted edit would not
+   * round-trip (e.g. deeply nested arrays of tables).
+   */
+  update(data: TomlTable): void {
+    this.#updateTable([], this.#data, data);
+
+    const reparsed = TOML.parse(this.toString()) as TomlTable;
+    if (!isDeepStrictEqual(JSON.parse(JSON.stringify(reparsed)), JSON.parse(JSON.stringify(data)))) {
+      this.#lines = TOML.stringify(data as TOML.JsonMap).split('\n');
+    }
+
+    this.#data = TOML.parse(this.toString()) as TomlTable;
+    this.#rescan();
+  }
+
+  #rescan(): void {
+    this.#entries = scanEntries(this.toString());
+  }
+
+  #updateTable(path: KeySegment[], before: TomlTable, after: TomlTable): void {
+    for (const key of Object.keys(before)) {
+      if (!(key in after)) this.#remove([...path, key]);
+    }
+
+    for (const [key, value] of Object.entries(after)) {
+      const previous = before[key];
+      if (isDeepStrictEqual(previous, value)) continue;
+
+      const childPath = [...path, key];
+      const keyEntry = this.#findKey(childPath);
+
+      if (keyEntry !== undefined) {
+        // Written as `key = value` (including inline tables) - keep it that way
+        this.#replaceKey(keyEntry, value);
+      } else if (isTable(previous) && isTable(value)) {
+        this.#updateTable(childPath, previous, value);
+      } else if (isTableArray(previous) && isTableArray(value)) {
+        this.#updateTableArray(childPath, previous, value);
+      } else {
+        if (previous !== undefined) this.#remove(childPath);
+        this.#insert(path, key, value);
+      }
+    }
+  }
+
+  #updateTableArray(path: KeySegment[], before: TomlTable[], after: TomlTable[]): void {
+    for (let i = before.length - 1; i >= after.length; i--) {
+      this.#remove([...path, i]);
+    }
+
+    for (let i = 0; i < Math.min(before.length, after.length); i++) {
+      const previous = before[i];
+      const value = after[i];
+      if (previous !== undefined && value !== undefined && !isDeepStrictEqual(previous, value)) {
+        this.#updateTable([...path, i], previous, value);
+      }
+    }
+
+    for (let i = before.length; i < after.length; i++) {
+      this.#insertLines(this.#regionEnd(path), ['', ...renderSection(path.filter(s => typeof s === 'string'), [after[i]])]);
+    }
+  }
+
+  #findKey(path: readonly KeySegment[]): SourceEntry | undefined {
+    return this.#entries.find(entry =>
+      entry.kind === 'key' && entry.path.length === path.length && startsWithPath(entry.path, path)
+    );
+  }
+
+  #findHeader(path: readonly KeySegment[]): SourceEntry | undefined {
+    return this.#entries.find(entry =>
+      entry.kind !== 'key' && entry.path.length === path.length && startsWithPath(entry.path, path)
+    );
+  }
+
+  /**
+   * Line index just past the last key/value in the section headed by `header`
+   * (or the root section when `header` is undefined), before trailing blank lines
+   */
+  #contentEnd(header: SourceEntry | undefined): number {
+    const start = header?.start ?? -1;
+    const nextHeader = this.#entries.find(entry => entry.kind !== 'key' && entry.start > start);
+    const limit = nextHeader?.start ?? this.#lines.length;
+
+    let end = header?.end ?? 0;
+    for (const entry of this.#entries) {
+      if (entry.kind === 'key' && entry.start > start && entry.start < limit) end = Math.max(end, entry.end);
+    }
+    return end;
+  }
+
+  /**
+   * Line index just past everything written under `path`, including sub-tables
+   */
+  #regionEnd(path: readonly KeySegment[]): number {
+    const sections = this.#entries.filter(entry => entry.kind !== 'key' && startsWithPath(entry.path, path));
+    const last = sections[sections.length - 1];
+    if (last !== undefined) return this.#contentEnd(last);
+
+    if (path.length > 0) return this.#regionEnd(path.slice(0, -1));
+
+    let end = this.#lines.length;
+    while (end > 0 && isBlank(this.#lines[end - 1] ?? '')) end--;
+    return end;
+  }
+
+  #replaceKey(entry: SourceEntry, value: unknown): void {
+    const rendered = `${entry.indent}${formatKeyPath(entry.relativeKey)} = ${renderValue(value)}`;
+    const comment = entry.comment === '' ? '' : ` ${entry.comment}`;
+    this.#lines.splice(entry.start, entry.end - entry.start, ...`${rendered}${comment}`.split('\n'));
+    this.#rescan();
+  }
+
+  #insert(tablePath: KeySegment[], key: string, value: unknown): void {
+    if (needsHeader(value)) {
+      this.#insertLines(this.#regionEnd(tablePath), ['', ...renderSection([...tablePath, key], value)]);
+      return;
+    }
+
+    const header = this.#findHeader(tablePath);
+    if (header !== undefined || tablePath.length === 0) {
+      const at = this.#contentEnd(header);
+      const sibling = this.#entries.find(entry => entry.kind === 'key' && entry.start >= (header?.start ?? 0) && entry.end <= at);
+      const indent = sibling?.indent ?? header?.indent ?? '';
+      const lines = `${indent}${formatKeyPath([key])} = ${renderValue(value)}`.split('\n');
+      // A key added to an empty root section must stay separated from the first header
+      const spacer = header === undefined && !isBlank(this.#lines[at] ?? '') && at < this.#lines.length ? [''] : [];
+      this.#insertLines(at, [...lines, ...spacer]);
+      return;
+    }
+
+    // Table only implied by dotted keys (`policy.update = ...`) - extend the dotted keys
+    const dotted = this.#entries.filter(entry =>
+      entry.kind === 'key' &&
+      startsWithPath(entry.path, tablePath) &&
+      entry.relativeKey.length > entry.path.length - tablePath.length
+    );
+    const last = dotted[dotted.length - 1];
+    if (last !== undefined) {
+      const prefix = last.relativeKey.slice(0, last.relativeKey.length - (last.path.length - tablePath.length));
+      this.#insertLines(last.end, `${last.indent}${formatKeyPath([...prefix, key])} = ${renderValue(value)}`.split('\n'));
+      return;
+    }
+
+    this.#insertLines(this.#regionEnd(tablePath), ['', ...renderSection(tablePath, { [key]: value })]);
+  }
+
+  #insertLines(at: number, lines: string[]): void {
+    // Don't leave a leading blank line at the very top of the file
+    const toInsert = at === 0 && lines[0] === '' ? lines.slice(1) : lines;
+    this.#lines.splice(at, 0, ...toInsert);
+    this.#rescan();
+  }
+
+  /**
+   * Remove every line defining `path`: its key/value, its sections and any
+   * comments attached directly above them
+   */
+  #remove(path: readonly KeySegment[]): void {
+    const ranges: [number, number][] = [];
+
+    for (const entry of this.#entries) {
+      if (!startsWithPath(entry.path, path)) continue;
+
+      if (entry.kind === 'key') {
+        ranges.push([this.#commentStart(entry.start), entry.end]);
+      } else {
+        const end = this.#contentEnd(entry);
+        let trailing = end;
+        while (trailing < this.#lines.length && isBlank(this.#lines[trailing] ?? '')) trailing++;
+        ranges.push([this.#commentStart(entry.start), trailing]);
+      }
+    }
+
+    // Sections contain their own keys, so merge overlapping ranges before deleting
+    const merged: [number, number][] = [];
+    for (const [start, end] of ranges.sort((a, b) => a[0] - b[0])) {
+      const last = merged[merged.length - 1];
+      if (last !== undefined && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    }
+
+    for (const [start, end] of merged.reverse()) {
+      this.#lines.splice(start, end - start);
+    }
+    this.#rescan();
+  }
+
+  #commentStart(line: number): number {
+    let start = line;
+    while (start > 0 && isComment(this.#lines[start - 1] ?? '')) start--;
+    return start;
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * Source-level helpers for decisions.toml - maps parsed key paths back to
+ * the lines they were written on so errors can point at the right place,
+ * and so edits can touch only the lines they need to.
+ */
+
+const BARE_KEY = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * A resolved key path. Numbers index into arrays of tables (`[[a.b]]`).
+ */
+type KeySegment = string | number;
+
+/**
+ * A table header, array-of-tables header or key/value definition in the source
+ */
+interface SourceEntry {
+  kind: 'table' | 'array-table' | 'key';
+  /** Absolute key path, with array-of-tables indices resolved */
+  path: KeySegment[];
+  /** For keys: the key as written, relative to its enclosing table header */
+  relativeKey: string[];
+  /** 0-based index of the first line */
+  start: number;
+  /** 0-based index one past the last line (multi-line values span several) */
+  end: number;
+  /** Leading whitespace of the first line */
+  indent: string;
+  /** Trailing comment on the last line, including the `#` */
+  comment: string;
+}
+
+/**
+ * Split a dotted TOML key (`a."b.c".d`) into its segments
+ */
+export function parseKeyPath(text: string): string[] {
+  const segments: string[] = [];
+  let current = '';
+  let quote: string | null = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i] ?? '';
+
+    if (quote !== null) {
+      if (char === '\\' && quote === '"') {
+        current += text[i + 1] ?? '';
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '.') {
+      segments.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  segments.push(current.trim());
+  return segments;
+}
+
+/**
+ * Format key segments as a dotted TOML key, quoting where needed.
+ * Array-of-tables indices are shown as `[n]` for display.
+ */
+export function formatKeyPath(path: readonly KeySegment[]): string {
+  return path.reduce<string>((formatted, segment) => {
+    if (typeof segment === 'number') return `${formatted}[${segment}]`;
+    const key = BARE_KEY.test(segment) ? segment : JSON.stringify(segment);
+    return formatted === '' ? key : `${formatted}.${key}`;
+  }, '');
+}
+
+/**
+ * Find `terminator` in `text` starting at `from`, skipping quoted segments
+ */
+function findUnquoted(text: string, terminator: string, from = 0): number {
+  let quote: string | null = null;
+
+  for (let i = from; i < text.length; i++) {
+    const char = text[i];
+    if (quote !== null) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === terminator) {
+      return i;
+    } else if (char === '\n') {
+      return -1;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Return the offset just past the TOML value starting at `pos`.
+ * Handles multi-line strings and arrays/inline tables that span lines.
+ */
+function skipValue(text: string, pos: number): number {
+  for (const delimiter of ['"""', "'''"]) {
+    if (text.startsWith(delimiter, pos)) {
+      let close = text.indexOf(delimiter, pos + 3);
+      while (close !== -1 && delimiter === '"""' && isEscaped(text, close)) {
+        close = text.indexOf(delimiter, close + 1);
+      }
+      if (close === -1) return text.length;
+      // A closing delimiter may be followed by up to two more quotes that belong to the string
+      let end = close + 3;
+      while (text[end] === delimiter[0] && end < close + 5) end++;
+      return end;
+    }
+  }
+
+  const first = text[pos];
+  if (first === '"' || first === "'") {
+    for (let i = pos + 1; i < text.length; i++) {
+      if (text[i] === '\\' && first === '"') {
+        i++;
+      } else if (text[i] === first || text[i] === '\n') {
+        return i + 1;
+      }
+    }
+    return text.length;
+  }
+
+  if (first === '[' || first === '{') {
+    let depth = 0;
+    for (let i = pos; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"' || char === "'") {
+        i = skipValue(text, i) - 1;
+      } else if (char === '#') {
+        const newline = text.indexOf('\n', i);
+        i = newline === -1 ? text.length : newline;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+        if (depth === 0) return i + 1;
+      }
+    }
+    return text.length;
+  }
+
+  let end = pos;
+  while (end < text.length && text[end] !== '\n' && text[end] !== '#') end++;
+  while (end > pos && /\s/.test(text[end - 1] ?? '')) end--;
+  return end;
+}
+
+function isEscaped(text: string, index: number): boolean {
+  let backslashes = 0;
+  for (let i = index - 1; i >= 0 && text[i] === '\\'; i--) backslashes++;
+  return backslashes % 2 === 1;
+}
+
+function endOfLine(text: string, from: number): number {
+  const newline = text.indexOf('\n', from);
+  return newline === -1 ? text.length : newline;
+}
+
+/**
+ * Scan TOML source for table headers and key definitions.
+ * Values spanning several lines are reported as a single entry.
+ */
+export function scanEntries(content: string): SourceEntry[] {
+  const entries: SourceEntry[] = [];
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const lineOf = (offset: number): number => {
+    let line = 0;
+    while (line + 1 < lineStarts.length && (lineStarts[line + 1] ?? Infinity) <= offset) line++;
+    return line;
+  };
+
+  const arrayCounts = new Map<string, number>();
+  const resolve = (path: string[]): KeySegment[] => {
+    const resolved: KeySegment[] = [];
+    for (const segment of path) {
+      resolved.push(segment);
+      const count = arrayCounts.get(JSON.stringify(resolved));
+      if (count !== undefined) resolved.push(count - 1);
+    }
+    return resolved;
+  };
+
+  let table: KeySegment[] = [];
+  let line = 0;
+
+  while (line < lineStarts.length) {
+    const lineStart = lineStarts[line] ?? 0;
+    const raw = content.slice(lineStart, endOfLine(content, lineStart));
+    const text = raw.trim();
+    const indent = raw.slice(0, raw.length - raw.trimStart().length);
+
+    if (text === '' || text.startsWith('#')) {
+      line++;
+      continue;
+    }
+
+    if (text.startsWith('[')) {
+      const isArray = text.startsWith('[[');
+      const body = text.slice(isArray ? 2 : 1);
+      const close = findUnquoted(body, ']');
+      if (close !== -1) {
+        const path = parseKeyPath(body.slice(0, close));
+        if (isArray) {
+          const parent = resolve(path.slice(0, -1));
+          const key = JSON.stringify([...parent, path[path.length - 1] ?? '']);
+          arrayCounts.set(key, (arrayCounts.get(key) ?? 0) + 1);
+        }
+        table = resolve(path);
+        const rest = body.slice(close + (isArray ? 2 : 1)).trim();
+        entries.push({
+          kind: isArray ? 'array-table' : 'table',
+          path: table,
+          relativeKey: [],
+          start: line,
+          end: line + 1,
+          indent,
+          comment: rest.startsWith('#') ? rest : ''
+        });
+      }
+      line++;
+      continue;
+    }
+
+    const equals = findUnquoted(content, '=', lineStart);
+    if (equals === -1) {
+      line++;
+      continue;
+    }
+
+    const relativeKey = parseKeyPath(content.slice(lineStart, equals));
+    let valueStart = equals + 1;
+    while (content[valueStart] === ' ' || content[valueStart] === '\t') valueStart++;
+    const valueEnd = skipValue(content, valueStart);
+    const lastLine = lineOf(Math.max(valueEnd - 1, valueStart));
+    const rest = content.slice(valueEnd, endOfLine(content, valueEnd)).trim();
+
+    entries.push({
+      kind: 'key',
+      path: [...table, ...relativeKey],
+      relativeKey,
+      start: line,
+      end: lastLine + 1,
+      indent,
+      comment: rest.startsWith('#') ? rest : ''
+    });
+    line = lastLine + 1;
+  }
+
+  return entries;
+}
+
+/**
+ * Check whether `path` starts with every segment of `prefix`
+ */
+export function startsWithPath(path: readonly KeySegment[], prefix: readonly KeySegment[]): boolean {
+  return prefix.length <= path.length && prefix.every((segment, i) => segment === path[i]);
+}
+
+/**
+ * Find the line that defines `path`, falling back to the closest enclosing table
+ */
+export function locateLine(content: string, path: readonly KeySegment[]): number | undefined {
+  const entries = scanEntries(content);
+
+  for (let length = path.length; length > 0; length--) {
+    const prefix = path.slice(0, length);
+    const match = entries.find(entry => entry.path.length === prefix.length && startsWithPath(entry.path, prefix));
+    if (match) return match.start + 1;
+  }
+
+  return undefined;
+}
+
+export type { KeySegment, SourceEntry };
@@ -0,0 +1,96 @@
+import { join } from 'path';
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MemoryStorage } from './storage.ts';
+import { createDecisionToml } from './test-utils/factories.ts';
+import { WorkspaceDecisions, discoverPackages, findWorkspaceRoot, parseWorkspacePatterns } from './workspace.ts';
+
+const root = join('/', 'acme');
+
+describe('parseWorkspacePatterns', () => {
+  it('reads the packages list, ignoring comments and quotes', () => {
+    expect(parseWorkspacePatterns(`packages:
+  # Tools
+  - "tools/*"
+  - 'packages/**'
+  - apps/web # the app
+  - "!**/test/**"
+onlyBuiltDependencies:
+  - esbuild
+`)).toEqual(['tools/*', 'packages/**', 'apps/web', '!**/test/**']);
+  });
+});
+
+describe('workspace decisions', () => {
+  let storage: MemoryStorage;
+
+  async function writeWorkspaceFile(path: string, content: string): Promise<void> {
+    await storage.write(join(root, ...path.split('/')), content);
+  }
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await writeWorkspaceFile('pnpm-workspace.yaml', 'packages:\n  - "tools/*"\n  - "!tools/ignored"\n');
+    await writeWorkspaceFile('decisions.toml', createDecisionToml('typescript', '^5.8.3') + '\n' + createDecisionToml('vitest', '^3.1.4', { reviewBy: '2020-01-01' }));
+    await writeWorkspaceFile('tools/cli/package.json', '{ "name": "@acme/cli" }');
+    await writeWorkspaceFile('tools/cli/decisions.toml', createDecisionToml('typescript', '^5.9.0') + '\n' + createDecisionToml('commander', '^12.0.0', { reviewBy: '2020-01-01' }));
+    await writeWorkspaceFile('tools/lib/package.json', '{ "name": "@acme/lib" }');
+    await writeWorkspaceFile('tools/ignored/package.json', '{ "name": "@acme/ignored" }');
+    await writeWorkspaceFile('tools/not-a-package/README.md', '');
+  });
+
+  it('finds the workspace root from a package directory', async () => {
+    expect(await findWorkspaceRoot(join(root, 'tools', 'cli'), storage)).toBe(root);
+    expect(await findWorkspaceRoot(join('/', 'elsewhere'), storage)).toBeUndefined();
+  });
+
+  it('discovers packages with a package.json, honouring exclusions', async () => {
+    expect(await discoverPackages(root, storage)).toEqual([
+      { name: '@acme/cli', dir: 'tools/cli', decisionsPath: 'tools/cli/decisions.toml' },
+      { name: '@acme/lib', dir: 'tools/lib', decisionsPath: 'tools/lib/decisions.toml' }
+    ]);
+  });
+
+  it('merges package decisions over root decisions with provenance', async () => {
+    const decisions = await new WorkspaceDecisions(root, { storage }).listPackage('@acme/cli');
+
+    expect(decisions.map(d => [d.key, d.value, d.source, d.overrides])).toEqual([
+      ['vitest', '^3.1.4', 'decisions.toml', undefined],
+      ['typescript', '^5.9.0', 'tools/cli/decisions.toml', 'decisions.toml'],
+      ['commander', '^12.0.0', 'tools/cli/decisions.toml', undefined]
+    ]);
+    expect(decisions[1]?.package).toBe('@acme/cli');
+  });
+
+  it('inherits every root decision in packages without their own file', async () => {
+    const decisions = await new WorkspaceDecisions(root, { storage }).listPackage('tools/lib');
+
+    expect(decisions.map(d => [d.key, d.source, d.package])).toEqual([
+      ['typescript', 'decisions.toml', undefined],
+      ['vitest', 'decisions.toml', undefined]
+    ]);
+  });
+
+  it('rejects unknown packages', async () => {
+    await expect(new WorkspaceDecisions(root, { storage }).listPackage('@acme/missing')).rejects.toThrow(
+      'Unknown workspace package: @acme/missing (available: @acme/cli, @acme/lib)'
+    );
+  });
+
+  it('lists expired decisions across every decisions file once', async () => {
+    const expired = await new WorkspaceDecisions(root, { storage }).getExpired();
+
+    expect(expired.map(d => `${d.source}:${d.key}`)).toEqual([
+      'decisions.toml:vitest',
+      'tools/cli/decisions.toml:commander'
+    ]);
+  });
+
+  it('reads the source of every decisions file for reports', async () => {
+    const sources = await new WorkspaceDecisions(root, { storage }).sources();
+
+    expect(sources.map(source => source.file)).toEqual(['decisions.toml', 'tools/cli/decisions.toml']);
+    expect(sources[1]?.content).toContain('[dependencies.commander]');
+  });
+});
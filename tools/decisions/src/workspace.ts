@@ -0,0 +1,274 @@
+/**
+ * Monorepo support: discovers a decisions.toml per pnpm workspace package and
+ * merges it over the root decisions.toml.
+ *
+ * A package inherits every root decision. A package decision with the same
+ * `category.key` overrides the root one (revoking it in the package opts the
+ * package out). Every decision carries the file it came from. Files and
+ * directories are read through the DecisionsStorage in use.
+ */
+
+import { dirname, join } from 'path';
+
+import { DecisionsManager } from './manager.ts';
+import type { Decision, ManagerOptions } from './manager.ts';
+import { FileSystemStorage } from './storage.ts';
+import type { DecisionsStorage } from './storage.ts';
+
+const WORKSPACE_FILE = 'pnpm-workspace.yaml';
+const DECISIONS_FILE = 'decisions.toml';
+
+interface WorkspacePackage {
+  /** `name` from the package's package.json, falling back to its directory */
+  name: string;
+  /** Directory relative to the workspace root, using `/` separators */
+  dir: string;
+  /** Path of the package's decisions file relative to the workspace root */
+  decisionsPath: string;
+}
+
+/**
+ * A decision together with where it was defined
+ */
+interface SourcedDecision extends Decision {
+  /** Decisions file the decision was read from, relative to the workspace root */
+  source: string;
+  /** Package whose file defined it; undefined for the root decisions.toml */
+  package: string | undefined;
+  /** Root decisions file this decision overrides, if any */
+  overrides?: string;
+}
+
+/**
+ * Walk up from `from` to the directory containing pnpm-workspace.yaml
+ */
+async function findWorkspaceRoot(from = process.cwd(), storage: DecisionsStorage = new FileSystemStorage()): Promise<string | undefined> {
+  let dir = from;
+  for (;;) {
+    if (await storage.exists(join(dir, WORKSPACE_FILE))) return dir;
+    const parent = dirname(dir);
+    if (parent === dir) return undefined;
+    dir = parent;
+  }
+}
+
+/**
+ * Read the `packages:` globs from pnpm-workspace.yaml.
+ * Only the block-list form pnpm documents is supported.
+ */
+function parseWorkspacePatterns(yaml: string): string[] {
+  const patterns: string[] = [];
+  let inPackages = false;
+
+  for (const raw of yaml.split('\n')) {
+    const line = raw.replace(/\s+#.*$/, '').trimEnd();
+    if (line.trim() === '' || line.trim().startsWith('#')) continue;
+
+    if (!/^\s/.test(line)) {
+      inPackages = line.startsWith('packages:');
+      continue;
+    }
+
+    const item = /^\s+-\s+(.+)$/.exec(line);
+    if (inPackages && item?.[1] !== undefined) {
+      patterns.push(item[1].trim().replace(/^(["'])(.*)\1$/, '$2'));
+    }
+  }
+
+  return patterns;
+}
+
+function segmentPattern(segment: string): RegExp {
+  const escaped = segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+  return new RegExp(`^${escaped}$`);
+}
+
+async function subdirectories(storage: DecisionsStorage, dir: string): Promise<string[]> {
+  const names = await storage.directories(dir);
+  return names.filter(name => name !== 'node_modules' && !name.startsWith('.')).sort();
+}
+
+/**
+ * Expand a workspace glob (`tools/*`, `packages/**`, `apps/web`) to directories under `root`
+ */
+async function expandPattern(storage: DecisionsStorage, root: string, segments: string[], base = ''): Promise<string[]> {
+  const [segment, ...rest] = segments;
+  if (segment === undefined) return base === '' ? [] : [base];
+
+  const children = await subdirectories(storage, join(root, base));
+  const results: string[] = [];
+
+  if (segment === '**') {
+    results.push(...await expandPattern(storage, root, rest, base));
+    for (const child of children) {
+      results.push(...await expandPattern(storage, root, segments, base === '' ? child : `${base}/${child}`));
+    }
+    return results;
+  }
+
+  const pattern = segmentPattern(segment);
+  for (const child of children.filter(name => pattern.test(name))) {
+    results.push(...await expandPattern(storage, root, rest, base === '' ? child : `${base}/${child}`));
+  }
+  return results;
+}
+
+async function packageName(storage: DecisionsStorage, root: string, dir: string): Promise<string> {
+  const manifest = join(root, dir, 'package.json');
+  if (!await storage.exists(manifest)) return dir;
+
+  const { name } = JSON.parse(await storage.read(manifest)) as { name?: unknown };
+  return typeof name === 'string' ? name : dir;
+}
+
+/**
+ * List the workspace packages matched by pnpm-workspace.yaml, honouring `!` exclusions.
+ * A directory without pnpm-workspace.yaml is a single-package project with no packages.
+ */
+async function discoverPackages(root: string, storage: DecisionsStorage = new FileSystemStorage()): Promise<WorkspacePackage[]> {
+  const workspaceFile = join(root, WORKSPACE_FILE);
+  if (!await storage.exists(workspaceFile)) return [];
+
+  const patterns = parseWorkspacePatterns(await storage.read(workspaceFile));
+  const split = (pattern: string): string[] => pattern.replace(/^\.\//, '').split('/').filter(s => s !== '');
+
+  const included = new Set<string>();
+  for (const pattern of patterns.filter(p => !p.startsWith('!'))) {
+    for (const dir of await expandPattern(storage, root, split(pattern))) {
+      if (await storage.exists(join(root, dir, 'package.json'))) included.add(dir);
+    }
+  }
+  for (const pattern of patterns.filter(p => p.startsWith('!'))) {
+    for (const dir of await expandPattern(storage, root, split(pattern.slice(1)))) included.delete(dir);
+  }
+
+  const packages: WorkspacePackage[] = [];
+  for (const dir of [...included].sort()) {
+    packages.push({ name: await packageName(storage, root, dir), dir, decisionsPath: `${dir}/${DECISIONS_FILE}` });
+  }
+  return packages;
+}
+
+export class WorkspaceDecisions {
+  readonly #root: string;
+  readonly #options: ManagerOptions;
+  readonly #storage: DecisionsStorage;
+
+  /**
+   * @param root - Workspace root (the directory containing pnpm-workspace.yaml)
+   * @param options - Clock and storage passed to every package's DecisionsManager
+   */
+  constructor(root: string, options: ManagerOptions = {}) {
+    this.#root = root;
+    this.#storage = options.storage ?? new FileSystemStorage();
+    this.#options = { ...options, storage: this.#storage };
+  }
+
+  async packages(): Promise<WorkspacePackage[]> {
+    return discoverPackages(this.#root, this.#storage);
+  }
+
+  /**
+   * Find a package by its package.json name or its directory
+   */
+  async getPackage(nameOrDir: string): Promise<WorkspacePackage> {
+    const packages = await this.packages();
+    const match = packages.find(pkg => pkg.name === nameOrDir || pkg.dir === nameOrDir.replace(/\/$/, ''));
+
+    if (match === undefined) {
+      const available = packages.map(pkg => pkg.name).join(', ');
+      throw new Error(`Unknown workspace package: ${nameOrDir} (available: ${available === '' ? 'none' : available})`);
+    }
+    return match;
+  }
+
+  /**
+   * Decisions in effect for one package: the root decisions merged with the package's own
+   */
+  async listPackage(nameOrDir: string): Promise<SourcedDecision[]> {
+    const pkg = await this.getPackage(nameOrDir);
+    const merged = new Map<string, SourcedDecision>();
+
+    for (const decision of await this.#collect(DECISIONS_FILE, undefined, manager => manager.list())) {
+      merged.set(`${decision.category}.${decision.key}`, decision);
+    }
+    for (const decision of await this.#collect(pkg.decisionsPath, pkg.name, manager => manager.list())) {
+      const id = `${decision.category}.${decision.key}`;
+      const inherited = merged.get(id);
+      // Re-insert so overrides are listed with the package's own decisions
+      merged.delete(id);
+      merged.set(id, inherited === undefined ? decision : { ...decision, overrides: inherited.source });
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Every decision in the workspace, each listed once under the file that defines it
+   */
+  async list(): Promise<SourcedDecision[]> {
+    return this.#collectAll(manager => manager.list());
+  }
+
+  async getExpired(): Promise<SourcedDecision[]> {
+    return this.#collectAll(manager => manager.getExpired());
+  }
+
+  async getDueSoon(days: number): Promise<SourcedDecision[]> {
+    return this.#collectAll(manager => manager.getDueSoon(days));
+  }
+
+  /**
+   * Contents of every decisions file in the workspace, keyed by path relative to the root
+   */
+  async sources(): Promise<{ file: string; content: string }[]> {
+    const sources: { file: string; content: string }[] = [];
+    for (const { file } of await this.#files()) {
+      sources.push({ file, content: await this.#storage.read(this.#resolve(file)) });
+    }
+    return sources;
+  }
+
+  #resolve(file: string): string {
+    return join(this.#root, ...file.split('/'));
+  }
+
+  /**
+   * The root decisions file and every package's, skipping files that don't exist
+   */
+  async #files(): Promise<{ file: string; pkg: string | undefined }[]> {
+    const candidates = [
+      { file: DECISIONS_FILE, pkg: undefined },
+      ...(await this.packages()).map(pkg => ({ file: pkg.decisionsPath, pkg: pkg.name }))
+    ];
+
+    const files: { file: string; pkg: string | undefined }[] = [];
+    for (const candidate of candidates) {
+      if (await this.#storage.exists(this.#resolve(candidate.file))) files.push(candidate);
+    }
+    return files;
+  }
+
+  async #collectAll(read: (manager: DecisionsManager) => Promise<Decision[]>): Promise<SourcedDecision[]> {
+    const results: SourcedDecision[] = [];
+    for (const { file, pkg } of await this.#files()) {
+      results.push(...await this.#collect(file, pkg, read));
+    }
+    return results;
+  }
+
+  async #collect(
+    file: string,
+    pkg: string | undefined,
+    read: (manager: DecisionsManager) => Promise<Decision[]>
+  ): Promise<SourcedDecision[]> {
+    const path = this.#resolve(file);
+    if (!await this.#storage.exists(path)) return [];
+
+    const decisions = await read(new DecisionsManager(path, this.#options));
+    return decisions.map(decision => ({ ...decision, source: file, package: pkg }));
+  }
+}
+
+export { discoverPackages, findWorkspaceRoot, parseWorkspacePatterns };
+export type { SourcedDecision, WorkspacePackage };
@@ -0,0 +1,75 @@
+// @ts-check
+
+import { Linter } from "eslint";
+import { describe, it, expect } from "vitest";
+
+import { comparable, fingerprint, fingerprintHash, similarity } from "./fingerprint.ts";
+
+/**
+ * Fingerprint of the first function in `code`
+ */
+function fingerprintOf(code) {
+  const linter = new Linter();
+  linter.verify(code, {});
+  const sourceCode = linter.getSourceCode();
+  const [statement] = sourceCode.ast.body;
+  const node = statement?.type === "VariableDeclaration" ? statement.declarations[0]?.init : statement;
+  return fingerprint(/** @type {any} */ (node), /** @type {any} */ (sourceCode));
+}
+
+describe("fingerprint", () => {
+  it("replaces the names a function binds with their order of appearance", () => {
+    expect(fingerprintOf("function trim(text) { const parts = text.split(' '); return parts.join(' '); }")).toEqual([
+      "const", "$0", "=", "$1", ".", "split", "(", "' '", ")", ";",
+      "return", "$0", ".", "join", "(", "' '", ")", ";"
+    ]);
+  });
+
+  it("keeps globals, properties and literals", () => {
+    expect(fingerprintOf("const parse = (json) => JSON.parse(json).data")).toEqual(["JSON", ".", "parse", "(", "$0", ")", ".", "data"]);
+  });
+
+  it("ignores comments, layout and how things are named", () => {
+    const original = fingerprintOf("function sum(values) { let total = 0; for (const v of values) total += v; return total; }");
+    const renamed = fingerprintOf(`function addAll(numbers) {
+      // Running total
+      let acc = 0;
+      for (const n of numbers) acc += n;
+      return acc;
+    }`);
+
+    expect(renamed).toEqual(original);
+  });
+});
+
+/**
+ * Similarity of two token streams
+ */
+function similarityOf(a, b, threshold = 0) {
+  return similarity(comparable(a), comparable(b), threshold);
+}
+
+describe("similarity", () => {
+  it("scores the share of token trigrams two fingerprints have in common", () => {
+    expect(similarityOf(["a", "b", "c", "d"], ["a", "b", "c", "d"])).toBe(1);
+    expect(similarityOf(["a", "b", "c", "d"], ["a", "b", "c", "e"])).toBe(0.5);
+    expect(similarityOf(["a", "b", "c"], ["x", "y", "z"])).toBe(0);
+  });
+
+  it("scores streams too short to compare by equality alone", () => {
+    expect(similarityOf(["a"], ["a"])).toBe(1);
+    expect(similarityOf(["a"], ["b"])).toBe(0);
+  });
+
+  it("scores 0 when the lengths alone rule out the threshold", () => {
+    const long = ["a", "b", "c", "d", "e", "f", "g", "h"];
+
+    expect(similarityOf(long, ["a", "b", "c", "d"])).toBe(0.5);
+    expect(similarityOf(long, ["a", "b", "c", "d"], 0.6)).toBe(0);
+  });
+
+  it("hashes identical streams alike", () => {
+    expect(fingerprintHash(["a", "b"])).toBe(fingerprintHash(["a", "b"]));
+    expect(fingerprintHash(["a", "b"])).not.toBe(fingerprintHash(["a b"]));
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Structural fingerprints of function bodies for no-duplicate-utilities.
+ *
+ * A fingerprint is the body's token stream with comments and layout dropped
+ * and every name the function binds itself (parameters, local variables,
+ * nested functions) replaced by its order of first appearance. Copies whose
+ * authors renamed things have the same fingerprint; functions that only share
+ * a naming pattern (getUserName, getUserEmail) don't.
+ */
+
+import { createHash } from 'crypto';
+
+import { AST_NODE_TYPES, AST_TOKEN_TYPES } from '@typescript-eslint/utils';
+import type { TSESLint, TSESTree } from '@typescript-eslint/utils';
+
+export type FunctionNode = TSESTree.ArrowFunctionExpression | TSESTree.FunctionDeclaration | TSESTree.FunctionExpression;
+
+/** A fingerprint with what `similarity` needs worked out once */
+export interface ComparableFingerprint {
+  /** See `fingerprintHash` */
+  hash: string;
+  /** How often each token trigram occurs */
+  grams: Map<string, number>;
+  /** Number of trigrams, repeats included */
+  size: number;
+}
+
+/** Token sequences compared by `similarity` */
+const GRAM_SIZE = 3;
+
+function localNames(scope: TSESLint.Scope.Scope, names: Set<string>): Set<string> {
+  for (const variable of scope.variables) {
+    // The implicit `arguments` binding is the same in every function
+    if (variable.defs.length > 0) names.add(variable.name);
+  }
+  for (const child of scope.childScopes) localNames(child, names);
+  return names;
+}
+
+/**
+ * The identifier-normalized token stream of a function's body
+ */
+export function fingerprint(node: FunctionNode, sourceCode: Readonly<TSESLint.SourceCode>): string[] {
+  const locals = localNames(sourceCode.getScope(node), new Set());
+  const placeholders = new Map<string, string>();
+
+  let tokens = sourceCode.getTokens(node.body);
+  // The braces of a block body are the same everywhere
+  if (node.body.type === AST_NODE_TYPES.BlockStatement) tokens = tokens.slice(1, -1);
+
+  return tokens.map(token => {
+    if (token.type !== AST_TOKEN_TYPES.Identifier || !locals.has(token.value)) return token.value;
+    let placeholder = placeholders.get(token.value);
+    if (placeholder === undefined) {
+      placeholder = `$${placeholders.size}`;
+      placeholders.set(token.value, placeholder);
+    }
+    return placeholder;
+  });
+}
+
+/**
+ * Hash of a fingerprint's token stream, the same for identical streams
+ */
+export function fingerprintHash(tokens: string[]): string {
+  return createHash('sha1').update(JSON.stringify(tokens)).digest('hex');
+}
+
+/**
+ * Count the trigrams of `tokens` for `similarity`
+ * @param hash - `fingerprintHash(tokens)`, if already known
+ */
+export function comparable(tokens: string[], hash = fingerprintHash(tokens)): ComparableFingerprint {
+  const grams = new Map<string, number>();
+  let size = 0;
+  for (let i = 0; i + GRAM_SIZE <= tokens.length; i++) {
+    const gram = tokens.slice(i, i + GRAM_SIZE).join(' ');
+    grams.set(gram, (grams.get(gram) ?? 0) + 1);
+    size++;
+  }
+  return { hash, grams, size };
+}
+
+/**
+ * How alike two fingerprints are, from 0 to 1: the share of token trigrams
+ * they have in common (Dice coefficient). Identical streams score 1.
+ * @param threshold - Pairs that can't reach it may score 0 without being compared
+ */
+export function similarity(a: ComparableFingerprint, b: ComparableFingerprint, threshold = 0): number {
+  if (a.hash === b.hash) return 1;
+
+  // At best every trigram of the smaller fingerprint is shared
+  const total = a.size + b.size;
+  if (total === 0 || (2 * Math.min(a.size, b.size)) / total < threshold) return 0;
+
+  const [smaller, larger] = a.size <= b.size ? [a.grams, b.grams] : [b.grams, a.grams];
+  let shared = 0;
+  for (const [gram, count] of smaller) shared += Math.min(count, larger.get(gram) ?? 0);
+
+  return (2 * shared) / total;
+}
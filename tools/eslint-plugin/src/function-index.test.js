@@ -0,0 +1,156 @@
+// @ts-check
+
+import { existsSync, mkdtempSync, readFileSync, rmSync, utimesSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+import { Linter } from "eslint";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+
+import { fingerprintHash } from "./fingerprint.ts";
+import { findDuplicate, finishRun, getFunctionIndex, updateFile } from "./function-index.ts";
+import { noDuplicateUtilities } from "./rules/no-duplicate-utilities.ts";
+
+/**
+ * An index entry for an exported function
+ */
+function indexed(name, file, fingerprint, fields = {}) {
+  return { name, paramCount: 1, fingerprint, hash: fingerprintHash(fingerprint), file, line: 1, ...fields };
+}
+
+/**
+ * Flat config running no-duplicate-utilities across files with `indexFile`
+ */
+function crossFileConfig(indexFile) {
+  return [{
+    plugins: { local: { rules: { "no-duplicate-utilities": noDuplicateUtilities } } },
+    rules: { "local/no-duplicate-utilities": ["error", { crossFile: true, indexFile }] },
+  }];
+}
+
+describe("findDuplicate", () => {
+  const body = ["return", "$0", ".", "toISOString", "(", ")", ".", "slice", "(", "0", ",", "10", ")", ";"];
+
+  it("finds the most similar function in another file", () => {
+    const index = getFunctionIndex();
+    updateFile(index, "src/dates.js", [indexed("formatDate", "src/dates.js", body)]);
+    updateFile(index, "src/days.js", [indexed("isoDay", "src/days.js", [...body.slice(0, -2), "+", "1", ")", ";"])]);
+
+    const match = findDuplicate(index, indexed("toDay", "src/report.js", body), 0.5, () => true);
+
+    expect(match?.duplicate).toMatchObject({ name: "formatDate", file: "src/dates.js" });
+    expect(match?.similarity).toBe(1);
+  });
+
+  it("requires the threshold and the same parameter count", () => {
+    const index = getFunctionIndex();
+    updateFile(index, "src/dates.js", [indexed("formatDate", "src/dates.js", body)]);
+
+    expect(findDuplicate(index, indexed("toDay", "src/report.js", body, { paramCount: 2 }), 0.5, () => true)).toBeUndefined();
+    expect(findDuplicate(index, indexed("toDay", "src/report.js", ["return", "$0", ";"]), 0.5, () => true)).toBeUndefined();
+  });
+
+  it("finds exact copies with the same parameter count", () => {
+    const index = getFunctionIndex();
+    updateFile(index, "src/dates.js", [indexed("formatDate", "src/dates.js", body, { paramCount: 2 })]);
+    updateFile(index, "src/days.js", [indexed("isoDay", "src/days.js", body)]);
+
+    const match = findDuplicate(index, indexed("toDay", "src/report.js", body), 0.5, () => true);
+
+    expect(match?.duplicate).toMatchObject({ name: "isoDay", file: "src/days.js" });
+  });
+});
+
+describe("cross-file duplicate detection", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "eslint-plugin-index-"));
+  });
+
+  afterEach(() => {
+    // Otherwise the exit handler would write the cache into a deleted directory
+    finishRun();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reports exported functions that duplicate one linted earlier, with its location", () => {
+    const linter = new Linter();
+    const config = crossFileConfig(join(dir, "index.json"));
+
+    linter.verify("// Dates\nexport function formatDate(date) {\n  return date.toISOString().slice(0, 10);\n}\n", config, "src/dates.js");
+    const [copy] = linter.verify("export const isoDay = (value) => { /* copied */ return value.toISOString().slice(0, 10); };\n", config, "src/export.js");
+
+    expect(copy?.message).toBe('This function appears to duplicate "formatDate" in src/dates.js:2 (100% similar). Consider consolidating these utilities.');
+    // Only the name is alike
+    expect(linter.verify("export const dateFormat = (d) => d.toLocaleDateString('en-GB', { dateStyle: 'short' });\n", config, "src/report.js")).toEqual([]);
+  });
+
+  it("persists the index so later runs compare with files they don't lint", () => {
+    const indexFile = join(dir, "index.json");
+    const linter = new Linter();
+    linter.verify("export function formatDate(date) { return date.toISOString().slice(0, 10); }\n", crossFileConfig(indexFile), "src/dates.js");
+    finishRun();
+
+    const cached = JSON.parse(readFileSync(indexFile, "utf8"));
+    expect(cached.files["src/dates.js"]).toMatchObject([{ name: "formatDate", paramCount: 1, line: 1 }]);
+
+    // A fresh run reads the cache; src/dates.js doesn't exist here, so its entry is stale
+    const copy = join(dir, "copy.json");
+    cached.files["src/function-index.ts"] = cached.files["src/dates.js"];
+    writeFileSync(copy, JSON.stringify(cached));
+    const messages = linter.verify("export function isoDay(day) { return day.toISOString().slice(0, 10); }\n", crossFileConfig(copy), "src/report.js");
+
+    expect(messages.map(message => message.message)).toEqual([
+      'This function appears to duplicate "formatDate" in src/function-index.ts:1 (100% similar). Consider consolidating these utilities.'
+    ]);
+  });
+
+  it("merges its files into a cache another process wrote meanwhile", () => {
+    const indexFile = join(dir, "index.json");
+    const body = ["return", "$0", ".", "toISOString", "(", ")", ";"];
+    updateFile(getFunctionIndex(indexFile), "src/other.js", [indexed("other", "src/other.js", body)]);
+    finishRun();
+    const other = readFileSync(indexFile, "utf8");
+
+    updateFile(getFunctionIndex(indexFile), "src/dates.js", [indexed("formatDate", "src/dates.js", body)]);
+    // Written by another ESLint process while this one was still linting
+    writeFileSync(indexFile, other.replace("src/other.js", "src/worker.js"));
+    finishRun();
+
+    expect(Object.keys(JSON.parse(readFileSync(indexFile, "utf8")).files)).toEqual(["src/dates.js", "src/worker.js"]);
+  });
+
+  it("takes over a lock left by a process that died while writing", () => {
+    const indexFile = join(dir, "index.json");
+    writeFileSync(`${indexFile}.lock`, "");
+    utimesSync(`${indexFile}.lock`, new Date(0), new Date(0));
+
+    updateFile(getFunctionIndex(indexFile), "src/dates.js", [indexed("formatDate", "src/dates.js", ["return", "$0", ";"])]);
+    finishRun();
+
+    expect(existsSync(`${indexFile}.lock`)).toBe(false);
+    expect(Object.keys(JSON.parse(readFileSync(indexFile, "utf8")).files)).toEqual(["src/dates.js"]);
+  });
+
+  it("forgets which files were linted once the run is finished", () => {
+    const body = ["return", "$0", ".", "toISOString", "(", ")", ";"];
+    updateFile(getFunctionIndex(join(dir, "index.json")), "src/dates.js", [indexed("formatDate", "src/dates.js", body)]);
+    finishRun();
+
+    // src/dates.js was deleted after the run that linted it
+    const index = getFunctionIndex(join(dir, "index.json"));
+    expect(index.linted.size).toBe(0);
+    expect(findDuplicate(index, indexed("isoDate", "src/report.js", body), 0.9, () => false)).toBeUndefined();
+    expect(findDuplicate(index, indexed("isoDate", "src/report.js", body), 0.9, () => true)?.duplicate.name).toBe("formatDate");
+  });
+
+  it("replaces the entries of a file linted again", () => {
+    const index = getFunctionIndex(join(dir, "index.json"));
+    const body = ["return", "$0", ".", "toISOString", "(", ")", ";"];
+    updateFile(index, "src/dates.js", [indexed("formatDate", "src/dates.js", body)]);
+    updateFile(index, "src/dates.js", []);
+
+    expect(findDuplicate(index, indexed("isoDate", "src/report.js", body), 0.9, () => true)).toBeUndefined();
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * Project-wide index of exported functions for no-duplicate-utilities.
+ *
+ * Each linted file replaces its own entries, so a lint run builds the index as
+ * it goes and later files are compared with earlier ones. With a cache file,
+ * entries from earlier runs are loaded first, so files linted on their own
+ * (an editor, lint-staged) are still compared with the whole project.
+ *
+ * A run ends once no file has been linted for a moment, or when the process
+ * exits. The cache file is then written with the files this process linted,
+ * merged under a lock into what is on disk, so ESLint processes running side
+ * by side keep each other's entries. The index is dropped and reloaded by the
+ * next run, so long-lived processes like editor integrations don't keep
+ * entries of files deleted since.
+ */
+
+import { closeSync, existsSync, mkdirSync, openSync, readFileSync, renameSync, rmSync, statSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+import { AST_NODE_TYPES } from '@typescript-eslint/utils';
+import type { TSESTree } from '@typescript-eslint/utils';
+
+import { comparable, similarity } from './fingerprint.ts';
+import type { ComparableFingerprint, FunctionNode } from './fingerprint.ts';
+
+const INDEX_VERSION = 3;
+
+/** How long no file must be linted for the run to count as finished */
+const WRITE_DELAY_MS = 1000;
+/** How long to wait for another process to finish writing the cache file */
+const LOCK_TIMEOUT_MS = 5000;
+/** Locks older than this were left by a process that died while writing */
+const STALE_LOCK_MS = 30_000;
+
+export interface IndexedFunction {
+  name: string;
+  paramCount: number;
+  /** See fingerprint.ts */
+  fingerprint: string[];
+  /** `fingerprintHash` of the fingerprint */
+  hash: string;
+  /** Path relative to the working directory, with forward slashes */
+  file: string;
+  line: number;
+}
+
+export interface FunctionIndex {
+  /** Absolute path of the cache file, if the index is persisted */
+  cachePath: string | undefined;
+  files: Map<string, IndexedFunction[]>;
+  /** Entries by fingerprint hash, to find exact copies without comparing trigrams */
+  hashes: Map<string, IndexedFunction[]>;
+  /** Files linted in this run, whose entries are current */
+  linted: Set<string>;
+  /** Files whose entries changed since the cache file was written */
+  changed: Set<string>;
+}
+
+interface IndexFile {
+  version: number;
+  files: Record<string, Omit<IndexedFunction, 'file'>[]>;
+}
+
+/** One index per cache file (or none), until the cache files are written */
+const indexes = new Map<string, FunctionIndex>();
+
+let writeTimer: NodeJS.Timeout | undefined;
+let writesOnExit = false;
+
+/** Trigram counts of entries compared so far, so each is counted once */
+const comparables = new WeakMap<IndexedFunction, ComparableFingerprint>();
+
+function comparableOf(fn: IndexedFunction): ComparableFingerprint {
+  let counted = comparables.get(fn);
+  if (counted === undefined) {
+    counted = comparable(fn.fingerprint, fn.hash);
+    comparables.set(fn, counted);
+  }
+  return counted;
+}
+
+function indexHashes(hashes: Map<string, IndexedFunction[]>, functions: IndexedFunction[]): void {
+  for (const fn of functions) hashes.set(fn.hash, [...hashes.get(fn.hash) ?? [], fn]);
+}
+
+function unindexHashes(hashes: Map<string, IndexedFunction[]>, functions: IndexedFunction[]): void {
+  for (const fn of functions) {
+    const remaining = (hashes.get(fn.hash) ?? []).filter(other => other !== fn);
+    if (remaining.length === 0) {
+      hashes.delete(fn.hash);
+    } else {
+      hashes.set(fn.hash, remaining);
+    }
+  }
+}
+
+function readIndexFile(cachePath: string): Map<string, IndexedFunction[]> {
+  const files = new Map<string, IndexedFunction[]>();
+  if (!existsSync(cachePath)) return files;
+
+  let content: IndexFile;
+  try {
+    content = JSON.parse(readFileSync(cachePath, 'utf8')) as IndexFile;
+  } catch {
+    // A corrupt cache is rebuilt by the run
+    return files;
+  }
+  if (content.version !== INDEX_VERSION) return files;
+
+  for (const [file, functions] of Object.entries(content.files)) {
+    files.set(file, functions.map(fn => ({ ...fn, file })));
+  }
+  return files;
+}
+
+function sleep(ms: number): void {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Run `action` holding `<path>.lock`; false if another process held it too long
+ */
+function withLock(path: string, action: () => void): boolean {
+  const lock = `${path}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      closeSync(openSync(lock, 'wx'));
+      break;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'EEXIST') throw error;
+      const held = statSync(lock, { throwIfNoEntry: false });
+      if (held !== undefined && Date.now() - held.mtimeMs > STALE_LOCK_MS) {
+        rmSync(lock, { force: true });
+      } else if (Date.now() > deadline) {
+        return false;
+      } else {
+        sleep(10);
+      }
+    }
+  }
+
+  try {
+    action();
+  } finally {
+    rmSync(lock, { force: true });
+  }
+  return true;
+}
+
+/**
+ * Merge the changed files of `index` into its cache file; false if the cache was locked
+ */
+function writeIndexFile(index: FunctionIndex, cachePath: string): boolean {
+  mkdirSync(dirname(cachePath), { recursive: true });
+  return withLock(cachePath, () => {
+    const merged = readIndexFile(cachePath);
+    for (const file of index.changed) {
+      const functions = index.files.get(file);
+      if (functions === undefined) {
+        merged.delete(file);
+      } else {
+        merged.set(file, functions);
+      }
+    }
+
+    const files: IndexFile['files'] = {};
+    for (const [file, functions] of [...merged].sort(([a], [b]) => a.localeCompare(b))) {
+      files[file] = functions.map(({ file: _file, ...fn }) => fn);
+    }
+    // Readers never see a half-written file
+    const temporary = `${cachePath}.${process.pid}.tmp`;
+    writeFileSync(temporary, `${JSON.stringify({ version: INDEX_VERSION, files })}\n`);
+    renameSync(temporary, cachePath);
+  });
+}
+
+/**
+ * End the run: write every changed index to its cache file and drop the
+ * indexes, so the next use reloads them. Called by a timer and on exit;
+ * exported for tests.
+ */
+export function finishRun(): void {
+  clearTimeout(writeTimer);
+  writeTimer = undefined;
+
+  for (const [key, index] of indexes) {
+    const written = index.cachePath === undefined || index.changed.size === 0 || writeIndexFile(index, index.cachePath);
+    // An index whose cache was locked keeps its changes for the next attempt
+    if (written) indexes.delete(key);
+  }
+}
+
+function scheduleFinish(): void {
+  if (!writesOnExit) {
+    process.once('exit', finishRun);
+    writesOnExit = true;
+  }
+  if (writeTimer === undefined) {
+    // Never keeps the process alive; the exit handler writes what's left
+    writeTimer = setTimeout(finishRun, WRITE_DELAY_MS).unref();
+  } else {
+    writeTimer.refresh();
+  }
+}
+
+/**
+ * The index shared by every file of the lint run, loaded from `cachePath` on first use
+ */
+export function getFunctionIndex(cachePath?: string): FunctionIndex {
+  const key = cachePath ?? '';
+  let index = indexes.get(key);
+  if (index === undefined) {
+    const files = cachePath === undefined ? new Map<string, IndexedFunction[]>() : readIndexFile(cachePath);
+    const hashes = new Map<string, IndexedFunction[]>();
+    for (const functions of files.values()) indexHashes(hashes, functions);
+    index = { cachePath, files, hashes, linted: new Set(), changed: new Set() };
+    indexes.set(key, index);
+  }
+  return index;
+}
+
+/**
+ * Replace the entries of `file`; the cache file is written when the run ends
+ */
+export function updateFile(index: FunctionIndex, file: string, functions: IndexedFunction[]): void {
+  const previous = index.files.get(file) ?? [];
+  index.linted.add(file);
+  unindexHashes(index.hashes, previous);
+  indexHashes(index.hashes, functions);
+  if (functions.length === 0) {
+    index.files.delete(file);
+  } else {
+    index.files.set(file, functions);
+  }
+  if (JSON.stringify(previous) !== JSON.stringify(functions)) index.changed.add(file);
+  scheduleFinish();
+}
+
+/**
+ * The function in another file most like `fn`, if any is at least `threshold`
+ * similar (see fingerprint.ts) with the same parameter count. Cached entries
+ * of files that no longer exist are skipped.
+ * @param exists - Checks a file path relative to the working directory
+ */
+export function findDuplicate(
+  index: FunctionIndex,
+  fn: IndexedFunction,
+  threshold: number,
+  exists: (file: string) => boolean
+): { duplicate: IndexedFunction; similarity: number } | undefined {
+  const copy = index.hashes.get(fn.hash)?.find(
+    other => other.file !== fn.file && other.paramCount === fn.paramCount && (index.linted.has(other.file) || exists(other.file))
+  );
+  if (copy !== undefined) return { duplicate: copy, similarity: 1 };
+
+  const target = comparableOf(fn);
+  let best: { duplicate: IndexedFunction; similarity: number } | undefined;
+
+  for (const [file, functions] of index.files) {
+    if (file === fn.file) continue;
+    for (const other of functions) {
+      if (other.paramCount !== fn.paramCount) continue;
+      const score = similarity(target, comparableOf(other), threshold);
+      if (score >= threshold && score > (best?.similarity ?? 0) && (index.linted.has(file) || exists(file))) {
+        best = { duplicate: other, similarity: score };
+      }
+    }
+  }
+  return best;
+}
+
+function functionInit(declarator: TSESTree.VariableDeclarator): FunctionNode | undefined {
+  const { init } = declarator;
+  if (init?.type === AST_NODE_TYPES.ArrowFunctionExpression || init?.type === AST_NODE_TYPES.FunctionExpression) {
+    return init;
+  }
+  return undefined;
+}
+
+/**
+ * Top-level functions of a module by name: declarations and `const f = () => {}`
+ */
+function localFunctions(program: TSESTree.Program): Map<string, FunctionNode> {
+  const functions = new Map<string, FunctionNode>();
+  for (const statement of program.body) {
+    const declaration = statement.type === AST_NODE_TYPES.ExportNamedDeclaration ? statement.declaration : statement;
+    if (declaration?.type === AST_NODE_TYPES.FunctionDeclaration && declaration.id !== null) {
+      functions.set(declaration.id.name, declaration);
+    } else if (declaration?.type === AST_NODE_TYPES.VariableDeclaration) {
+      for (const declarator of declaration.declarations) {
+        const fn = functionInit(declarator);
+        if (fn !== undefined && declarator.id.type === AST_NODE_TYPES.Identifier) functions.set(declarator.id.name, fn);
+      }
+    }
+  }
+  return functions;
+}
+
+/**
+ * The functions a module exports, under their exported names
+ */
+export function exportedFunctions(program: TSESTree.Program): { name: string; node: FunctionNode }[] {
+  const local = localFunctions(program);
+  const exported: { name: string; node: FunctionNode }[] = [];
+
+  for (const statement of program.body) {
+    if (statement.type === AST_NODE_TYPES.ExportDefaultDeclaration) {
+      const { declaration } = statement;
+      if (declaration.type === AST_NODE_TYPES.FunctionDeclaration && declaration.id !== null) {
+        exported.push({ name: declaration.id.name, node: declaration });
+      }
+      continue;
+    }
+    if (statement.type !== AST_NODE_TYPES.ExportNamedDeclaration) continue;
+
+    const { declaration } = statement;
+    if (declaration?.type === AST_NODE_TYPES.FunctionDeclaration && declaration.id !== null) {
+      exported.push({ name: declaration.id.name, node: declaration });
+    } else if (declaration?.type === AST_NODE_TYPES.VariableDeclaration) {
+      for (const declarator of declaration.declarations) {
+        const fn = functionInit(declarator);
+        if (fn !== undefined && declarator.id.type === AST_NODE_TYPES.Identifier) exported.push({ name: declarator.id.name, node: fn });
+      }
+    } else if (declaration === null && statement.source === null) {
+      // export { formatDate, parse as parseDate }
+      for (const specifier of statement.specifiers) {
+        const fn = specifier.local.type === AST_NODE_TYPES.Identifier ? local.get(specifier.local.name) : undefined;
+        const name = specifier.exported.type === AST_NODE_TYPES.Identifier ? specifier.exported.name : specifier.exported.value;
+        if (fn !== undefined) exported.push({ name, node: fn });
+      }
+    }
+  }
+  return exported;
+}
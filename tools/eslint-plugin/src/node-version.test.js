@@ -0,0 +1,104 @@
+// @ts-check
+
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+import { Linter } from "eslint";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+
+import { declaredNodeRange, isAvailable, versionsFrom } from "./node-version.ts";
+import { noOutdatedPolyfills } from "./rules/no-outdated-polyfills.ts";
+
+/**
+ * Flat config running no-outdated-polyfills with `options`
+ */
+function polyfillConfig(options = {}) {
+  return [{
+    plugins: { local: { rules: { "no-outdated-polyfills": noOutdatedPolyfills } } },
+    rules: { "local/no-outdated-polyfills": ["error", options] },
+  }];
+}
+
+/**
+ * Write a package.json declaring `engines` in `directory`
+ */
+function writeManifest(directory, engines) {
+  mkdirSync(directory, { recursive: true });
+  writeFileSync(join(directory, "package.json"), JSON.stringify({ name: "fixture", engines }));
+}
+
+describe("versionsFrom", () => {
+  it("reads partial and v-prefixed versions as a lower bound", () => {
+    expect(versionsFrom("20.11.0")).toBe(">=20.11.0");
+    expect(versionsFrom("v20.11")).toBe(">=20.11.0");
+    expect(versionsFrom("22")).toBe(">=22.0.0");
+  });
+});
+
+describe("isAvailable", () => {
+  const dirnameVersions = "^20.11.0 || >=21.2.0";
+
+  it("requires every supported version to have the feature", () => {
+    expect(isAvailable(dirnameVersions, ">=20.11.0 <21")).toBe(true);
+    expect(isAvailable(dirnameVersions, "^20.11 || >=22")).toBe(true);
+    expect(isAvailable(dirnameVersions, ">=18.0.0")).toBe(false);
+  });
+
+  it("leaves out releases before a backport reached the next major", () => {
+    expect(isAvailable(dirnameVersions, ">=20.11.0")).toBe(false);
+    expect(isAvailable(dirnameVersions, ">=21.0.0")).toBe(false);
+    expect(isAvailable(dirnameVersions, ">=21.2.0")).toBe(true);
+  });
+
+  it("treats ranges without a lower bound as lacking everything", () => {
+    expect(isAvailable(">=4.0.0", "*")).toBe(false);
+    expect(isAvailable(">=4.0.0", "<20")).toBe(false);
+  });
+
+  it("gives up on ranges it can't read", () => {
+    expect(isAvailable(dirnameVersions, "lts/iron")).toBe(true);
+  });
+});
+
+describe("engine-aware no-outdated-polyfills", () => {
+  const polyfill = "import { dirname } from 'node:path';\nimport { fileURLToPath } from 'node:url';\nconst dir = dirname(fileURLToPath(import.meta.url));\n";
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "eslint-plugin-engines-"));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("finds engines.node in the nearest package.json declaring it", () => {
+    writeManifest(dir, { node: ">=20.11.0" });
+    writeManifest(join(dir, "packages", "app"));
+
+    expect(declaredNodeRange(join(dir, "packages", "app", "src"))).toBe(">=20.11.0");
+  });
+
+  it("only reports patterns whose replacement the supported Node.js versions have", () => {
+    writeManifest(join(dir, "legacy"), { node: ">=18.0.0" });
+    writeManifest(join(dir, "modern"), { node: "^20.11.0 || >=22" });
+    const linter = new Linter({ cwd: dir });
+
+    expect(linter.verify(polyfill, polyfillConfig(), join(dir, "legacy", "index.js"))).toEqual([]);
+    expect(linter.verify(polyfill, polyfillConfig(), join(dir, "modern", "index.js")).map(message => message.message)).toEqual([
+      "Using dirname(fileURLToPath(import.meta.url)) when import.meta.dirname is available. This suggests copy-paste from old code."
+    ]);
+  });
+
+  it("prefers the minNodeVersion option to engines, without reading package.json", () => {
+    writeManifest(dir, { node: ">=18.0.0" });
+    const linter = new Linter({ cwd: dir });
+
+    expect(linter.verify(polyfill, polyfillConfig({ minNodeVersion: "22" }), join(dir, "index.js"))).toHaveLength(1);
+
+    // Had the lint read engines.node, the old range would be cached now
+    writeManifest(dir, { node: ">=22" });
+    expect(declaredNodeRange(dir)).toBe(">=22");
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Node.js versions for no-outdated-polyfills: the range a project supports
+ * according to `engines.node` in its package.json, and whether a feature is
+ * available in all of it.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+
+import semver from 'semver';
+
+/**
+ * `engines.node` by directory. Kept for the life of the process, so a
+ * long-lived one (an editor integration) misses later edits to `engines`.
+ */
+const declaredRanges = new Map<string, string | undefined>();
+
+/**
+ * The Node.js versions `minNodeVersion` stands for: "20", "v20.11" or
+ * "20.11.0" and everything after it
+ */
+export function versionsFrom(minNodeVersion: string): string {
+  return `>=${semver.coerce(minNodeVersion)?.version ?? minNodeVersion}`;
+}
+
+/**
+ * Whether every version the code runs on (`supported`, like ">=18.0.0" or
+ * "^20.11 || >=22") is in `available`. A `supported` range that can't be
+ * read counts as having everything.
+ */
+export function isAvailable(available: string, supported: string): boolean {
+  if (semver.validRange(supported) === null) return true;
+  return semver.subset(supported, available);
+}
+
+function readEnginesNode(packageJson: string): string | undefined {
+  try {
+    const manifest = JSON.parse(readFileSync(packageJson, 'utf8')) as { engines?: { node?: unknown } };
+    return typeof manifest.engines?.node === 'string' ? manifest.engines.node : undefined;
+  } catch {
+    // An unreadable package.json declares nothing
+    return undefined;
+  }
+}
+
+/**
+ * `engines.node` of the nearest package.json at or above `directory` that
+ * declares it. Workspace packages usually leave it to the root package.json.
+ */
+export function declaredNodeRange(directory: string): string | undefined {
+  if (declaredRanges.has(directory)) return declaredRanges.get(directory);
+
+  const packageJson = join(directory, 'package.json');
+  let range = existsSync(packageJson) ? readEnginesNode(packageJson) : undefined;
+  const parent = dirname(directory);
+  if (range === undefined && parent !== directory) range = declaredNodeRange(parent);
+
+  declaredRanges.set(directory, range);
+  return range;
+}
@@ -0,0 +1,320 @@
+/**
+ * Catalogue of polyfills and workarounds for no-outdated-polyfills.
+ *
+ * Each entry names the pattern, its native replacement and the Node.js
+ * versions that have it, and matches one AST node type. A match may carry the
+ * replacement source: applied as an autofix when it behaves exactly the same,
+ * otherwise offered as a suggestion for a human to check. Replacements only
+ * touch the matched node, so imports they leave unused stay for a human to
+ * remove.
+ */
+
+import { ASTUtils, AST_NODE_TYPES } from '@typescript-eslint/utils';
+import type { TSESLint, TSESTree } from '@typescript-eslint/utils';
+
+type SourceCode = Readonly<TSESLint.SourceCode>;
+
+export interface Replacement {
+  /** Source replacing the matched node; without it the code is rewritten by hand */
+  text?: string;
+  /** Whether `text` behaves exactly like the original, so it can be an autofix */
+  safe?: boolean;
+}
+
+type Matcher<T extends TSESTree.Node> = (node: T, sourceCode: SourceCode) => Replacement | undefined;
+
+export interface PolyfillInfo {
+  /** The outdated pattern, as shown in reports */
+  pattern: string;
+  /** The native replacement, as shown in reports */
+  modern: string;
+  /**
+   * Node.js versions with the replacement, as a semver range. Features
+   * backported to an LTS line arrive there later than in the next major.
+   */
+  availableIn: string;
+}
+
+export type Polyfill = PolyfillInfo & (
+  | { type: AST_NODE_TYPES.CallExpression; match: Matcher<TSESTree.CallExpression> }
+  | { type: AST_NODE_TYPES.ImportDeclaration; match: Matcher<TSESTree.ImportDeclaration> }
+  | { type: AST_NODE_TYPES.MemberExpression; match: Matcher<TSESTree.MemberExpression> }
+);
+
+function isMember(node: TSESTree.Node, object: string, property: string): node is TSESTree.MemberExpression {
+  return node.type === AST_NODE_TYPES.MemberExpression &&
+         !node.computed &&
+         node.object.type === AST_NODE_TYPES.Identifier &&
+         node.object.name === object &&
+         node.property.type === AST_NODE_TYPES.Identifier &&
+         node.property.name === property;
+}
+
+/** The name a call's callee ends in: `f` for `f()` and `a.f()` */
+function calleeName(node: TSESTree.CallExpression): string | undefined {
+  const { callee } = node;
+  if (callee.type === AST_NODE_TYPES.Identifier) return callee.name;
+  if (callee.type === AST_NODE_TYPES.MemberExpression && !callee.computed && callee.property.type === AST_NODE_TYPES.Identifier) {
+    return callee.property.name;
+  }
+  return undefined;
+}
+
+/** Call arguments without spreads, if there are exactly `count` of them */
+function plainArguments(node: TSESTree.CallExpression, count: number): TSESTree.Expression[] | undefined {
+  const args = node.arguments.filter(arg => arg.type !== AST_NODE_TYPES.SpreadElement);
+  return args.length === count && node.arguments.length === count ? args : undefined;
+}
+
+function isImportMetaUrl(node: TSESTree.Node): boolean {
+  return node.type === AST_NODE_TYPES.MemberExpression &&
+         node.object.type === AST_NODE_TYPES.MetaProperty &&
+         node.object.meta.name === 'import' &&
+         node.object.property.name === 'meta' &&
+         !node.computed &&
+         node.property.type === AST_NODE_TYPES.Identifier &&
+         node.property.name === 'url';
+}
+
+/**
+ * Where an imported identifier comes from: its module and export name, or
+ * `*` for the whole module (default and namespace imports)
+ */
+function importOf(sourceCode: SourceCode, identifier: TSESTree.Identifier): { source: string; imported: string } | undefined {
+  const variable = ASTUtils.findVariable(sourceCode.getScope(identifier), identifier.name);
+  const definition = variable?.defs[0]?.node;
+
+  switch (definition?.type) {
+    case AST_NODE_TYPES.ImportSpecifier: {
+      if (definition.parent.type !== AST_NODE_TYPES.ImportDeclaration) return undefined;
+      const { imported } = definition;
+      const name = imported.type === AST_NODE_TYPES.Identifier ? imported.name : imported.value;
+      return { source: definition.parent.source.value, imported: name };
+    }
+    case AST_NODE_TYPES.ImportDefaultSpecifier:
+    case AST_NODE_TYPES.ImportNamespaceSpecifier:
+      return { source: definition.parent.source.value, imported: '*' };
+    default:
+      return undefined;
+  }
+}
+
+/** Whether `node` is `name` or `module.name`, imported from the Node.js built-in `module` */
+function isBuiltin(sourceCode: SourceCode, node: TSESTree.Node, module: string, name: string): boolean {
+  const modules = [module, `node:${module}`];
+  if (node.type === AST_NODE_TYPES.Identifier) {
+    const origin = importOf(sourceCode, node);
+    return origin !== undefined && modules.includes(origin.source) && origin.imported === name;
+  }
+  if (node.type === AST_NODE_TYPES.MemberExpression && node.object.type === AST_NODE_TYPES.Identifier &&
+      isMember(node, node.object.name, name)) {
+    const origin = importOf(sourceCode, node.object);
+    return origin !== undefined && modules.includes(origin.source) && origin.imported === '*';
+  }
+  return false;
+}
+
+function isFileUrlToPath(node: TSESTree.Node): node is TSESTree.CallExpression {
+  return node.type === AST_NODE_TYPES.CallExpression &&
+         calleeName(node) === 'fileURLToPath' &&
+         plainArguments(node, 1)?.every(isImportMetaUrl) === true;
+}
+
+function isDirnameOfFile(node: TSESTree.Node): node is TSESTree.CallExpression {
+  return node.type === AST_NODE_TYPES.CallExpression &&
+         calleeName(node) === 'dirname' &&
+         plainArguments(node, 1)?.every(isFileUrlToPath) === true;
+}
+
+/** Whether `node` is a function of the `fs` module: `fs.readFile`, or `readFile` imported from it */
+function isFsFunction(sourceCode: SourceCode, node: TSESTree.Node): boolean {
+  if (node.type === AST_NODE_TYPES.MemberExpression && node.object.type === AST_NODE_TYPES.Identifier) {
+    // `fs` may come from require() as well as an import
+    return node.object.name === 'fs' || (node.property.type === AST_NODE_TYPES.Identifier && isBuiltin(sourceCode, node, 'fs', node.property.name));
+  }
+  return node.type === AST_NODE_TYPES.Identifier && isBuiltin(sourceCode, node, 'fs', node.name);
+}
+
+/** Whether `node` is written to, so it can't become a method call */
+function isAssigned(node: TSESTree.Node): boolean {
+  const { parent } = node;
+  return (parent?.type === AST_NODE_TYPES.AssignmentExpression && parent.left === node) ||
+         parent?.type === AST_NODE_TYPES.UpdateExpression ||
+         (parent?.type === AST_NODE_TYPES.UnaryExpression && parent.operator === 'delete');
+}
+
+/** Identifiers and property chains, which read the same twice and have no side effects */
+function isSimpleReference(node: TSESTree.Node): boolean {
+  if (node.type === AST_NODE_TYPES.Identifier || node.type === AST_NODE_TYPES.ThisExpression) return true;
+  return node.type === AST_NODE_TYPES.MemberExpression && !node.computed && !node.optional && isSimpleReference(node.object);
+}
+
+export const POLYFILLS: Polyfill[] = [
+  {
+    pattern: 'dirname(fileURLToPath(import.meta.url))',
+    modern: 'import.meta.dirname',
+    // Added in 21.2.0 and backported to 20.11.0
+    availableIn: '^20.11.0 || >=21.2.0',
+    type: AST_NODE_TYPES.CallExpression,
+    match(node, sourceCode): Replacement | undefined {
+      if (!isDirnameOfFile(node)) return undefined;
+      const [inner] = node.arguments as [TSESTree.CallExpression];
+      const safe = isBuiltin(sourceCode, node.callee, 'path', 'dirname') &&
+                   isBuiltin(sourceCode, inner.callee, 'url', 'fileURLToPath');
+      return { text: 'import.meta.dirname', safe };
+    },
+  },
+  {
+    pattern: 'fileURLToPath(import.meta.url)',
+    modern: 'import.meta.filename',
+    availableIn: '^20.11.0 || >=21.2.0',
+    type: AST_NODE_TYPES.CallExpression,
+    match(node, sourceCode): Replacement | undefined {
+      // Reported as a whole by the import.meta.dirname entry
+      if (!isFileUrlToPath(node) || (node.parent !== undefined && isDirnameOfFile(node.parent))) return undefined;
+      return { text: 'import.meta.filename', safe: isBuiltin(sourceCode, node.callee, 'url', 'fileURLToPath') };
+    },
+  },
+  {
+    pattern: 'JSON.parse(JSON.stringify(value))',
+    modern: 'structuredClone(value)',
+    availableIn: '>=17.0.0',
+    type: AST_NODE_TYPES.CallExpression,
+    match(node, sourceCode): Replacement | undefined {
+      const [inner] = isMember(node.callee, 'JSON', 'parse') ? plainArguments(node, 1) ?? [] : [];
+      if (inner?.type !== AST_NODE_TYPES.CallExpression || !isMember(inner.callee, 'JSON', 'stringify')) return undefined;
+      const [value] = plainArguments(inner, 1) ?? [];
+      // A JSON round trip also turns Dates into strings and drops undefined and functions
+      return value && { text: `structuredClone(${sourceCode.getText(value)})`, safe: false };
+    },
+  },
+  {
+    pattern: 'Object.prototype.hasOwnProperty.call(object, key)',
+    modern: 'Object.hasOwn(object, key)',
+    availableIn: '>=16.9.0',
+    type: AST_NODE_TYPES.CallExpression,
+    match(node, sourceCode): Replacement | undefined {
+      const { callee } = node;
+      if (callee.type !== AST_NODE_TYPES.MemberExpression || callee.computed ||
+          callee.property.type !== AST_NODE_TYPES.Identifier || callee.property.name !== 'call' ||
+          callee.object.type !== AST_NODE_TYPES.MemberExpression ||
+          !isMember(callee.object.object, 'Object', 'prototype') ||
+          callee.object.property.type !== AST_NODE_TYPES.Identifier || callee.object.property.name !== 'hasOwnProperty') {
+        return undefined;
+      }
+      const args = plainArguments(node, 2);
+      return args && { text: `Object.hasOwn(${args.map(arg => sourceCode.getText(arg)).join(', ')})`, safe: true };
+    },
+  },
+  {
+    pattern: 'array[array.length - n]',
+    modern: 'array.at(-n)',
+    availableIn: '>=16.6.0',
+    type: AST_NODE_TYPES.MemberExpression,
+    match(node, sourceCode): Replacement | undefined {
+      const { property } = node;
+      if (!node.computed || isAssigned(node) || !isSimpleReference(node.object) ||
+          property.type !== AST_NODE_TYPES.BinaryExpression || property.operator !== '-' ||
+          property.right.type !== AST_NODE_TYPES.Literal || typeof property.right.value !== 'number' ||
+          !Number.isInteger(property.right.value) || property.right.value <= 0) {
+        return undefined;
+      }
+      const array = sourceCode.getText(node.object);
+      const { left } = property;
+      if (left.type !== AST_NODE_TYPES.MemberExpression || left.computed || left.property.type !== AST_NODE_TYPES.Identifier ||
+          left.property.name !== 'length' || sourceCode.getText(left.object) !== array) {
+        return undefined;
+      }
+      // Array-likes such as arguments and NodeList have no at()
+      return { text: `${array}.at(-${property.right.value})`, safe: false };
+    },
+  },
+  {
+    pattern: 'import fetch from "node-fetch"',
+    modern: 'the global fetch',
+    availableIn: '>=18.0.0',
+    type: AST_NODE_TYPES.ImportDeclaration,
+    match(node): Replacement | undefined {
+      if (node.source.value !== 'node-fetch') return undefined;
+      const [specifier, ...others] = node.specifiers;
+      // Removing the import only leaves working code when it's `fetch` that was imported
+      const onlyFetch = others.length === 0 && specifier?.type === AST_NODE_TYPES.ImportDefaultSpecifier && specifier.local.name === 'fetch';
+      return onlyFetch ? { text: '', safe: false } : {};
+    },
+  },
+  {
+    pattern: 'require("node-fetch")',
+    modern: 'the global fetch',
+    availableIn: '>=18.0.0',
+    type: AST_NODE_TYPES.CallExpression,
+    match(node): Replacement | undefined {
+      const [source] = node.callee.type === AST_NODE_TYPES.Identifier && node.callee.name === 'require' ? plainArguments(node, 1) ?? [] : [];
+      return source?.type === AST_NODE_TYPES.Literal && source.value === 'node-fetch' ? {} : undefined;
+    },
+  },
+  {
+    pattern: 'util.promisify(fs.*)',
+    modern: 'the promise API of fs/promises',
+    availableIn: '>=14.0.0',
+    type: AST_NODE_TYPES.CallExpression,
+    match(node, sourceCode): Replacement | undefined {
+      const [fn] = calleeName(node) === 'promisify' ? plainArguments(node, 1) ?? [] : [];
+      return fn !== undefined && isFsFunction(sourceCode, fn) ? {} : undefined;
+    },
+  },
+  {
+    pattern: 'JSON.parse(readFileSync(...json))',
+    modern: 'import data from "./file.json" with { type: "json" }',
+    // Import attributes, unflagged
+    availableIn: '>=20.10.0',
+    type: AST_NODE_TYPES.CallExpression,
+    match(node): Replacement | undefined {
+      const [readCall] = isMember(node.callee, 'JSON', 'parse') ? node.arguments : [];
+      if (readCall?.type !== AST_NODE_TYPES.CallExpression ||
+          readCall.callee.type !== AST_NODE_TYPES.Identifier || readCall.callee.name !== 'readFileSync') {
+        return undefined;
+      }
+      const [file] = readCall.arguments;
+      return file?.type === AST_NODE_TYPES.Literal && typeof file.value === 'string' && file.value.endsWith('.json') ? {} : undefined;
+    },
+  },
+  {
+    pattern: 'Array.prototype.slice.call()',
+    modern: 'Array.from() or spread syntax [...args]',
+    availableIn: '>=4.0.0',
+    type: AST_NODE_TYPES.CallExpression,
+    match(node): Replacement | undefined {
+      const { callee } = node;
+      const matches = callee.type === AST_NODE_TYPES.MemberExpression &&
+                      callee.property.type === AST_NODE_TYPES.Identifier &&
+                      callee.property.name === 'call' &&
+                      callee.object.type === AST_NODE_TYPES.MemberExpression &&
+                      isMember(callee.object.object, 'Array', 'prototype') &&
+                      callee.object.property.type === AST_NODE_TYPES.Identifier &&
+                      callee.object.property.name === 'slice';
+      return matches ? {} : undefined;
+    },
+  },
+  {
+    pattern: 'Promise.resolve().then()',
+    modern: 'async/await',
+    availableIn: '>=7.6.0',
+    type: AST_NODE_TYPES.CallExpression,
+    match(node): Replacement | undefined {
+      const { callee } = node;
+      const matches = callee.type === AST_NODE_TYPES.MemberExpression &&
+                      callee.property.type === AST_NODE_TYPES.Identifier &&
+                      callee.property.name === 'then' &&
+                      callee.object.type === AST_NODE_TYPES.CallExpression &&
+                      isMember(callee.object.callee, 'Promise', 'resolve');
+      return matches ? {} : undefined;
+    },
+  },
+];
+
+/**
+ * The entries matching nodes of `type`
+ */
+export function polyfillsFor<T extends Polyfill['type']>(polyfills: Polyfill[], type: T): Extract<Polyfill, { type: T }>[] {
+  return polyfills.filter((polyfill): polyfill is Extract<Polyfill, { type: T }> => polyfill.type === type);
+}
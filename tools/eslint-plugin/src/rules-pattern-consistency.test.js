@@ -1,13 +1,26 @@
 // @ts-check
 
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
 import { RuleTester } from "@typescript-eslint/rule-tester";
-import { describe, it } from "vitest";
+import { afterAll, describe, it } from "vitest";
 
 import { noMixedAsyncPatterns } from "./rules/no-mixed-async-patterns.ts";
 import { noInconsistentImportExtensions } from "./rules/no-inconsistent-import-extensions.ts";
 import { noDuplicateUtilities } from "./rules/no-duplicate-utilities.ts";
 import { noOutdatedPolyfills } from "./rules/no-outdated-polyfills.ts";
 
+/**
+ * An expected no-outdated-polyfills report, with the suggestion's output if it has one
+ */
+function outdated(pattern, modern, suggestion) {
+  const data = { pattern, modern };
+  if (suggestion === undefined) return { messageId: "outdatedPolyfill", data };
+  return { messageId: "outdatedPolyfill", data, suggestions: [{ messageId: "useModern", data, output: suggestion }] };
+}
+
 // Configure rule tester for modern ESLint/TypeScript
 const ruleTester = new RuleTester({
   languageOptions: {
@@ -250,7 +263,7 @@ describe("Pattern Consistency Rules", () => {
               }
             `,
             errors: [
-              { messageId: 'duplicateUtility', data: { similar: 'validateUserEmail' } }
+              { messageId: 'duplicateUtility', data: { similar: 'validateUserEmail', similarity: '100' } }
             ],
           },
           {
@@ -265,7 +278,7 @@ describe("Pattern Consistency Rules", () => {
               }
             `,
             errors: [
-              { messageId: 'duplicateUtility', data: { similar: 'formatUserDate' } }
+              { messageId: 'duplicateUtility', data: { similar: 'formatUserDate', similarity: '100' } }
             ],
           },
           {
@@ -280,7 +293,7 @@ describe("Pattern Consistency Rules", () => {
               };
             `,
             errors: [
-              { messageId: 'duplicateUtility', data: { similar: 'parseUserJson' } }
+              { messageId: 'duplicateUtility', data: { similar: 'parseUserJson', similarity: '100' } }
             ],
           },
         ],
@@ -288,6 +301,78 @@ describe("Pattern Consistency Rules", () => {
     });
   });
 
+  // Run at describe level so RuleTester registers a test per case
+  describe("no-duplicate-utilities structural similarity", () => {
+    const sumPrices = `
+      function sumPrices(items) {
+        let total = 0;
+        for (const item of items) { total += item.price; }
+        return total;
+      }
+    `;
+    const totalWeight = `
+      function totalWeight(parcels) {
+        let sum = 0;
+        for (const parcel of parcels) { sum += parcel.weight * parcel.count; }
+        return sum;
+      }
+    `;
+
+    ruleTester.run("no-duplicate-utilities", noDuplicateUtilities, {
+      valid: [
+        {
+          // Same naming pattern, different bodies
+          code: `
+            function getUserName(user) {
+              return user.profile.displayName ?? user.login;
+            }
+
+            function getUserEmail(user) {
+              const contact = user.contacts.find(entry => entry.primary);
+              return contact?.email;
+            }
+          `,
+        },
+        {
+          // Bodies below minTokens are too small to tell apart
+          code: 'function getId(user) { return user.id; }\nfunction getKey(item) { return item.id; }',
+        },
+        {
+          // Near clones stay under the default threshold
+          code: sumPrices + totalWeight,
+        },
+      ],
+      invalid: [
+        {
+          // A renamed copy with an unrelated name
+          code: `
+            function toCsvRow(values) {
+              const cells = values.map(value => String(value).replace(/"/g, '""'));
+              return cells.map(cell => \`"\${cell}"\`).join(',');
+            }
+
+            const serializeLine = (fields) => {
+              // Quote every field
+              const parts = fields.map(field => String(field).replace(/"/g, '""'));
+              return parts.map(part => \`"\${part}"\`).join(',');
+            };
+          `,
+          errors: [{ messageId: 'duplicateUtility', data: { similar: 'toCsvRow', similarity: '100' } }],
+        },
+        {
+          code: sumPrices + totalWeight,
+          options: [{ threshold: 0.6 }],
+          errors: [{ messageId: 'duplicateUtility' }],
+        },
+        {
+          code: 'function getId(user) { return user.id; }\nfunction getKey(item) { return item.id; }',
+          options: [{ minTokens: 3 }],
+          errors: [{ messageId: 'duplicateUtility', data: { similar: 'getId', similarity: '100' } }],
+        },
+      ],
+    });
+  });
+
   describe("no-outdated-polyfills", () => {
     it("should detect outdated polyfill patterns", () => {
       ruleTester.run("no-outdated-polyfills", noOutdatedPolyfills, {
@@ -329,11 +414,17 @@ describe("Pattern Consistency Rules", () => {
               import { fileURLToPath } from 'url';
               const __dirname = dirname(fileURLToPath(import.meta.url));
             `,
+            options: [{ minNodeVersion: '22.0.0' }],
+            output: `
+              import { dirname } from 'path';
+              import { fileURLToPath } from 'url';
+              const __dirname = import.meta.dirname;
+            `,
             errors: [
               { 
                 messageId: 'outdatedPolyfill',
                 data: {
-                  pattern: '__dirname = dirname(fileURLToPath(import.meta.url))',
+                  pattern: 'dirname(fileURLToPath(import.meta.url))',
                   modern: 'import.meta.dirname'
                 }
               }
@@ -392,4 +483,104 @@ describe("Pattern Consistency Rules", () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  // Run at describe level so RuleTester registers a test per case
+  describe("no-outdated-polyfills catalogue", () => {
+    const fileImports = "import { dirname } from 'node:path';\nimport { fileURLToPath } from 'node:url';\n";
+    // import.meta.dirname is newer than the >=18 engines of this repository
+    const options = [{ minNodeVersion: "22.0.0" }];
+    const node21 = mkdtempSync(join(tmpdir(), "eslint-plugin-node21-"));
+    const engines = { node: ">=21.0.0" };
+    writeFileSync(join(node21, "package.json"), JSON.stringify({ name: "fixture", engines }));
+    afterAll(() => rmSync(node21, { recursive: true, force: true }));
+
+    ruleTester.run("no-outdated-polyfills", noOutdatedPolyfills, {
+      valid: [
+        "const copy = structuredClone(value);",
+        "const has = Object.hasOwn(object, 'key');",
+        // Assigning can't become a call to at()
+        "items[items.length - 1] = last;",
+        // Evaluated twice, so maybe not the same array
+        "const last = nextBatch()[nextBatch().length - 1];",
+        "const dir = dirname(fileURLToPath(moduleUrl));",
+        // import.meta.dirname is newer than the oldest supported Node.js
+        {
+          code: `${fileImports}const dir = dirname(fileURLToPath(import.meta.url));`,
+          options: [{ minNodeVersion: "18.0.0" }],
+        },
+        {
+          // Node.js 21.0 and 21.1 predate import.meta.dirname, which 20.11 got as a backport
+          code: `${fileImports}const dir = dirname(fileURLToPath(import.meta.url));\nconst file = fileURLToPath(import.meta.url);`,
+          filename: join(node21, "index.js"),
+        },
+      ],
+      invalid: [
+        {
+          // The fix leaves the dirname and fileURLToPath imports, now unused, to be removed by hand
+          code: `${fileImports}const dir = dirname(fileURLToPath(import.meta.url));`,
+          output: `${fileImports}const dir = import.meta.dirname;`,
+          options,
+          errors: [outdated("dirname(fileURLToPath(import.meta.url))", "import.meta.dirname")],
+        },
+        {
+          code: "import * as path from 'path';\nimport * as url from 'url';\nconst dir = path.dirname(url.fileURLToPath(import.meta.url));",
+          output: "import * as path from 'path';\nimport * as url from 'url';\nconst dir = import.meta.dirname;",
+          options,
+          errors: [outdated("dirname(fileURLToPath(import.meta.url))", "import.meta.dirname")],
+        },
+        {
+          code: `${fileImports}const file = fileURLToPath(import.meta.url);`,
+          output: `${fileImports}const file = import.meta.filename;`,
+          options,
+          errors: [outdated("fileURLToPath(import.meta.url)", "import.meta.filename")],
+        },
+        // Not known to be the Node.js functions, so only suggested
+        {
+          code: "const dir = dirname(fileURLToPath(import.meta.url));",
+          options,
+          errors: [outdated("dirname(fileURLToPath(import.meta.url))", "import.meta.dirname", "const dir = import.meta.dirname;")],
+        },
+        {
+          code: "const copy = JSON.parse(JSON.stringify(settings.defaults));",
+          errors: [outdated("JSON.parse(JSON.stringify(value))", "structuredClone(value)", "const copy = structuredClone(settings.defaults);")],
+        },
+        {
+          code: "const has = Object.prototype.hasOwnProperty.call(object, key);",
+          output: "const has = Object.hasOwn(object, key);",
+          errors: [outdated("Object.prototype.hasOwnProperty.call(object, key)", "Object.hasOwn(object, key)")],
+        },
+        {
+          code: "const last = this.items[this.items.length - 1];",
+          errors: [outdated("array[array.length - n]", "array.at(-n)", "const last = this.items.at(-1);")],
+        },
+        {
+          code: "import fetch from 'node-fetch';\nawait fetch(url);",
+          errors: [outdated('import fetch from "node-fetch"', "the global fetch", "\nawait fetch(url);")],
+        },
+        // Other imports from node-fetch need rewriting by hand
+        {
+          code: "import fetch, { Headers } from 'node-fetch';",
+          errors: [outdated('import fetch from "node-fetch"', "the global fetch")],
+        },
+        {
+          code: "const fetch = require('node-fetch');",
+          errors: [outdated('require("node-fetch")', "the global fetch")],
+        },
+        {
+          code: "import { promisify } from 'util';\nimport { readFile } from 'fs';\nconst read = promisify(readFile);",
+          errors: [outdated("util.promisify(fs.*)", "the promise API of fs/promises")],
+        },
+        {
+          code: "const fs = require('fs');\nconst stat = util.promisify(fs.stat);",
+          errors: [outdated("util.promisify(fs.*)", "the promise API of fs/promises")],
+        },
+        // at() is older than the oldest supported Node.js, import.meta.dirname isn't
+        {
+          code: `${fileImports}const dir = dirname(fileURLToPath(import.meta.url));\nconst last = parts[parts.length - 1];`,
+          options: [{ minNodeVersion: "18.0.0" }],
+          errors: [outdated("array[array.length - n]", "array.at(-n)", `${fileImports}const dir = dirname(fileURLToPath(import.meta.url));\nconst last = parts.at(-1);`)],
+        },
+      ],
+    });
+  });
+});
@@ -6,6 +6,17 @@ import { describe, it, expect } from "vitest";
 import { noMocksOrSpies } from "./rules/no-mocks-or-spies.ts";
 import { noNpxUsage } from "./rules/no-npx-usage.ts";
 
+/**
+ * An expected no-mocks-or-spies error, whose suggestion removes the offending statement
+ */
+function mockError(messageId, message) {
+  return {
+    messageId,
+    ...(message === undefined ? {} : { data: { message } }),
+    suggestions: [{ messageId: 'suggestRemove', output: '' }],
+  };
+}
+
 // Configure rule tester for modern ESLint/TypeScript
 const ruleTester = new RuleTester({
   languageOptions: {
@@ -48,6 +59,85 @@ describe("ESLint Rules", () => {
     });
   });
 
+  // Run at describe level so RuleTester registers a test per case
+  describe("no-mocks-or-spies options", () => {
+    describe("bannedCallees", () => {
+      const options = [{
+        bannedCallees: [
+          '^td\\.',
+          { pattern: '^createMock$', message: 'Use the in-memory fakes in test-utils instead of createMock' },
+        ],
+      }];
+
+      ruleTester.run("no-mocks-or-spies", noMocksOrSpies, {
+        valid: [
+          { code: 'createMockData();', filename: 'user.test.js', options },
+        ],
+        invalid: [
+          { code: 'td.replace(api, "fetch");', filename: 'user.test.js', options, errors: [mockError('noMocks')] },
+          {
+            code: 'createMock(UserService);',
+            filename: 'user.test.js',
+            options,
+            errors: [mockError('banned', 'Use the in-memory fakes in test-utils instead of createMock')],
+          },
+        ],
+      });
+    });
+
+    describe("custom messages", () => {
+      const message = 'Pass a hand-written fake instead of vi.fn()';
+
+      ruleTester.run("no-mocks-or-spies", noMocksOrSpies, {
+        valid: [],
+        invalid: [
+          {
+            code: 'vi.fn();',
+            filename: 'user.test.js',
+            options: [{ bannedCallees: [{ pattern: '^vi\\.fn$', message }] }],
+            errors: [mockError('banned', message)],
+          },
+          {
+            code: 'import sinon from "sinon";',
+            filename: 'user.test.js',
+            options: [{ bannedImports: [{ pattern: 'sinon', message: 'sinon is replaced by test-utils fakes' }] }],
+            errors: [mockError('banned', 'sinon is replaced by test-utils fakes')],
+          },
+        ],
+      });
+    });
+
+    describe("bannedImports", () => {
+      const options = [{ bannedImports: ['testdouble', '@acme/test-mocks'] }];
+
+      ruleTester.run("no-mocks-or-spies", noMocksOrSpies, {
+        valid: [
+          { code: 'import extra from "testdouble-extra";', filename: 'user.test.js', options },
+        ],
+        invalid: [
+          { code: 'import td from "testdouble";', filename: 'user.test.js', options, errors: [mockError('noMocks')] },
+          { code: 'import { createMock } from "@acme/test-mocks/vitest";', filename: 'user.test.js', options, errors: [mockError('noMocks')] },
+        ],
+      });
+    });
+
+    describe("allowedFiles", () => {
+      const options = [{ allowedFiles: ['src/adapters/**', '**/boundary/*.test.ts'] }];
+
+      ruleTester.run("no-mocks-or-spies", noMocksOrSpies, {
+        valid: [
+          { code: 'vi.fn();', filename: 'src/adapters/http/client.test.ts', options },
+          { code: 'vi.fn();', filename: 'boundary/payments.test.ts', options },
+          { code: 'vi.fn();', filename: 'test/boundary/payments.test.ts', options },
+        ],
+        invalid: [
+          { code: 'vi.fn();', filename: 'src/services/user.test.ts', options, errors: [mockError('noMocks')] },
+          { code: 'vi.fn();', filename: 'test/boundary/nested/payments.test.ts', options, errors: [mockError('noMocks')] },
+        ],
+      });
+    });
+  });
+
   describe("no-npx-usage", () => {
     it("should catch npx usage violations", () => {
       ruleTester.run("no-npx-usage", noNpxUsage, {
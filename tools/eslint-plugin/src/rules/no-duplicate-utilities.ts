@@ -1,50 +1,107 @@
 /**
  * Rule: no-duplicate-utilities
  * 
- * Detects functions with similar signatures and names that likely duplicate functionality,
- * suggesting copy-paste programming without consolidation.
+ * Detects functions whose bodies are structural clones of another function's,
+ * suggesting copy-paste programming without consolidation. Bodies are compared
+ * by fingerprint (see fingerprint.ts), so renaming parameters and variables
+ * doesn't hide a copy, and functions that merely share a naming pattern
+ * aren't reported.
+ *
+ * With `crossFile`, exported functions are also compared across the project
+ * (see function-index.ts).
  */
 
+import { existsSync } from 'fs';
+import { relative, resolve, sep } from 'path';
+
 import type { TSESTree } from '@typescript-eslint/utils';
 import { ESLintUtils, AST_NODE_TYPES } from '@typescript-eslint/utils';
 
-type MessageIds = 'duplicateUtility';
+import { comparable, fingerprint, fingerprintHash, similarity } from '../fingerprint.ts';
+import type { ComparableFingerprint, FunctionNode } from '../fingerprint.ts';
+import { exportedFunctions, findDuplicate, getFunctionIndex, updateFile } from '../function-index.ts';
+
+type MessageIds = 'duplicateUtility' | 'duplicateUtilityElsewhere';
+
+export interface Options {
+  /** How alike two bodies must be to count as clones, from 0 to 1 */
+  threshold?: number;
+  /** Bodies with fewer tokens are too small to compare */
+  minTokens?: number;
+  /** Also compare exported functions with those exported by other files */
+  crossFile?: boolean;
+  /** Cache file for the cross-file index, relative to the working directory */
+  indexFile?: string;
+}
+
+const DEFAULT_THRESHOLD = 0.9;
+const DEFAULT_MIN_TOKENS = 8;
 
 const createRule = ESLintUtils.RuleCreator(
   name => `https://github.com/shared-lints/shared-lints/blob/main/docs/RULES_REFERENCE.md#${name}`
 );
 
 interface FunctionInfo {
-  node: TSESTree.FunctionDeclaration | TSESTree.FunctionExpression;
+  node: FunctionNode;
   name: string;
   paramCount: number;
-  pattern: string;
+  fingerprint: ComparableFingerprint;
 }
 
-export const noDuplicateUtilities = createRule<[], MessageIds>({
+export const noDuplicateUtilities = createRule<[Options], MessageIds>({
   name: 'no-duplicate-utilities',
   meta: {
     type: 'suggestion',
     docs: {
-      description: 'Detect functions that appear to duplicate functionality based on similar signatures',
+      description: 'Detect functions whose bodies are structural clones of other functions',
     },
-    schema: [],
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          threshold: {
+            type: 'number',
+            minimum: 0,
+            maximum: 1,
+            description: `How alike two bodies must be to count as clones (default ${DEFAULT_THRESHOLD})`,
+          },
+          minTokens: {
+            type: 'integer',
+            minimum: 1,
+            description: `Bodies with fewer tokens are too small to compare (default ${DEFAULT_MIN_TOKENS})`,
+          },
+          crossFile: {
+            type: 'boolean',
+            description: 'Also compare exported functions with those exported by other files',
+          },
+          indexFile: {
+            type: 'string',
+            description: 'Cache file for the cross-file index (e.g., node_modules/.cache/duplicate-utilities.json)',
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
     messages: {
-      duplicateUtility: 'This function appears to duplicate functionality of "{{similar}}". Consider consolidating these utilities.',
+      duplicateUtility: 'This function appears to duplicate functionality of "{{similar}}" ({{similarity}}% similar). Consider consolidating these utilities.',
+      duplicateUtilityElsewhere: 'This function appears to duplicate "{{similar}}" in {{location}} ({{similarity}}% similar). Consider consolidating these utilities.',
     },
   },
-  defaultOptions: [],
+  defaultOptions: [{}],
 
-  create(context) {
+  create(context, [options]) {
     const functionSignatures: FunctionInfo[] = [];
 
-    function extractFunctionName(node: TSESTree.FunctionDeclaration | TSESTree.FunctionExpression): string | null {
+    const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+    const minTokens = options.minTokens ?? DEFAULT_MIN_TOKENS;
+
+    function extractFunctionName(node: FunctionNode): string | null {
       if (node.type === AST_NODE_TYPES.FunctionDeclaration && node.id) {
         return node.id.name;
       }
       
-      // For function expressions, check if assigned to a variable
-      if (node.type === AST_NODE_TYPES.FunctionExpression && node.parent) {
+      // For function and arrow expressions, check if assigned to a variable
+      if (node.type !== AST_NODE_TYPES.FunctionDeclaration) {
         if (node.parent.type === AST_NODE_TYPES.VariableDeclarator && 
             node.parent.id.type === AST_NODE_TYPES.Identifier) {
           return node.parent.id.name;
@@ -59,70 +116,84 @@ export const noDuplicateUtilities = createRule<[], MessageIds>({
       return null;
     }
 
-    function normalizePattern(name: string): string {
-      // Convert camelCase/PascalCase to snake_case for comparison
-      return name
-        .replace(/([a-z])([A-Z])/g, '$1_$2')
-        .replace(/([A-Z])([A-Z][a-z])/g, '$1_$2')
-        .toLowerCase();
+    function percent(score: number): string {
+      return String(Math.round(score * 100));
     }
 
-    function areSimilarFunctions(func1: FunctionInfo, func2: FunctionInfo): boolean {
-      // Same parameter count is required
-      if (func1.paramCount !== func2.paramCount) {
-        return false;
-      }
+    function checkForDuplicates(node: FunctionNode): void {
+      const name = extractFunctionName(node);
+      if (!name) return;
 
-      const pattern1 = func1.pattern.split('_');
-      const pattern2 = func2.pattern.split('_');
+      const tokens = fingerprint(node, context.sourceCode);
+      if (tokens.length < minTokens) return;
+      const functionInfo: FunctionInfo = { node, name, paramCount: node.params.length, fingerprint: comparable(tokens) };
 
-      // Similar length patterns
-      if (Math.abs(pattern1.length - pattern2.length) > 1) {
-        return false;
+      // Report the closest clone among the functions seen so far
+      let closest: { info: FunctionInfo; score: number } | undefined;
+      for (const existing of functionSignatures) {
+        if (existing.name === name || existing.paramCount !== functionInfo.paramCount) continue;
+        const score = similarity(existing.fingerprint, functionInfo.fingerprint, threshold);
+        if (score >= threshold && score > (closest?.score ?? 0)) closest = { info: existing, score };
       }
 
-      // Count matching segments
-      let matches = 0;
-      const minLength = Math.min(pattern1.length, pattern2.length);
-      
-      for (let i = 0; i < minLength; i++) {
-        if (pattern1[i] === pattern2[i]) {
-          matches++;
-        }
+      if (closest) {
+        context.report({
+          node,
+          messageId: 'duplicateUtility',
+          data: {
+            similar: closest.info.name,
+            similarity: percent(closest.score),
+          },
+        });
       }
 
-      // Consider similar if most parts match (e.g., validateUser vs validateCompany)
-      return matches >= minLength - 1 && minLength > 1;
+      // Add to tracked functions
+      functionSignatures.push(functionInfo);
     }
 
-    function checkForDuplicates(node: TSESTree.FunctionDeclaration | TSESTree.FunctionExpression): void {
-      const name = extractFunctionName(node);
-      if (!name) return;
-
-      const pattern = normalizePattern(name);
-      const paramCount = node.params.length;
-      const functionInfo: FunctionInfo = { node, name, paramCount, pattern };
-
-      // Check against existing functions
-      for (const existing of functionSignatures) {
-        if (existing.name !== name && areSimilarFunctions(existing, functionInfo)) {
+    function checkAcrossFiles(program: TSESTree.Program): void {
+      const { cwd } = context;
+      const file = relative(cwd, context.filename).split(sep).join('/');
+      const index = getFunctionIndex(options.indexFile === undefined ? undefined : resolve(cwd, options.indexFile));
+
+      const functions = exportedFunctions(program)
+        .map(({ name, node }) => ({ name, node, tokens: fingerprint(node, context.sourceCode) }))
+        .filter(({ tokens }) => tokens.length >= minTokens)
+        .map(({ name, node, tokens }) => ({
+          node,
+          entry: {
+            name,
+            paramCount: node.params.length,
+            fingerprint: tokens,
+            hash: fingerprintHash(tokens),
+            file,
+            line: node.loc.start.line,
+          },
+        }));
+
+      for (const { node, entry } of functions) {
+        const match = findDuplicate(index, entry, threshold, other => existsSync(resolve(cwd, other)));
+        if (match) {
           context.report({
             node,
-            messageId: 'duplicateUtility',
+            messageId: 'duplicateUtilityElsewhere',
             data: {
-              similar: existing.name,
+              similar: match.duplicate.name,
+              location: `${match.duplicate.file}:${match.duplicate.line}`,
+              similarity: percent(match.similarity),
             },
           });
-          // Don't report multiple duplicates for the same function
-          break;
         }
       }
 
-      // Add to tracked functions
-      functionSignatures.push(functionInfo);
+      updateFile(index, file, functions.map(({ entry }) => entry));
     }
 
     return {
+      'Program:exit'(program: TSESTree.Program): void {
+        if (options.crossFile === true) checkAcrossFiles(program);
+      },
+
       FunctionDeclaration(node: TSESTree.FunctionDeclaration): void {
         checkForDuplicates(node);
       },
@@ -130,6 +201,10 @@ export const noDuplicateUtilities = createRule<[], MessageIds>({
       FunctionExpression(node: TSESTree.FunctionExpression): void {
         checkForDuplicates(node);
       },
+
+      ArrowFunctionExpression(node: TSESTree.ArrowFunctionExpression): void {
+        checkForDuplicates(node);
+      },
     };
   },
 });
\ No newline at end of file
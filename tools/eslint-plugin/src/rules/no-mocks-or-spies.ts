@@ -1,16 +1,98 @@
 /* eslint-disable @explicit-decisions/no-mocks-or-spies -- This is the rule implementation */
 
+import { relative, sep } from 'path';
+
 import { ESLintUtils, AST_NODE_TYPES } from '@typescript-eslint/utils';
-import type { TSESTree } from '@typescript-eslint/utils';
+import type { JSONSchema, TSESTree } from '@typescript-eslint/utils';
 import type { RuleFixer } from '@typescript-eslint/utils/ts-eslint';
 
-type MessageIds = 'noMocks' | 'noSpies' | 'suggestRemove' | 'suggestRefactor';
+type MessageIds = 'noMocks' | 'noSpies' | 'banned' | 'suggestRemove' | 'suggestRefactor';
+
+/**
+ * A banned callee or import source, optionally with the message to report it with
+ */
+export interface BannedPattern {
+  pattern: string;
+  message?: string;
+}
+
+export interface Options {
+  /** Regular expressions matched against the source text of called functions, e.g. "^td\\." */
+  bannedCallees?: (string | BannedPattern)[];
+  /** Module names whose imports are banned, along with their subpaths */
+  bannedImports?: (string | BannedPattern)[];
+  /** Globs, relative to the working directory, of files where mocks are allowed */
+  allowedFiles?: string[];
+}
+
+interface CompiledPattern {
+  matches: (text: string) => boolean;
+  message: string | undefined;
+}
 
 const createRule = ESLintUtils.RuleCreator(
   name => `https://github.com/shared-lints/shared-lints/blob/main/docs/RULES_REFERENCE.md#${name}`
 );
 
-export const noMocksOrSpies = createRule<[], MessageIds>({
+const bannedPatternSchema: JSONSchema.JSONSchema4 = {
+  oneOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string' },
+        message: { type: 'string' },
+      },
+      required: ['pattern'],
+      additionalProperties: false,
+    },
+  ],
+};
+
+function toBannedPattern(entry: string | BannedPattern): BannedPattern {
+  return typeof entry === 'string' ? { pattern: entry } : entry;
+}
+
+function compileCallee(entry: string | BannedPattern): CompiledPattern {
+  const { pattern, message } = toBannedPattern(entry);
+  let regex: RegExp;
+  try {
+    regex = new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`no-mocks-or-spies: invalid bannedCallees pattern "${pattern}": ${(error as Error).message}`);
+  }
+  return { matches: text => regex.test(text), message };
+}
+
+function compileImport(entry: string | BannedPattern): CompiledPattern {
+  const { pattern, message } = toBannedPattern(entry);
+  return { matches: source => source === pattern || source.startsWith(`${pattern}/`), message };
+}
+
+/**
+ * Convert a glob to a regular expression: `**` spans directories, `*` and `?` don't
+ */
+function globToRegExp(glob: string): RegExp {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob.charAt(i);
+    if (char === '*' && glob.charAt(i + 1) === '*') {
+      // `**/` also matches no directory at all
+      const slash = glob.charAt(i + 2) === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+export const noMocksOrSpies = createRule<[Options], MessageIds>({
   name: 'no-mocks-or-spies',
   meta: {
     type: 'suggestion', // Changed from 'problem' to 'suggestion' to better reflect the nature of this rule
@@ -18,17 +100,48 @@ export const noMocksOrSpies = createRule<[], MessageIds>({
       description: 'Disallow the use of mocking libraries and spy functions in tests',
     },
     hasSuggestions: true, // Enable suggestions instead of auto-fix
-    schema: [],
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          bannedCallees: {
+            type: 'array',
+            items: bannedPatternSchema,
+            description: 'Additional mock/spy functions to ban, as regular expressions matched against the callee (e.g., "^td\\.", "^createMock$")',
+          },
+          bannedImports: {
+            type: 'array',
+            items: bannedPatternSchema,
+            description: 'Additional mocking libraries to ban, by module name (e.g., testdouble)',
+          },
+          allowedFiles: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Globs of files where mocks and spies are allowed (e.g., src/adapters/**)',
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
     messages: {
       noMocks: 'Do not use mocks in tests. Use real implementations or dependency injection instead',
       noSpies: 'Do not use spies in tests. Use real implementations or test interfaces instead',
+      banned: '{{message}}',
       suggestRemove: 'Remove this mock/spy usage',
       suggestRefactor: 'Refactor to use real implementation with dependency injection',
     },
   },
-  defaultOptions: [],
+  defaultOptions: [{}],
+
+  create(context, [options]) {
+    const filename = relative(context.cwd, context.filename).split(sep).join('/');
+    if ((options.allowedFiles ?? []).some(glob => globToRegExp(glob).test(filename))) {
+      return {};
+    }
+
+    const bannedCallees = (options.bannedCallees ?? []).map(compileCallee);
+    const bannedImports = (options.bannedImports ?? []).map(compileImport);
 
-  create(context) {
     // Helper function to find the statement containing a node
     function findStatement(node: TSESTree.Node): TSESTree.Node | null {
       let parent = node.parent;
@@ -73,13 +186,17 @@ export const noMocksOrSpies = createRule<[], MessageIds>({
 
         const isSpyPattern = spyPatterns.some(pattern => pattern.test(calleeText));
         const isMockPattern = mockPatterns.some(pattern => pattern.test(calleeText));
+        // Configured patterns come first so their messages win over the built-in ones
+        const configured = bannedCallees.find(banned => banned.matches(calleeText));
 
-        if (isMockPattern || isSpyPattern) {
+        if (configured || isMockPattern || isSpyPattern) {
           const statement = findStatement(node);
           
           context.report({
             node,
-            messageId: isSpyPattern ? 'noSpies' : 'noMocks',
+            ...(configured?.message === undefined
+              ? { messageId: isSpyPattern ? 'noSpies' as const : 'noMocks' as const }
+              : { messageId: 'banned' as const, data: { message: configured.message } }),
             // Use suggestions instead of auto-fix
             suggest: [
               // Only suggest removal if we found a containing statement
@@ -106,12 +223,15 @@ export const noMocksOrSpies = createRule<[], MessageIds>({
           'sinon', '@sinon/fake-timers', 'jest-mock', 'vitest/spy'
         ];
         
-        if (node.source.type === AST_NODE_TYPES.Literal && 
-            typeof node.source.value === 'string' &&
-            mockLibraries.includes(node.source.value)) {
+        const source = node.source.value;
+        const configured = bannedImports.find(banned => banned.matches(source));
+
+        if (configured || mockLibraries.includes(source)) {
           context.report({
             node,
-            messageId: 'noMocks',
+            ...(configured?.message === undefined
+              ? { messageId: 'noMocks' as const }
+              : { messageId: 'banned' as const, data: { message: configured.message } }),
             suggest: [
               {
                 messageId: 'suggestRemove' as const,
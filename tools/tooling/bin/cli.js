@@ -16,6 +16,7 @@ Commands:
   init [options]       Initialize shared-lints in current project
   deps init           Initialize dependency tracking
   deps check          Check dependency decisions
+  deps decide         Record dependency decisions without prompts
   deps interactive    Interactive dependency management
   help                Show this help message
 
@@ -23,11 +24,26 @@ Init Options:
   --testing <framework>  Set up testing framework (vitest, jest, none)
                         Default: vitest
 
+Deps Check Options:
+  --offline                   Only use cached registry metadata
+  --registry <url>            Registry to query (e.g. a local Verdaccio)
+  --registry-snapshot <path>  Read registry metadata from a snapshot
+  --cache-dir <dir>           Registry metadata cache directory
+  --audit                     Expire kept decisions affected by pnpm audit advisories
+  --advisories <file>         Same, from a saved advisory file
+
+Deps Decide Options:
+  <name> --accept|--keep      Accept the proposed update, or keep the declared range
+  --version <range>           Range to accept instead of the proposed one
+  --reason <text>             Why (required)
+  --file <path>               Apply a YAML or JSON list of decisions atomically
+
 Examples:
   shared-lints init
   shared-lints init --testing vitest
   shared-lints init --testing jest
   shared-lints deps init
+  shared-lints deps decide vitest --accept --reason "Fixes the watch mode leak"
   shared-lints deps interactive
 
 For more help on a specific command:
@@ -58,6 +74,8 @@ function parseArgs() {
       }
     } else if (!options.subCommand) {
       options.subCommand = arg;
+    } else {
+      options.args = [...(options.args ?? []), arg];
     }
   }
   
@@ -74,7 +92,7 @@ if (!command || command === 'help' || command === '--help' || command === '-h')
 if (command === 'init') {
   await init(options);
 } else if (command === 'deps') {
-  await deps(options.subCommand);
+  await deps(options.subCommand, options);
 } else {
   console.error(`Unknown command: ${command}`);
   console.log('Run "shared-lints help" for available commands');
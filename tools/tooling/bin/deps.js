@@ -2,5 +2,23 @@
 
 import { deps } from '../src/deps.js';
 
-const subCommand = process.argv[2];
-await deps(subCommand);
\ No newline at end of file
+const [subCommand, ...args] = process.argv.slice(2);
+const options = {};
+
+// Flags as in bin/cli.js: `--name value`, or `--name` alone for true; other arguments are positional
+for (let i = 0; i < args.length; i++) {
+  if (!args[i].startsWith('--')) {
+    options.args = [...(options.args ?? []), args[i]];
+    continue;
+  }
+  const flagName = args[i].replace(/^--/, '');
+  const nextArg = args[i + 1];
+  if (nextArg && !nextArg.startsWith('--')) {
+    options[flagName] = nextArg;
+    i++;
+  } else {
+    options[flagName] = true;
+  }
+}
+
+await deps(subCommand, options);
\ No newline at end of file
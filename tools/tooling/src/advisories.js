@@ -0,0 +1,101 @@
+import { existsSync, readFileSync } from 'fs';
+
+import semver from 'semver';
+
+/**
+ * Security advisories for dependency checks
+ *
+ * Advisories come from `pnpm audit --json`, or from a file in the same format
+ * for offline use. The file may also be a plain array of advisories:
+ *
+ *   [{ "id": "GHSA-35jh-r3h4-6jhm", "module_name": "lodash",
+ *      "vulnerable_versions": "<4.17.21", "severity": "high", "title": "Command injection" }]
+ *
+ * Every advisory is normalized to `{ id, name, vulnerableVersions, severity, title, url }`.
+ */
+
+/** Advisory severities, lowest first */
+export const SEVERITIES = ['info', 'low', 'moderate', 'high', 'critical'];
+
+/** Some advisory sources say "medium" for npm's "moderate" */
+const SEVERITY_ALIASES = { medium: 'moderate' };
+
+function severityRank(severity) {
+  const rank = SEVERITIES.indexOf(SEVERITY_ALIASES[severity] ?? severity);
+  if (rank === -1) {
+    throw new Error(`Unknown severity "${severity}": expected ${SEVERITIES.join(', ')}`);
+  }
+  return rank;
+}
+
+function toAdvisory(entry) {
+  const name = entry.module_name ?? entry.name;
+  const vulnerableVersions = entry.vulnerable_versions ?? entry.vulnerableVersions;
+  if (typeof name !== 'string' || typeof vulnerableVersions !== 'string') {
+    throw new Error(`Advisory ${entry.id ?? '(no id)'} needs a module_name and vulnerable_versions`);
+  }
+
+  const severity = SEVERITY_ALIASES[entry.severity] ?? entry.severity ?? 'info';
+  // Reject unknown severities here rather than when comparing them
+  severityRank(severity);
+
+  return {
+    // The GitHub ID is stable across registries; npm's numeric ID is not
+    id: String(entry.github_advisory_id ?? entry.id),
+    name,
+    vulnerableVersions,
+    severity,
+    title: entry.title ?? '',
+    url: entry.url
+  };
+}
+
+/**
+ * Normalize `pnpm audit --json` output, or an array of advisories
+ * @param {Object|Array} document
+ */
+export function parseAdvisories(document) {
+  if (Array.isArray(document)) return document.map(toAdvisory);
+  if (document !== null && typeof document === 'object' && 'advisories' in document) {
+    const { advisories } = document;
+    return (Array.isArray(advisories) ? advisories : Object.values(advisories ?? {})).map(toAdvisory);
+  }
+  throw new Error('Expected pnpm audit --json output or an array of advisories');
+}
+
+/**
+ * Read advisories from a local file
+ * @param {string} path
+ */
+export function readAdvisoryFile(path) {
+  if (!existsSync(path)) {
+    throw new Error(`Advisory file not found: ${path}`);
+  }
+  return parseAdvisories(JSON.parse(readFileSync(path, 'utf8')));
+}
+
+/**
+ * Run `pnpm audit --json` and read its advisories
+ * @param {string} cwd
+ * @param {Object} runner - Command runner (see runner.js)
+ */
+export async function runAudit(cwd, runner) {
+  // pnpm audit exits 1 when it finds vulnerabilities, which is the report we want
+  const { stdout } = await runner.run('pnpm', ['audit', '--json'], { cwd, allowExitCodes: [0, 1] });
+  return parseAdvisories(JSON.parse(stdout));
+}
+
+/**
+ * Advisories that affect a kept range: some version the range allows is vulnerable
+ * @param {string} name - Package name
+ * @param {string} range - Kept range, e.g. the decision's value
+ * @param {Array} advisories - Normalized advisories
+ */
+export function findAffectingAdvisories(name, range, advisories) {
+  if (semver.validRange(range) === null) return [];
+
+  return advisories.filter(advisory =>
+    advisory.name === name &&
+    semver.validRange(advisory.vulnerableVersions) !== null &&
+    semver.intersects(range, advisory.vulnerableVersions, { includePrerelease: true }));
+}
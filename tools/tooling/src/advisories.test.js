@@ -0,0 +1,90 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import {
+  findAffectingAdvisories,
+  parseAdvisories,
+  readAdvisoryFile,
+  runAudit
+} from './advisories.js';
+import { createFakeRunner } from './runner.js';
+
+/**
+ * An advisory as `pnpm audit --json` reports it
+ */
+function auditAdvisory(id, name, vulnerableVersions, severity) {
+  return { id, module_name: name, vulnerable_versions: vulnerableVersions, severity, title: `${name} advisory` };
+}
+
+function auditOutput(...advisories) {
+  return { actions: [], advisories: Object.fromEntries(advisories.map(advisory => [advisory.id, advisory])), muted: [] };
+}
+
+const lodash = auditAdvisory(1096727, 'lodash', '<4.17.21', 'high');
+const minimist = auditAdvisory(1097678, 'minimist', '>=1.0.0 <1.2.6', 'critical');
+
+describe('parseAdvisories', () => {
+  it('reads pnpm audit --json output', () => {
+    const [advisory] = parseAdvisories(auditOutput({ ...lodash, github_advisory_id: 'GHSA-35jh-r3h4-6jhm' }));
+
+    expect(advisory).toMatchObject({ id: 'GHSA-35jh-r3h4-6jhm', name: 'lodash', vulnerableVersions: '<4.17.21' });
+    expect(advisory).toMatchObject({ severity: 'high', title: 'lodash advisory' });
+  });
+
+  it('reads a plain list of advisories', () => {
+    const advisories = parseAdvisories([{ id: 'GHSA-xvch-5gv4-984h', name: 'minimist', vulnerableVersions: '<1.2.6', severity: 'medium' }]);
+
+    expect(advisories.map(advisory => [advisory.id, advisory.severity])).toEqual([['GHSA-xvch-5gv4-984h', 'moderate']]);
+  });
+
+  it('rejects documents it cannot read', () => {
+    expect(() => parseAdvisories({ vulnerabilities: [] })).toThrow('Expected pnpm audit --json output or an array of advisories');
+    expect(() => parseAdvisories([{ id: 1, module_name: 'lodash' }])).toThrow('Advisory 1 needs a module_name and vulnerable_versions');
+    expect(() => parseAdvisories([auditAdvisory(2, 'lodash', '<1.0.0', 'severe')])).toThrow('Unknown severity "severe"');
+  });
+});
+
+describe('advisory sources', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'tooling-advisories-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads a saved audit for offline use', () => {
+    const path = join(dir, 'audit.json');
+    writeFileSync(path, JSON.stringify(auditOutput(lodash, minimist)));
+
+    expect(readAdvisoryFile(path).map(advisory => advisory.id)).toEqual(['1096727', '1097678']);
+    expect(() => readAdvisoryFile(join(dir, 'missing.json'))).toThrow('Advisory file not found');
+  });
+
+  it('runs pnpm audit, which exits 1 when it finds advisories', async () => {
+    const runner = createFakeRunner([{ command: ['pnpm', 'audit', '--json'], exitCode: 1, stdout: JSON.stringify(auditOutput(lodash)) }]);
+
+    expect((await runAudit(dir, runner)).map(advisory => advisory.name)).toEqual(['lodash']);
+    expect(runner.calls[0].options).toMatchObject({ cwd: dir });
+  });
+});
+
+describe('findAffectingAdvisories', () => {
+  const advisories = parseAdvisories(auditOutput(lodash, minimist));
+
+  it('matches advisories whose vulnerable versions the kept range allows', () => {
+    expect(findAffectingAdvisories('lodash', '^4.17.0', advisories).map(advisory => advisory.id)).toEqual(['1096727']);
+    expect(findAffectingAdvisories('lodash', '~4.17.20', advisories)).toHaveLength(1);
+  });
+
+  it('ignores ranges past the advisory and other packages', () => {
+    expect(findAffectingAdvisories('lodash', '^4.17.21', advisories)).toEqual([]);
+    expect(findAffectingAdvisories('minimist', '0.2.4', advisories)).toEqual([]);
+    expect(findAffectingAdvisories('lodash', 'workspace:*', advisories)).toEqual([]);
+  });
+});
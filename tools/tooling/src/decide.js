@@ -0,0 +1,159 @@
+import { readFileSync } from 'fs';
+import { extname, join } from 'path';
+
+import { StagedStorage } from '@explicit-decisions/decisions';
+import { DependencyDecisions } from '@explicit-decisions/decisions/dependencies';
+import { parse as parseYaml } from 'yaml';
+
+import { evaluatePolicy } from './policy.js';
+import { registryDependencies } from './registry.js';
+
+/**
+ * Non-interactive dependency decisions
+ *
+ * `deps decide` records the same decisions as `deps interactive` without a
+ * terminal, so CI jobs and agents can make them:
+ *
+ *   shared-lints deps decide vitest --accept --reason "Bug fixes we need"
+ *   shared-lints deps decide typescript --keep --reason "Waiting for 6.1"
+ *   shared-lints deps decide --file decisions.yaml
+ *
+ * A batch file lists choices, as YAML or JSON:
+ *
+ *   decisions:
+ *     - name: vitest
+ *       action: accept
+ *       version: ^3.2.0      # optional; defaults to what the update policy proposes
+ *       reason: Bug fixes we need
+ *
+ * Every choice is checked before anything is written, and package.json and
+ * the decisions file are then written together.
+ */
+
+const ACTIONS = ['accept', 'keep'];
+
+/**
+ * Check a choice from the command line or a batch file
+ * @param {unknown} entry
+ * @param {string} where - Where the choice came from, for error messages
+ */
+function toChoice(entry, where) {
+  if (entry === null || typeof entry !== 'object') {
+    throw new Error(`${where}: expected { name, action, reason }`);
+  }
+  const { name, action, version, reason } = entry;
+  if (typeof name !== 'string' || name === '') {
+    throw new Error(`${where}: name is required`);
+  }
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`${where} (${name}): action must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (typeof reason !== 'string' || reason.trim() === '') {
+    throw new Error(`${where} (${name}): a reason is required`);
+  }
+  if (version !== undefined && (typeof version !== 'string' || action !== 'accept')) {
+    throw new Error(`${where} (${name}): version is a range, and only applies to accept`);
+  }
+  return { name, action, version, reason };
+}
+
+/**
+ * Read choices from a YAML or JSON batch file: a list, or a list under `decisions`
+ * @param {string} path
+ */
+export function readChoiceFile(path) {
+  const content = readFileSync(path, 'utf8');
+  const document = ['.yaml', '.yml'].includes(extname(path)) ? parseYaml(content) : JSON.parse(content);
+  const entries = Array.isArray(document) ? document : document?.decisions;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${path}: expected a list of decisions, or one under "decisions"`);
+  }
+  return entries.map((entry, i) => toChoice(entry, `${path} entry ${i + 1}`));
+}
+
+/**
+ * The choice `deps decide <name> --accept|--keep --reason ... [--version <range>]` describes
+ * @param {string|undefined} name
+ * @param {Object} options - Parsed CLI flags
+ */
+export function choiceFromOptions(name, options) {
+  if (options.accept === true && options.keep === true) {
+    throw new Error('Pass either --accept or --keep, not both');
+  }
+  const action = options.accept === true ? 'accept' : options.keep === true ? 'keep' : undefined;
+  return toChoice({
+    name,
+    action,
+    version: typeof options.version === 'string' ? options.version : undefined,
+    reason: typeof options.reason === 'string' ? options.reason : undefined
+  }, 'deps decide');
+}
+
+/**
+ * Apply choices: accepted updates are written to package.json, and every
+ * choice is recorded as a decision. Nothing is written if any choice fails.
+ * @param {string} cwd - Project directory
+ * @param {Array} choices - From readChoiceFile or choiceFromOptions
+ * @param {Object} client - Registry client (see registry.js), for the ranges updates would move to
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Where files are read and written; defaults to disk
+ * @param {string} [options.by] - Who is deciding
+ * @param {Object} [options.lockfile] - Parsed lockfile (see lockfile.js); kept decisions record
+ *   the version it resolves to
+ * @returns {Promise<Array<{ name: string, action: string, from: string, to: string, availableVersion?: string }>>}
+ */
+export async function decideDependencies(cwd, choices, client, { storage: target, by, lockfile } = {}) {
+  const duplicate = choices.find((choice, i) => choices.findIndex(other => other.name === choice.name) !== i);
+  if (duplicate !== undefined) {
+    throw new Error(`${duplicate.name} is decided more than once`);
+  }
+
+  const storage = new StagedStorage(target);
+  const manifestPath = join(cwd, 'package.json');
+  const original = await storage.read(manifestPath);
+  const manifest = JSON.parse(original);
+  const declared = new Map(registryDependencies(manifest).map(([name, range, field]) => [name, { range, field }]));
+  const decisions = new DependencyDecisions(cwd, { storage });
+
+  const results = [];
+  for (const choice of choices) {
+    const dependency = declared.get(choice.name);
+    if (dependency === undefined) {
+      throw new Error(`${choice.name} is not a registry dependency in ${manifestPath}`);
+    }
+
+    const tracked = await decisions.get(choice.name);
+    const metadata = await client.getMetadata(choice.name);
+    const { proposedRange } = evaluatePolicy({ range: dependency.range, metadata, policy: tracked?.policy });
+
+    let value = dependency.range;
+    if (choice.action === 'accept') {
+      value = choice.version ?? proposedRange;
+      if (value === undefined) {
+        throw new Error(`No update available for ${choice.name}; pass --version to accept a specific range`);
+      }
+      manifest[dependency.field][choice.name] = value;
+    }
+
+    const availableVersion = proposedRange ?? (choice.action === 'accept' ? value : undefined);
+    // An accepted range resolves to something new at the next install
+    const resolvedVersion = choice.action === 'keep' ? lockfile?.importers['.']?.[choice.name] : undefined;
+    await decisions.decide(choice.name, {
+      decision: choice.action,
+      value,
+      ...(availableVersion === undefined ? {} : { availableVersion }),
+      ...(resolvedVersion === undefined ? {} : { resolvedVersion }),
+      reason: choice.reason,
+      ...(by === undefined ? {} : { by })
+    });
+    results.push({ name: choice.name, action: choice.action, from: dependency.range, to: value, availableVersion });
+  }
+
+  if (results.some(result => result.from !== result.to)) {
+    const indent = /^\{\n(\s+)"/.exec(original)?.[1] ?? 2;
+    await storage.write(manifestPath, JSON.stringify(manifest, null, indent) + (original.endsWith('\n') ? '\n' : ''));
+  }
+  await storage.commit();
+
+  return results;
+}
@@ -0,0 +1,155 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { MemoryStorage } from '@explicit-decisions/decisions';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import { choiceFromOptions, decideDependencies, readChoiceFile } from './decide.js';
+import { createManifestFile } from './test-utils/factories.js';
+import { createFixtureClient } from './test-utils/implementations.js';
+
+const cwd = '/project';
+
+const decisionsToml = `[dependencies.typescript]
+value = "^5.8.3"
+reason = "Native .ts imports"
+reviewBy = "2025-08-27"
+`;
+
+function project() {
+  return new MemoryStorage({
+    [join(cwd, 'package.json')]: createManifestFile({}, { typescript: '^5.8.3', vitest: '^3.1.4' }),
+    [join(cwd, 'decisions.toml')]: decisionsToml
+  });
+}
+
+const client = createFixtureClient({ typescript: ['5.8.3', '5.9.2'], vitest: ['3.1.4', '3.2.0'] });
+
+/**
+ * A parsed lockfile (see lockfile.js) resolving the root's direct dependencies
+ */
+function pnpmLockfile(direct) {
+  return { manager: 'pnpm', path: join(cwd, 'pnpm-lock.yaml'), importers: { '.': direct }, packages: [] };
+}
+
+async function readManifest(storage) {
+  return JSON.parse(await storage.read(join(cwd, 'package.json')));
+}
+
+describe('decideDependencies', () => {
+  it('accepts the proposed update in package.json and the decision', async () => {
+    const storage = project();
+
+    const results = await decideDependencies(cwd, [{ name: 'vitest', action: 'accept', reason: 'Bug fixes' }], client, { storage });
+
+    expect(results).toEqual([{ name: 'vitest', action: 'accept', from: '^3.1.4', to: '^3.2.0', availableVersion: '^3.2.0' }]);
+    expect((await readManifest(storage)).devDependencies.vitest).toBe('^3.2.0');
+    expect(await storage.read(join(cwd, 'decisions.toml'))).toContain('[dependencies.vitest]\nvalue = "^3.2.0"');
+  });
+
+  it('keeps the declared range and records the update it was weighed against', async () => {
+    const storage = project();
+
+    await decideDependencies(cwd, [{ name: 'typescript', action: 'keep', reason: 'Waiting for 6.0' }], client, { storage, by: 'ci' });
+
+    const toml = await storage.read(join(cwd, 'decisions.toml'));
+    expect(toml).toContain('availableVersion = "^5.9.2"');
+    expect(toml).toContain('action = "renew"');
+    expect(await storage.read(join(cwd, 'package.json'))).toBe(createManifestFile({}, { typescript: '^5.8.3', vitest: '^3.1.4' }));
+  });
+
+  it('records the version the lockfile resolves a kept range to', async () => {
+    const storage = project();
+    const lockfile = pnpmLockfile({ typescript: '5.8.3' });
+
+    await decideDependencies(cwd, [{ name: 'typescript', action: 'keep', reason: 'Waiting for 6.0' }], client, { storage, lockfile });
+
+    expect(await storage.read(join(cwd, 'decisions.toml'))).toContain('resolvedVersion = "5.8.3"');
+  });
+
+  it('accepts an explicit version', async () => {
+    const storage = project();
+
+    await decideDependencies(cwd, [{ name: 'typescript', action: 'accept', version: '~5.9.0', reason: 'Patch releases only' }], client, { storage });
+
+    expect((await readManifest(storage)).devDependencies.typescript).toBe('~5.9.0');
+  });
+
+  it('writes nothing when any choice fails', async () => {
+    const storage = project();
+    const choices = [
+      { name: 'vitest', action: 'accept', reason: 'Bug fixes' },
+      { name: 'eslint', action: 'keep', reason: 'Flat config' }
+    ];
+
+    await expect(decideDependencies(cwd, choices, client, { storage })).rejects.toThrow('eslint is not a registry dependency');
+    expect(await storage.read(join(cwd, 'package.json'))).toBe(createManifestFile({}, { typescript: '^5.8.3', vitest: '^3.1.4' }));
+    expect(await storage.read(join(cwd, 'decisions.toml'))).toBe(decisionsToml);
+  });
+
+  it('refuses to accept when there is nothing newer', async () => {
+    const current = createFixtureClient({ vitest: ['3.1.4'] });
+
+    await expect(decideDependencies(cwd, [{ name: 'vitest', action: 'accept', reason: 'r' }], current, { storage: project() }))
+      .rejects.toThrow('No update available for vitest; pass --version to accept a specific range');
+  });
+
+  it('refuses to decide a dependency twice', async () => {
+    const choices = [{ name: 'vitest', action: 'keep', reason: 'a' }, { name: 'vitest', action: 'accept', reason: 'b' }];
+
+    await expect(decideDependencies(cwd, choices, client, { storage: project() })).rejects.toThrow('vitest is decided more than once');
+  });
+});
+
+describe('choiceFromOptions', () => {
+  it('reads deps decide flags', () => {
+    expect(choiceFromOptions('vitest', { accept: true, reason: 'Bug fixes', version: '^3.2.0' }))
+      .toEqual({ name: 'vitest', action: 'accept', version: '^3.2.0', reason: 'Bug fixes' });
+  });
+
+  it('requires a name, one action and a reason', () => {
+    expect(() => choiceFromOptions(undefined, { keep: true, reason: 'r' })).toThrow('deps decide: name is required');
+    expect(() => choiceFromOptions('vitest', { reason: 'r' })).toThrow('action must be one of accept, keep');
+    expect(() => choiceFromOptions('vitest', { accept: true, keep: true, reason: 'r' })).toThrow('either --accept or --keep');
+    expect(() => choiceFromOptions('vitest', { keep: true })).toThrow('a reason is required');
+    expect(() => choiceFromOptions('vitest', { keep: true, reason: 'r', version: '^3.2.0' })).toThrow('only applies to accept');
+  });
+});
+
+describe('readChoiceFile', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'tooling-decide-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads YAML and JSON batches', () => {
+    writeFileSync(join(dir, 'decisions.yaml'), `decisions:
+  - name: vitest
+    action: accept
+    reason: Bug fixes
+  - name: typescript
+    action: keep
+    reason: Waiting for 6.0
+`);
+    writeFileSync(join(dir, 'decisions.json'), JSON.stringify([{ name: 'vitest', action: 'keep', reason: 'Stable' }]));
+
+    expect(readChoiceFile(join(dir, 'decisions.yaml')).map(choice => [choice.name, choice.action])).toEqual([
+      ['vitest', 'accept'],
+      ['typescript', 'keep']
+    ]);
+    expect(readChoiceFile(join(dir, 'decisions.json'))).toHaveLength(1);
+  });
+
+  it('points at the entry that is wrong', () => {
+    const path = join(dir, 'decisions.yaml');
+    writeFileSync(path, '- name: vitest\n  action: upgrade\n  reason: r\n');
+
+    expect(() => readChoiceFile(path)).toThrow(`${path} entry 1 (vitest): action must be one of accept, keep`);
+  });
+});
@@ -1,22 +1,51 @@
-import { execSync } from 'child_process';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { join, resolve } from 'path';
+
+import { DependencyDecisions } from '@explicit-decisions/decisions/dependencies';
+
+import { findAffectingAdvisories, readAdvisoryFile, runAudit } from './advisories.js';
+import { choiceFromOptions, decideDependencies, readChoiceFile } from './decide.js';
+import { checkLicenses, createLicensePolicy, readInstalledLicenses } from './licenses.js';
+import { checkLockfile, readLockfile } from './lockfile.js';
+import { evaluatePolicy } from './policy.js';
+import { createRegistryClient, registryDependencies } from './registry.js';
+import { createCommandRunner } from './runner.js';
+import { checkTier, normalizeTiers } from './tiers.js';
+
+/** `npm-check-updates -i` waits on the user, so it gets far longer than the default timeout */
+const INTERACTIVE_TIMEOUT = 60 * 60 * 1000;
 
 /**
  * Dependency management commands
+ * @param {string} subCommand
+ * @param {Object} [options] - Registry options for `check` (see createRegistryClient)
+ * @param {boolean} [options.offline] - Only use cached registry metadata
+ * @param {string} [options.registry] - Registry URL
+ * @param {string} [options['registry-snapshot']] - Registry snapshot file or directory
+ * @param {string} [options['cache-dir']] - Registry metadata cache directory
+ * @param {boolean} [options.audit] - Check decisions against `pnpm audit --json`
+ * @param {string} [options.advisories] - Check decisions against an advisory file instead
+ * @param {string[]} [options.args] - Positional arguments after the subcommand (`decide <name>`)
+ * @param {Object} [context] - Where and how to run; tests pass fakes here
+ * @param {string} [context.cwd] - Project directory
+ * @param {Object} [context.runner] - Command runner (see runner.js)
+ * @param {Object} [context.registryClient] - Registry client, replacing the one built from `options`
  */
-export async function deps(subCommand) {
-  const cwd = process.cwd();
+export async function deps(subCommand, options = {}, context = {}) {
+  const { cwd = process.cwd(), runner = createCommandRunner() } = context;
   
   switch (subCommand) {
     case 'init':
       await initDependencyTracking(cwd);
       break;
     case 'check':
-      await checkDependencies(cwd);
+      await checkDependencies(cwd, registryClientFor(cwd, options, context), await loadAdvisories(cwd, options, runner));
+      break;
+    case 'decide':
+      await decide(cwd, options, registryClientFor(cwd, options, context));
       break;
     case 'interactive':
-      await interactiveDependencyManagement(cwd);
+      await interactiveDependencyManagement(cwd, runner);
       break;
     default:
       console.log(`
@@ -24,11 +53,33 @@ Dependency Management Commands:
 
   deps init           Initialize dependency tracking
   deps check          Check dependency decisions  
+  deps decide         Record decisions without prompts (for CI and agents)
   deps interactive    Interactive dependency management
 
+Check Options:
+  --offline                   Only use cached registry metadata
+  --registry <url>            Registry to query (e.g. a local Verdaccio)
+  --registry-snapshot <path>  Read registry metadata from a snapshot file or directory
+  --cache-dir <dir>           Registry metadata cache
+                              Default: node_modules/.cache/explicit-decisions/registry
+  --audit                     Expire kept decisions affected by \`pnpm audit\` advisories
+  --advisories <file>         Same, from saved \`pnpm audit --json\` output or an advisory list
+
+Decide Options (registry options as for check):
+  <name> --accept             Update to the range the update policy proposes
+  <name> --keep               Stay on the declared range
+  --version <range>           Range to accept instead of the proposed one
+  --reason <text>             Why (required)
+  --by <name>                 Who decided
+  --file <path>               Apply a YAML or JSON list of { name, action, version, reason }
+
 Examples:
   shared-lints deps init
   shared-lints deps check
+  shared-lints deps check --offline
+  shared-lints deps check --audit
+  shared-lints deps decide vitest --accept --reason "Fixes the watch mode leak"
+  shared-lints deps decide --file decisions.yaml
   shared-lints deps interactive
 `);
   }
@@ -77,155 +128,233 @@ async function initDependencyTracking(cwd) {
 }
 
 /**
- * Get npm dist-tags for a package
+ * The registry client for `check` and `decide`: the context's, or one built from CLI options
  */
-async function getNpmDistTags(packageName) {
+function registryClientFor(cwd, options, context) {
+  return context.registryClient ?? createRegistryClient({
+    cwd,
+    offline: options.offline === true,
+    registry: options.registry,
+    snapshot: options['registry-snapshot'],
+    cacheDir: options['cache-dir']
+  });
+}
+
+/**
+ * Record decisions from `deps decide <name> --accept|--keep` or `--file <path>`
+ */
+async function decide(cwd, options, client) {
+  let results;
   try {
-    const output = execSync(`pnpm exec npm view ${packageName} dist-tags --json`, { 
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
+    const choices = typeof options.file === 'string'
+      ? readChoiceFile(resolve(cwd, options.file))
+      : [choiceFromOptions(options.args?.[0], options)];
+    const lockfile = readLockfile(cwd);
+    results = await decideDependencies(cwd, choices, client, {
+      ...(typeof options.by === 'string' ? { by: options.by } : {}),
+      ...(lockfile === undefined ? {} : { lockfile })
     });
-    return JSON.parse(output);
   } catch (error) {
-    console.warn(`⚠️  Could not fetch dist-tags for ${packageName}`);
-    return {};
+    console.error('❌ Nothing was changed:', error.message);
+    process.exit(1);
+  }
+
+  for (const { name, action, from, to, availableVersion } of results) {
+    if (action === 'accept') {
+      console.log(`⬆️  ${name}: ${from} → ${to}`);
+    } else {
+      console.log(`📌 ${name}: keeping ${from}${availableVersion === undefined ? '' : ` over ${availableVersion}`}`);
+    }
+  }
+  console.log(`\n✅ Recorded ${results.length} decision${results.length === 1 ? '' : 's'}`);
+  if (results.some(result => result.from !== result.to)) {
+    console.log('💡 Run your package manager\'s install to update the lockfile');
   }
 }
 
 /**
- * Check if a tag-based update policy is satisfied
+ * Advisories for `deps check` from `--advisories <file>` or `--audit`; none without either
  */
-async function checkTagPolicy(packageName, policy, latestVersion) {
-  if (policy.type !== 'tag-based' || !policy.targetTag) {
-    return false;
-  }
-
-  const distTags = await getNpmDistTags(packageName);
-  const targetTagVersion = distTags[policy.targetTag];
-  
-  if (!targetTagVersion) {
-    return false;
+async function loadAdvisories(cwd, options, runner) {
+  try {
+    if (typeof options.advisories === 'string') {
+      return readAdvisoryFile(resolve(cwd, options.advisories));
+    }
+    if (options.audit === true) {
+      return await runAudit(cwd, runner);
+    }
+  } catch (error) {
+    console.error('❌ Cannot read security advisories:', error.message);
+    console.log('💡 Save `pnpm audit --json` output and pass it with --advisories <file> where the audit can\'t run');
+    process.exit(1);
   }
-
-  // Check if the target tag points to the latest version
-  return targetTagVersion === latestVersion;
+  return [];
 }
 
+const VERDICT_ICONS = { current: '✅', accept: '⬆️ ', review: '🔎', hold: '⏸️ ' };
+
 /**
- * Check dependencies against tracking file
+ * Check dependencies against their decisions, read from decisions.toml or
+ * dependency-versions.json through the same API as `decisions deps`. Each
+ * dependency gets a verdict from its decision's update policy (see policy.js).
+ * A "keep" decision whose range a security advisory affects expires at once.
+ * With a lockfile, resolved versions are checked too (see lockfile.js).
+ * Every decision is also held to the rules of its tier (see tiers.js), and
+ * with license decisions, installed licenses to them (see licenses.js).
+ * @param {string} cwd
+ * @param {Object} client - Registry client (see registry.js)
+ * @param {Array} [advisories] - Normalized advisories (see advisories.js)
  */
-async function checkDependencies(cwd) {
-  console.log('🔍 Checking dependency versions with npm-check-updates...\n');
+async function checkDependencies(cwd, client, advisories = []) {
+  console.log('🔍 Checking dependency versions against the registry...\n');
 
-  // Read current tracking file
-  const trackingPath = join(cwd, 'dependency-versions.json');
-  let tracking;
+  const decisions = new DependencyDecisions(cwd);
+  let source;
   try {
-    tracking = JSON.parse(readFileSync(trackingPath, 'utf8'));
+    source = await decisions.source();
   } catch (error) {
-    console.error('❌ Cannot read dependency-versions.json:', error.message);
+    console.error('❌ Cannot read dependency decisions:', error.message);
+    process.exit(1);
+  }
+  if (source === undefined) {
+    console.error('❌ No dependency decisions found in decisions.toml or dependency-versions.json');
     console.log('💡 Run `shared-lints deps init` to create initial tracking file');
     process.exit(1);
   }
 
-  // Get outdated dependencies using NCU
-  let outdatedOutput;
+  let tierRules;
   try {
-    outdatedOutput = execSync('pnpm exec npm-check-updates --jsonUpgraded', { 
-      cwd, 
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+    tierRules = normalizeTiers(await decisions.tiers());
   } catch (error) {
-    // NCU exits with code 0 when there are no updates, but may write to stdout
-    if (error.stdout) {
-      outdatedOutput = error.stdout;
-    } else {
-      console.log('✅ All dependencies are up to date!');
-      return;
-    }
+    console.error('❌ Cannot read tier definitions:', error.message);
+    process.exit(1);
+  }
+
+  const manifest = JSON.parse(readFileSync(join(cwd, 'package.json'), 'utf8'));
+  let lockfile;
+  try {
+    lockfile = readLockfile(cwd);
+  } catch (error) {
+    console.error('❌ Cannot read the lockfile:', error.message);
+    process.exit(1);
   }
+  const resolved = lockfile?.importers['.'] ?? {};
+
+  const violations = [];
+  const ready = [];
 
-  // Parse the outdated dependencies
-  let ncuResult = {};
-  if (outdatedOutput.trim()) {
+  for (const [depName, range] of registryDependencies(manifest)) {
+    let metadata;
     try {
-      ncuResult = JSON.parse(outdatedOutput);
-    } catch (parseError) {
-      console.log('✅ All dependencies are up to date!');
-      return;
+      metadata = await client.getMetadata(depName);
+    } catch (error) {
+      // Fail rather than pass: a check that can't see the registry has checked nothing
+      console.error('❌ Cannot check for updates:', error.message);
+      console.log('💡 Use --offline with a filled cache, or --registry-snapshot <path>, where the registry is unreachable');
+      process.exit(1);
     }
-  }
 
-  // Flatten workspace results into single outdated dependencies object
-  const outdatedDeps = {};
-  Object.values(ncuResult).forEach(packageUpdates => {
-    Object.assign(outdatedDeps, packageUpdates);
-  });
+    const tracked = await decisions.get(depName);
+    const affecting = tracked && (tracked.decision ?? 'keep') === 'keep'
+      ? findAffectingAdvisories(depName, tracked.value, advisories)
+      : [];
 
-  if (Object.keys(outdatedDeps).length === 0) {
-    console.log('✅ All dependencies are up to date!');
-    return;
-  }
+    for (const advisory of affecting) {
+      violations.push({
+        type: 'SECURITY_ADVISORY',
+        dependency: depName,
+        advisory: advisory.id,
+        severity: advisory.severity,
+        reviewBy: tracked.reviewBy,
+        message: `Decision to keep ${depName} ${tracked.value} expired: ${advisory.id} (${advisory.severity}) affects it` +
+          (advisory.title === '' ? '' : ` - ${advisory.title}`)
+      });
+    }
 
-  // Check each outdated dependency against tracking file
-  const violations = [];
+    let result;
+    try {
+      result = evaluatePolicy({ range, metadata, policy: tracked?.policy });
+    } catch (error) {
+      violations.push({
+        type: 'INVALID_POLICY',
+        dependency: depName,
+        message: `Dependency ${depName} has an invalid update policy: ${error.message}`
+      });
+      continue;
+    }
+
+    const installed = resolved[depName] === undefined ? '' : ` [${resolved[depName]}]`;
+    const target = result.proposedRange === undefined ? '' : ` → ${result.proposedRange}`;
+    console.log(`${VERDICT_ICONS[result.verdict]} ${depName} ${range}${installed}${target} (${result.verdict}: ${result.reason})`);
+
+    if (result.verdict === 'current' || result.verdict === 'hold') continue;
 
-  for (const [depName, newVersion] of Object.entries(outdatedDeps)) {
-    const tracked = tracking.dependencies[depName];
-    
     if (!tracked) {
       violations.push({
         type: 'UNTRACKED',
         dependency: depName,
-        newVersion: newVersion,
-        message: `Dependency ${depName} has updates available but is not tracked in dependency-versions.json`
+        newVersion: result.proposedRange,
+        message: `Dependency ${depName} has updates available but is not tracked in ${source}`
       });
       continue;
     }
 
-    // Check if latest available has changed
-    if (tracked.latestAvailable !== newVersion) {
+    if (result.verdict === 'accept') {
+      ready.push({ dependency: depName, newVersion: result.proposedRange });
+    } else if (tracked.availableVersion !== result.proposedRange) {
+      // A review verdict is settled once the decision records the version it reviewed
       violations.push({
-        type: 'NEW_VERSION_AVAILABLE',
+        type: 'REVIEW_REQUIRED',
         dependency: depName,
-        trackedLatest: tracked.latestAvailable,
-        actualLatest: newVersion,
-        message: `New version available: ${tracked.latestAvailable} → ${newVersion} (requires decision update)`
+        trackedLatest: tracked.availableVersion,
+        actualLatest: result.proposedRange,
+        change: result.change,
+        message: `Review required for ${depName}: ${tracked.availableVersion} → ${result.proposedRange} (${result.reason})`
       });
     }
 
-    // Check tag-based update policies
-    if (tracked.updatePolicy?.type === 'tag-based') {
-      const tagReady = await checkTagPolicy(depName, tracked.updatePolicy, newVersion);
-      if (tagReady) {
-        violations.push({
-          type: 'TAG_POLICY_READY',
-          dependency: depName,
-          targetTag: tracked.updatePolicy.targetTag,
-          newVersion: newVersion,
-          message: `Tag-based policy satisfied: ${tracked.updatePolicy.targetTag} tag now points to ${newVersion}`
-        });
-      }
-    }
-
-    // Check if decision is stale
-    const reviewDate = new Date(tracked.reviewDate);
-    const daysSinceReview = Math.floor((new Date() - reviewDate) / (1000 * 60 * 60 * 24));
-    
-    if (daysSinceReview > tracking.rules.allowedOutdatedDays) {
+    // Check if decision is stale; an advisory has already expired it otherwise
+    if (tracked.expired && affecting.length === 0) {
       violations.push({
         type: 'STALE_DECISION',
         dependency: depName,
-        daysSinceReview,
-        allowedDays: tracking.rules.allowedOutdatedDays,
-        message: `Dependency ${depName} decision is ${daysSinceReview} days old (max: ${tracking.rules.allowedOutdatedDays})`
+        reviewBy: tracked.reviewBy,
+        message: `Dependency ${depName} decision was due for review on ${tracked.reviewBy}`
       });
     }
   }
 
+  console.log('');
+
+  const allDecisions = await decisions.list();
+  for (const decision of allDecisions) {
+    violations.push(...checkTier(decision, tierRules));
+  }
+
+  if (lockfile !== undefined) {
+    const lockfileCheck = checkLockfile({ lockfile, manifest, decisions: allDecisions, advisories });
+    violations.push(...lockfileCheck.violations);
+
+    if (lockfileCheck.duplicates.length > 0) {
+      console.log(`📦 Installed in more than one version (${lockfile.path}):\n`);
+      lockfileCheck.duplicates.forEach(({ name, versions }) => console.log(`   ${name}: ${versions.join(', ')}`));
+      console.log('');
+    }
+  }
+
+  const licensePolicy = createLicensePolicy(await decisions.licenses());
+  if (licensePolicy.configured) {
+    violations.push(...checkLicenses(readInstalledLicenses(cwd), licensePolicy));
+  }
+
+  if (ready.length > 0) {
+    console.log('🎯 Updates accepted by policy:\n');
+    ready.forEach(({ dependency, newVersion }) => console.log(`   ${dependency} → ${newVersion}`));
+    console.log(`\n   💡 Run 'shared-lints deps interactive' to apply them\n`);
+  }
+
   if (violations.length === 0) {
-    console.log('✅ All outdated dependencies are properly tracked and up to date!');
+    console.log('✅ All dependencies satisfy their update policies!');
     return;
   }
 
@@ -236,10 +365,24 @@ async function checkDependencies(cwd) {
     
     if (violation.type === 'UNTRACKED') {
       console.log(`   💡 Run 'shared-lints deps interactive' to make decisions about updates\n`);
-    } else if (violation.type === 'NEW_VERSION_AVAILABLE') {
+    } else if (violation.type === 'REVIEW_REQUIRED') {
       console.log(`   💡 Run 'shared-lints deps interactive' to review the new version\n`);
-    } else if (violation.type === 'TAG_POLICY_READY') {
-      console.log(`   🎯 Update ready! Run 'shared-lints deps interactive' to upgrade to ${violation.targetTag} tag\n`);
+    } else if (violation.type === 'SECURITY_ADVISORY') {
+      console.log(`   🔒 Update ${violation.dependency} past the advisory, or review the decision again with it in mind\n`);
+    } else if (violation.type.startsWith('TIER_')) {
+      console.log(`   💡 Update the decision in ${source}; tiers are described in docs/principles/PACKAGE_SELECTION.md\n`);
+    } else if (violation.type === 'RESOLVED_VERSION_CHANGED') {
+      console.log(`   💡 Run 'shared-lints deps decide ${violation.dependency} --keep --reason "..."' to record what is installed now\n`);
+    } else if (violation.type === 'RESOLVED_OUTSIDE_DECISION') {
+      console.log(`   💡 Reinstall so the lockfile matches the decided range, or revisit the decision\n`);
+    } else if (violation.type === 'TRANSITIVE_UNDECIDED') {
+      console.log(`   💡 Run 'decisions deps add ${violation.dependency} <range> "<reason>"' to decide on it\n`);
+    } else if (violation.type === 'LICENSE_NOT_APPROVED') {
+      console.log(`   💡 Replace ${violation.dependency}, or run 'decisions add licenses ${violation.dependency} "${violation.license}" "<reason>"' to approve it\n`);
+    } else if (violation.type === 'LICENSE_CHANGED') {
+      console.log(`   💡 Review the new license, then run 'decisions supersede licenses ${violation.dependency} "${violation.license}" --reason "..."'\n`);
+    } else if (violation.type === 'INVALID_POLICY') {
+      console.log(`   💡 Fix the policy table of the ${violation.dependency} decision\n`);
     } else if (violation.type === 'STALE_DECISION') {
       console.log(`   💡 Run 'shared-lints deps interactive' to refresh your decision\n`);
     }
@@ -251,8 +394,10 @@ async function checkDependencies(cwd) {
 
 /**
  * Interactive dependency management
+ * @param {string} cwd
+ * @param {Object} runner - Command runner (see runner.js)
  */
-async function interactiveDependencyManagement(cwd) {
+async function interactiveDependencyManagement(cwd, runner) {
   const trackingPath = join(cwd, 'dependency-versions.json');
   
   // Read or create tracking file
@@ -270,43 +415,35 @@ async function interactiveDependencyManagement(cwd) {
 
   try {
     // Run ncu -i to let user select which packages to update
-    execSync('pnpm exec npm-check-updates -i', { 
-      cwd, 
-      stdio: 'inherit'
+    await runner.run('pnpm', ['exec', 'npm-check-updates', '-i'], {
+      cwd,
+      stdio: 'inherit',
+      timeout: INTERACTIVE_TIMEOUT
     });
 
     console.log('\n🎉 Package.json has been updated with your selections!');
     console.log('📝 Now documenting your decisions in dependency-versions.json...\n');
 
     // Update tracking file with user decisions
-    await updateTrackingFile(tracking, trackingPath, cwd);
+    await updateTrackingFile(tracking, trackingPath, cwd, runner);
 
   } catch (error) {
-    if (error.status === 0) {
-      console.log('\n✅ No changes were made.');
-    } else {
-      console.error('❌ Error running interactive mode:', error.message);
-      process.exit(1);
-    }
+    console.error('❌ Error running interactive mode:', error.message);
+    process.exit(1);
   }
 }
 
 /**
  * Update tracking file with user decisions
  */
-async function updateTrackingFile(tracking, trackingPath, cwd) {
+async function updateTrackingFile(tracking, trackingPath, cwd, runner) {
   // Check if there are still any outdated dependencies to track
-  try {
-    execSync('pnpm exec npm-check-updates --jsonUpgraded', { 
-      cwd, 
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-  } catch (error) {
-    if (!error.stdout || error.stdout.trim() === '{}') {
-      console.log('✅ All dependencies are now up to date!');
-      return;
-    }
+  const { stdout } = await runner.run('pnpm', ['exec', 'npm-check-updates', '--jsonUpgraded'], { cwd });
+  const outdated = stdout.trim() === '' ? {} : JSON.parse(stdout);
+
+  if (Object.keys(outdated).length === 0) {
+    console.log('✅ All dependencies are now up to date!');
+    return;
   }
 
   const today = new Date().toISOString().split('T')[0];
@@ -361,6 +498,10 @@ async function getSchemaContent() {
             "type": "string",
             "description": "Latest version available on npm"
           },
+          "resolvedVersion": {
+            "type": "string",
+            "description": "Exact version the lockfile resolved to when the decision was made"
+          },
           "reason": {
             "type": "string",
             "description": "Reason for keeping current version or update decision"
@@ -396,9 +537,31 @@ async function getSchemaContent() {
                 "type": "string",
                 "enum": ["daily", "weekly", "monthly"],
                 "description": "How often to check for tag changes"
+              },
+              "update": {
+                "type": "string",
+                "enum": ["auto", "review"],
+                "description": "Accept allowed updates automatically, or review every update"
+              },
+              "major": {
+                "type": "string",
+                "enum": ["review", "auto", "ignore"],
+                "description": "How to treat major updates"
+              },
+              "range": {
+                "type": "string",
+                "enum": ["^", "~", "=", "exact"],
+                "description": "Range style for updated versions; exact pins always need review"
+              },
+              "prerelease": {
+                "type": "boolean",
+                "description": "Whether pre-release versions are considered"
+              },
+              "minReleaseAge": {
+                "type": ["string", "number"],
+                "description": "Minimum time since publish, in days or as e.g. '7d' or '2w'"
               }
             },
-            "required": ["type"],
             "additionalProperties": false
           },
           "breakingChanges": {
@@ -424,6 +587,30 @@ async function getSchemaContent() {
           "blockMajorUpdatesWithoutReview": {
             "type": "boolean",
             "description": "Whether major version updates require explicit review"
+          },
+          "tiers": {
+            "type": "object",
+            "description": "Package selection tiers: 'since' (YYYY-MM-DD) after which new dependencies need a tier and platformAlternative, and per-tier { requires, reviewWithin }",
+            "properties": {
+              "since": {
+                "type": "string",
+                "format": "date"
+              }
+            },
+            "additionalProperties": {
+              "type": "object",
+              "properties": {
+                "requires": {
+                  "type": "array",
+                  "items": {"type": "string"}
+                },
+                "reviewWithin": {
+                  "type": "string",
+                  "pattern": "^\\d+\\s*[dwmy]$"
+                }
+              },
+              "additionalProperties": false
+            }
           }
         }
       }
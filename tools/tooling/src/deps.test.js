@@ -0,0 +1,178 @@
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import { deps } from './deps.js';
+import { createFakeRunner } from './runner.js';
+import { createManifestFile } from './test-utils/factories.js';
+import { createFixtureClient } from './test-utils/implementations.js';
+
+function tracking(lastUpdated) {
+  return { lastUpdated, dependencies: {}, rules: { allowedOutdatedDays: 30 } };
+}
+
+describe('deps interactive', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = mkdtempSync(join(tmpdir(), 'tooling-deps-'));
+    writeFileSync(join(cwd, 'dependency-versions.json'), JSON.stringify(tracking('2025-01-01')));
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  it('runs npm-check-updates interactively, then looks for remaining updates', async () => {
+    const runner = createFakeRunner([
+      { command: ['pnpm', 'exec', 'npm-check-updates', '-i'] },
+      { command: ['pnpm', 'exec', 'npm-check-updates', '--jsonUpgraded'], stdout: '{}' }
+    ]);
+
+    await deps('interactive', {}, { cwd, runner });
+
+    expect(runner.calls.map(call => call.args)).toEqual([
+      ['exec', 'npm-check-updates', '-i'],
+      ['exec', 'npm-check-updates', '--jsonUpgraded']
+    ]);
+    expect(runner.calls[0].options).toMatchObject({ cwd, stdio: 'inherit' });
+    expect(JSON.parse(readFileSync(join(cwd, 'dependency-versions.json'), 'utf8')).lastUpdated).toBe('2025-01-01');
+  });
+
+  it('stamps the tracking file while updates remain', async () => {
+    const runner = createFakeRunner([
+      { command: ['pnpm', 'exec', 'npm-check-updates', '-i'] },
+      { command: ['pnpm', 'exec', 'npm-check-updates', '--jsonUpgraded'], stdout: '{"vitest":"^3.2.0"}' }
+    ]);
+
+    await deps('interactive', {}, { cwd, runner });
+
+    const today = new Date().toISOString().split('T')[0];
+    expect(JSON.parse(readFileSync(join(cwd, 'dependency-versions.json'), 'utf8')).lastUpdated).toBe(today);
+  });
+});
+
+describe('deps check', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = mkdtempSync(join(tmpdir(), 'tooling-deps-'));
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  it('passes when every available update is accepted by policy or current', async () => {
+    const devDependencies = { vitest: '^3.1.4', eslint: '^9.27.0', '@acme/lib': 'workspace:*' };
+    writeFileSync(join(cwd, 'package.json'), JSON.stringify({ devDependencies }));
+    writeFileSync(join(cwd, 'decisions.toml'), `[dependencies.vitest]
+value = "^3.1.4"
+reason = "Minor updates are safe"
+decided = "2025-06-01"
+reviewBy = "2099-01-01"
+policy = { update = "auto", range = "^", major = "ignore" }
+`);
+    const registryClient = createFixtureClient({ vitest: ['3.1.4', '3.2.0', '4.0.0'], eslint: ['9.27.0'] });
+
+    await expect(deps('check', {}, { cwd, registryClient })).resolves.toBeUndefined();
+  });
+
+  it('expires a kept decision affected by a security advisory', async () => {
+    writeFileSync(join(cwd, 'package.json'), createManifestFile({ lodash: '^4.17.0' }));
+    writeFileSync(join(cwd, 'decisions.toml'), `[dependencies.lodash]
+decision = "keep"
+value = "^4.17.0"
+reason = "Pinned until the utilities move to native code"
+reviewBy = "2099-01-01"
+`);
+    const advisory = { id: 'GHSA-35jh-r3h4-6jhm', name: 'lodash', vulnerableVersions: '<4.17.21', severity: 'high' };
+    writeFileSync(join(cwd, 'advisories.json'), JSON.stringify([advisory]));
+    const registryClient = createFixtureClient({ lodash: ['4.17.0'] });
+
+    await expect(deps('check', { advisories: 'advisories.json' }, { cwd, registryClient })).rejects.toThrow('process.exit');
+  });
+
+  it('expires a sensitive kept decision on advisories of any severity', async () => {
+    writeFileSync(join(cwd, 'package.json'), createManifestFile({ lodash: '^4.17.0' }));
+    writeFileSync(join(cwd, 'decisions.toml'), `[dependencies.lodash]
+value = "^4.17.0"
+reason = "Parses untrusted templates"
+reviewBy = "2099-01-01"
+meta = { security = "high" }
+`);
+    const advisory = { id: 'GHSA-29mw-wpgm-hmr9', name: 'lodash', vulnerableVersions: '<4.17.21', severity: 'moderate' };
+    writeFileSync(join(cwd, 'advisories.json'), JSON.stringify([advisory]));
+    const registryClient = createFixtureClient({ lodash: ['4.17.0'] });
+
+    await expect(deps('check', { advisories: 'advisories.json' }, { cwd, registryClient })).rejects.toThrow('process.exit');
+  });
+
+  it('fails when the lockfile no longer resolves the recorded version', async () => {
+    writeFileSync(join(cwd, 'package.json'), createManifestFile({ vitest: '^3.1.4' }));
+    writeFileSync(join(cwd, 'decisions.toml'), `[dependencies.vitest]
+value = "^3.1.4"
+resolvedVersion = "3.1.4"
+reason = "Matches the CI image"
+reviewBy = "2099-01-01"
+`);
+    writeFileSync(join(cwd, 'pnpm-lock.yaml'), `lockfileVersion: '9.0'
+importers:
+  .:
+    dependencies:
+      vitest:
+        specifier: ^3.1.4
+        version: 3.2.0
+packages:
+  vitest@3.2.0:
+    resolution: {integrity: sha512-x}
+`);
+    const registryClient = createFixtureClient({ vitest: ['3.1.4'] });
+
+    await expect(deps('check', {}, { cwd, registryClient })).rejects.toThrow('process.exit');
+  });
+
+  it('holds decisions to the rules of their tier', async () => {
+    writeFileSync(join(cwd, 'package.json'), createManifestFile({ zod: '^3.23.0' }));
+    writeFileSync(join(cwd, 'decisions.toml'), `[metadata.tiers]
+since = "2025-01-01"
+
+[dependencies.zod]
+value = "^3.23.0"
+reason = "Trying it for config validation"
+decided = "2025-06-01"
+reviewBy = "2099-01-01"
+tier = "experimental"
+`);
+    const registryClient = createFixtureClient({ zod: ['3.23.0'] });
+
+    await expect(deps('check', {}, { cwd, registryClient })).rejects.toThrow('process.exit');
+  });
+
+  it('requires a decision for installed packages without an approved license', async () => {
+    writeFileSync(join(cwd, 'package.json'), createManifestFile({ zod: '^3.23.0' }));
+    writeFileSync(join(cwd, 'decisions.toml'), `[licenses.MIT]
+value = "allow"
+reason = "Permissive"
+reviewBy = "2099-01-01"
+
+[dependencies.zod]
+value = "^3.23.0"
+reason = "Config validation"
+reviewBy = "2099-01-01"
+`);
+    const install = (name, license) => {
+      mkdirSync(join(cwd, 'node_modules', name), { recursive: true });
+      writeFileSync(join(cwd, 'node_modules', name, 'package.json'), JSON.stringify({ name, version: '1.0.0', license }));
+    };
+    const registryClient = createFixtureClient({ zod: ['3.23.0'] });
+
+    install('zod', 'MIT');
+    await expect(deps('check', {}, { cwd, registryClient })).resolves.toBeUndefined();
+
+    install('readline-sync', 'GPL-3.0-only');
+    await expect(deps('check', {}, { cwd, registryClient })).rejects.toThrow('process.exit');
+  });
+});
@@ -1,7 +1,9 @@
 import { writeFileSync, readFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { dirname, join } from 'path';
 import { createInterface } from 'readline';
 
+import { detectPackageManager } from './lockfile.js';
+
 /**
  * Initialize shared-lints framework in current project
  * @param {Object} options - Configuration options
@@ -32,9 +34,7 @@ export async function init(options = {}) {
     console.log('📦 Setting up shared-lints framework for:', packageJson.name || 'unnamed project');
     
     // Check package manager and provide pnpm recommendation
-    const packageManager = existsSync(join(cwd, 'pnpm-lock.yaml')) ? 'pnpm' : 
-                           existsSync(join(cwd, 'yarn.lock')) ? 'yarn' :
-                           existsSync(join(cwd, 'package-lock.json')) ? 'npm' : 'unknown';
+    const packageManager = detectPackageManager(cwd) ?? 'unknown';
     
     if (packageManager !== 'pnpm') {
       console.log('💡 Recommendation: Consider using pnpm for better dependency management');
@@ -216,8 +216,7 @@ async function updatePackageScripts(packageJsonPath, packageJson, includeDeps) {
   }
 
   // Add or update lint script (pnpm recommended)
-  const packageManager = existsSync(join(cwd, 'pnpm-lock.yaml')) ? 'pnpm' : 
-                         existsSync(join(cwd, 'package-lock.json')) ? 'npm' : 'pnpm';
+  const packageManager = detectPackageManager(dirname(packageJsonPath)) === 'npm' ? 'npm' : 'pnpm';
   
   const lintCommand = includeDeps 
     ? 'shared-lints deps check && eslint .'
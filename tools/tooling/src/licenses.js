@@ -0,0 +1,244 @@
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * License policy for dependency checks
+ *
+ * The licenses of installed packages (`license` in node_modules/<name>/package.json)
+ * are held to license decisions in decisions.toml. Entries valued "allow" or
+ * "deny" are keyed by SPDX license identifier; any other entry is keyed by
+ * package and approves the license it records for that package alone:
+ *
+ *   [licenses.MIT]
+ *   value = "allow"
+ *   reason = "Permissive, no obligations beyond attribution"
+ *   reviewBy = "2026-06-01"
+ *
+ *   [licenses."GPL-3.0-only"]
+ *   value = "deny"
+ *   reason = "We distribute closed-source builds"
+ *   reviewBy = "2026-06-01"
+ *
+ *   [licenses.sharp]
+ *   value = "Apache-2.0"
+ *   reason = "Only used at build time; reviewed with legal"
+ *   reviewBy = "2026-01-01"
+ *
+ * A license is approved when it is not denied and, once any license is
+ * allowed, is allowed. For SPDX expressions, `OR` needs one approved
+ * alternative and `AND` needs all of them. A package without an approved
+ * license needs its own decision, and that decision must be revisited when
+ * the installed license no longer matches it.
+ */
+
+/** What a package that declares no license is reported as */
+export const UNKNOWN_LICENSE = 'UNKNOWN';
+
+/** Decision values that put a license on the allow or deny list */
+const LIST_VALUES = ['allow', 'deny'];
+
+/**
+ * The license a package.json declares, as an SPDX expression.
+ * Legacy `licenses` arrays are read as alternatives.
+ * @param {Object} manifest - Parsed package.json
+ * @returns {string}
+ */
+export function licenseOf(manifest) {
+  const typeOf = entry => (typeof entry === 'string' ? entry : entry?.type);
+
+  const license = typeOf(manifest.license);
+  if (typeof license === 'string' && license.trim() !== '') return license.trim();
+
+  if (Array.isArray(manifest.licenses)) {
+    const types = manifest.licenses.map(typeOf).filter(type => typeof type === 'string' && type.trim() !== '');
+    if (types.length === 1) return types[0];
+    if (types.length > 1) return `(${types.join(' OR ')})`;
+  }
+  return UNKNOWN_LICENSE;
+}
+
+function packageDirectories(nodeModules) {
+  const directories = [];
+  for (const entry of readdirSync(nodeModules)) {
+    // .bin, .pnpm, .package-lock.json and other package manager state
+    if (entry.startsWith('.')) continue;
+
+    if (entry.startsWith('@')) {
+      for (const scoped of readdirSync(join(nodeModules, entry))) {
+        directories.push(`${entry}/${scoped}`);
+      }
+    } else {
+      directories.push(entry);
+    }
+  }
+  return directories;
+}
+
+/**
+ * Licenses of the packages installed in `cwd`/node_modules: every package
+ * npm and yarn hoist, or the direct dependencies pnpm links there
+ * @param {string} cwd
+ * @returns {Array<{ name: string, version: string, license: string }>} Sorted by name; empty without node_modules
+ */
+export function readInstalledLicenses(cwd) {
+  const nodeModules = join(cwd, 'node_modules');
+  if (!existsSync(nodeModules)) return [];
+
+  const installed = [];
+  for (const directory of packageDirectories(nodeModules)) {
+    const path = join(nodeModules, directory, 'package.json');
+    if (!existsSync(path)) continue;
+
+    const manifest = JSON.parse(readFileSync(path, 'utf8'));
+    installed.push({ name: manifest.name ?? directory, version: manifest.version ?? '', license: licenseOf(manifest) });
+  }
+  return installed.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function tokenize(expression) {
+  return expression.match(/\(|\)|[^\s()]+/g) ?? [];
+}
+
+/**
+ * Evaluate an SPDX license expression, asking `approves` about each license in it.
+ * Anything that doesn't parse as an expression is asked about as a whole.
+ * @param {string} expression - e.g. "(MIT OR Apache-2.0)", "GPL-2.0-only WITH Classpath-exception-2.0"
+ * @param {(license: string) => boolean} approves
+ * @returns {boolean}
+ */
+export function satisfiesLicense(expression, approves) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const next = () => tokens[position++];
+  const peek = () => tokens[position];
+
+  function parseOr() {
+    let result = parseAnd();
+    while (peek() === 'OR') {
+      next();
+      // Evaluate both sides so the whole expression is parsed
+      const alternative = parseAnd();
+      result = result || alternative;
+    }
+    return result;
+  }
+
+  function parseAnd() {
+    let result = parseAtom();
+    while (peek() === 'AND') {
+      next();
+      const conjunct = parseAtom();
+      result = result && conjunct;
+    }
+    return result;
+  }
+
+  function parseAtom() {
+    const token = next();
+    if (token === '(') {
+      const result = parseOr();
+      if (next() !== ')') throw new Error('Unbalanced parentheses');
+      return result;
+    }
+    if (token === undefined || token === ')' || token === 'AND' || token === 'OR' || token === 'WITH') {
+      throw new Error(`Unexpected ${token ?? 'end of expression'}`);
+    }
+    if (peek() === 'WITH') {
+      next();
+      const exception = next();
+      if (exception === undefined) throw new Error('Missing license exception');
+      return approves(`${token} WITH ${exception}`) || approves(token);
+    }
+    return approves(token);
+  }
+
+  try {
+    const result = parseOr();
+    if (position < tokens.length) throw new Error(`Unexpected ${tokens[position]}`);
+    return result;
+  } catch {
+    return approves(expression);
+  }
+}
+
+/**
+ * Split license decisions into the allow list, the deny list and per-package approvals.
+ * Revoked decisions are left out.
+ * @param {Array} decisions - From DependencyDecisions#licenses()
+ */
+export function createLicensePolicy(decisions) {
+  const allowed = new Set();
+  const denied = new Set();
+  const packages = new Map();
+
+  for (const decision of decisions) {
+    if (decision.status === 'revoked') continue;
+
+    const listValue = decision.value.trim().toLowerCase();
+    if (!LIST_VALUES.includes(listValue)) {
+      packages.set(decision.key, decision);
+    } else if (listValue === 'allow') {
+      allowed.add(decision.key.toLowerCase());
+    } else {
+      denied.add(decision.key.toLowerCase());
+    }
+  }
+
+  return { allowed, denied, packages, configured: decisions.length > 0 };
+}
+
+/**
+ * Whether the allow and deny lists approve `license`. A package that declares
+ * no license is never approved by them.
+ * @param {string} license - An SPDX expression
+ * @param {Object} policy - From createLicensePolicy
+ */
+export function isLicenseApproved(license, { allowed, denied }) {
+  if (license === UNKNOWN_LICENSE) return false;
+  return satisfiesLicense(license, id => {
+    const key = id.toLowerCase();
+    return !denied.has(key) && (allowed.size === 0 || allowed.has(key));
+  });
+}
+
+/**
+ * Check installed licenses against the license policy
+ * @param {Array} installed - From readInstalledLicenses
+ * @param {Object} policy - From createLicensePolicy
+ * @returns {Array<{ type: string, dependency: string, license: string, message: string }>}
+ */
+export function checkLicenses(installed, policy) {
+  const violations = [];
+
+  for (const { name, version, license } of installed) {
+    const approval = policy.packages.get(name);
+
+    if (approval !== undefined) {
+      if (approval.value !== license) {
+        violations.push({
+          type: 'LICENSE_CHANGED',
+          dependency: name,
+          license,
+          recorded: approval.value,
+          message: `License of ${name}@${version} is now ${license}; it was approved as ${approval.value}`
+        });
+      }
+      continue;
+    }
+
+    if (!isLicenseApproved(license, policy)) {
+      const verdict = satisfiesLicense(license, id => !policy.denied.has(id.toLowerCase())) ? 'not allowed' : 'denied';
+      violations.push({
+        type: 'LICENSE_NOT_APPROVED',
+        dependency: name,
+        license,
+        message: license === UNKNOWN_LICENSE
+          ? `${name}@${version} declares no license`
+          : `${name}@${version} is licensed ${license}, which is ${verdict}`
+      });
+    }
+  }
+
+  return violations;
+}
@@ -0,0 +1,160 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import { checkLicenses, createLicensePolicy, isLicenseApproved, licenseOf, readInstalledLicenses, satisfiesLicense } from './licenses.js';
+
+/**
+ * A `[licenses.*]` decision as DependencyDecisions#licenses() returns it
+ */
+function licenseDecision(key, value, status = 'active') {
+  return { category: 'licenses', key, value, reason: 'r', reviewBy: '2026-06-01', expired: false, status, history: [] };
+}
+
+/**
+ * A package.json with the object form of `license`
+ */
+function licenseTable(type) {
+  return { license: { type } };
+}
+
+/**
+ * A package.json with the legacy `licenses` array
+ */
+function legacyLicenses(...types) {
+  return { licenses: types.map(type => ({ type })) };
+}
+
+function installedPackage(name, license, version = '1.0.0') {
+  return { name, version, license };
+}
+
+const policy = createLicensePolicy([
+  licenseDecision('MIT', 'allow'),
+  licenseDecision('Apache-2.0', 'allow'),
+  licenseDecision('GPL-3.0-only', 'deny'),
+  licenseDecision('sharp', 'LGPL-3.0-or-later')
+]);
+
+describe('licenseOf', () => {
+  it('reads the license field in any of its shapes', () => {
+    expect(licenseOf({ license: 'MIT' })).toBe('MIT');
+    expect(licenseOf(licenseTable('ISC'))).toBe('ISC');
+    expect(licenseOf(legacyLicenses('MIT', 'Apache-2.0'))).toBe('(MIT OR Apache-2.0)');
+    expect(licenseOf({ license: ' ' })).toBe('UNKNOWN');
+    expect(licenseOf({})).toBe('UNKNOWN');
+  });
+});
+
+describe('satisfiesLicense', () => {
+  const approves = license => ['MIT', 'Apache-2.0', 'GPL-2.0-only WITH Classpath-exception-2.0'].includes(license);
+
+  it('evaluates SPDX expressions', () => {
+    expect(satisfiesLicense('MIT', approves)).toBe(true);
+    expect(satisfiesLicense('(MIT OR GPL-3.0-only)', approves)).toBe(true);
+    expect(satisfiesLicense('MIT AND GPL-3.0-only', approves)).toBe(false);
+    expect(satisfiesLicense('(MIT AND Apache-2.0) OR BSL-1.1', approves)).toBe(true);
+    expect(satisfiesLicense('GPL-2.0-only WITH Classpath-exception-2.0', approves)).toBe(true);
+  });
+
+  it('asks about malformed expressions as a whole', () => {
+    expect(satisfiesLicense('(MIT OR', approves)).toBe(false);
+    expect(satisfiesLicense('SEE LICENSE IN LICENSE.md', license => license === 'SEE LICENSE IN LICENSE.md')).toBe(true);
+  });
+});
+
+describe('createLicensePolicy', () => {
+  it('separates the allow and deny lists from package approvals', () => {
+    expect([...policy.allowed]).toEqual(['mit', 'apache-2.0']);
+    expect([...policy.denied]).toEqual(['gpl-3.0-only']);
+    expect([...policy.packages.keys()]).toEqual(['sharp']);
+    expect(policy.configured).toBe(true);
+  });
+
+  it('leaves revoked decisions out', () => {
+    const revoked = createLicensePolicy([licenseDecision('MIT', 'allow', 'revoked')]);
+
+    expect(revoked.allowed.size).toBe(0);
+    expect(createLicensePolicy([]).configured).toBe(false);
+  });
+});
+
+describe('isLicenseApproved', () => {
+  it('approves allowed licenses only once anything is allowed', () => {
+    expect(isLicenseApproved('mit', policy)).toBe(true);
+    expect(isLicenseApproved('ISC', policy)).toBe(false);
+    expect(isLicenseApproved('ISC', createLicensePolicy([licenseDecision('GPL-3.0-only', 'deny')]))).toBe(true);
+  });
+
+  it('never approves a denied or undeclared license', () => {
+    const denyOnly = createLicensePolicy([licenseDecision('GPL-3.0-only', 'deny')]);
+
+    expect(isLicenseApproved('GPL-3.0-only', denyOnly)).toBe(false);
+    expect(isLicenseApproved('(MIT OR GPL-3.0-only)', policy)).toBe(true);
+    expect(isLicenseApproved('UNKNOWN', denyOnly)).toBe(false);
+  });
+});
+
+describe('checkLicenses', () => {
+  it('passes approved licenses and packages approved on their own', () => {
+    const installed = [installedPackage('react', 'MIT'), installedPackage('sharp', 'LGPL-3.0-or-later')];
+
+    expect(checkLicenses(installed, policy)).toEqual([]);
+  });
+
+  it('requires a decision for unapproved licenses', () => {
+    const installed = [
+      installedPackage('readline-sync', 'GPL-3.0-only'),
+      installedPackage('tiny-lib', 'ISC', '2.0.0'),
+      installedPackage('mystery', 'UNKNOWN')
+    ];
+
+    expect(checkLicenses(installed, policy).map(violation => violation.message)).toEqual([
+      'readline-sync@1.0.0 is licensed GPL-3.0-only, which is denied',
+      'tiny-lib@2.0.0 is licensed ISC, which is not allowed',
+      'mystery@1.0.0 declares no license'
+    ]);
+  });
+
+  it('reports packages whose license changed since it was approved', () => {
+    const [violation] = checkLicenses([installedPackage('sharp', 'Apache-2.0', '0.34.0')], policy);
+
+    expect(violation).toMatchObject({ type: 'LICENSE_CHANGED', dependency: 'sharp', license: 'Apache-2.0', recorded: 'LGPL-3.0-or-later' });
+    expect(violation.message).toBe('License of sharp@0.34.0 is now Apache-2.0; it was approved as LGPL-3.0-or-later');
+  });
+});
+
+describe('readInstalledLicenses', () => {
+  let dir;
+
+  function install(name, manifest) {
+    mkdirSync(join(dir, 'node_modules', name), { recursive: true });
+    writeFileSync(join(dir, 'node_modules', name, 'package.json'), JSON.stringify({ name, ...manifest }));
+  }
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'tooling-licenses-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads top-level and scoped packages, skipping package manager state', () => {
+    install('zod', { version: '3.23.8', license: 'MIT' });
+    install('@types/node', { version: '20.17.50', license: 'MIT' });
+    install('.pnpm/lodash@4.17.21', { version: '4.17.21', license: 'MIT' });
+    mkdirSync(join(dir, 'node_modules', 'empty'));
+
+    expect(readInstalledLicenses(dir)).toEqual([
+      installedPackage('@types/node', 'MIT', '20.17.50'),
+      installedPackage('zod', 'MIT', '3.23.8')
+    ]);
+  });
+
+  it('finds nothing without node_modules', () => {
+    expect(readInstalledLicenses(dir)).toEqual([]);
+  });
+});
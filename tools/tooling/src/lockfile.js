@@ -0,0 +1,327 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+import semver from 'semver';
+import { parse as parseYaml } from 'yaml';
+
+/**
+ * Lockfile reading for dependency checks
+ *
+ * package.json only says which ranges are allowed; the lockfile says what was
+ * installed. Every supported lockfile is reduced to the same shape:
+ *
+ *   {
+ *     manager: 'pnpm' | 'yarn' | 'npm',
+ *     path,
+ *     importers: { '.': { vitest: '3.1.4' }, 'tools/x': { ... } },  // direct dependencies
+ *     packages: [{ name: 'vitest', version: '3.1.4' }, ...]           // everything installed
+ *   }
+ *
+ * pnpm-lock.yaml (v5 to v9), package-lock.json (v2 and v3) and yarn.lock
+ * (classic and Berry) are supported.
+ */
+
+/** Lockfile of each package manager, in the order `init` looks for them */
+export const LOCKFILES = {
+  pnpm: 'pnpm-lock.yaml',
+  yarn: 'yarn.lock',
+  npm: 'package-lock.json'
+};
+
+/** Fields of package.json that pin packages anywhere in the tree */
+const OVERRIDE_FIELDS = [['pnpm', 'overrides'], ['overrides'], ['resolutions']];
+
+/**
+ * The package manager whose lockfile is in `cwd`
+ * @param {string} cwd
+ * @returns {'pnpm' | 'yarn' | 'npm' | undefined}
+ */
+export function detectPackageManager(cwd) {
+  return Object.keys(LOCKFILES).find(manager => existsSync(join(cwd, LOCKFILES[manager])));
+}
+
+/**
+ * Split `name@version` (or `name@range`) at the `@` that isn't a scope
+ */
+function splitSpec(spec) {
+  const at = spec.indexOf('@', 1);
+  return at === -1 ? [spec, ''] : [spec.slice(0, at), spec.slice(at + 1)];
+}
+
+/**
+ * A pnpm version without its peer dependency suffix, e.g. `8.33.0(eslint@9.27.0)`.
+ * Returns undefined for workspace links.
+ */
+function pnpmVersion(version) {
+  if (typeof version !== 'string' || version.startsWith('link:')) return undefined;
+  return version.replace(/^npm:.*@/, '').split('(')[0].split('_')[0];
+}
+
+/**
+ * Name and version of a pnpm `packages` key: `name@1.0.0` (v9),
+ * `/name@1.0.0(peer@1.0.0)` (v6) or `/name/1.0.0_peer@1.0.0` (v5)
+ */
+function pnpmPackage(key) {
+  const path = key.replace(/^\//, '');
+  const v5 = /^((?:@[^/]+\/)?[^/@]+)\/(\d[^/_(]*)/.exec(path);
+  if (v5) return { name: v5[1], version: v5[2] };
+
+  const [name, version] = splitSpec(path.split('(')[0]);
+  return { name, version };
+}
+
+/**
+ * @param {string} content
+ * @param {string} [path]
+ */
+export function parsePnpmLock(content, path = LOCKFILES.pnpm) {
+  const lock = parseYaml(content) ?? {};
+  // Lockfiles of single-package projects before v6 have no importers section
+  const importerEntries = lock.importers ?? { '.': lock };
+
+  const importers = {};
+  for (const [importer, entry] of Object.entries(importerEntries)) {
+    const resolved = {};
+    for (const field of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+      for (const [name, value] of Object.entries(entry?.[field] ?? {})) {
+        // v6+ has `{ specifier, version }`; older lockfiles just the version
+        const version = pnpmVersion(typeof value === 'string' ? value : value?.version);
+        if (version !== undefined) resolved[name] = version;
+      }
+    }
+    importers[importer] = resolved;
+  }
+
+  const packages = Object.keys(lock.packages ?? {}).map(pnpmPackage);
+  return { manager: 'pnpm', path, importers, packages };
+}
+
+/**
+ * @param {string} content
+ * @param {string} [path]
+ */
+export function parseNpmLock(content, path = LOCKFILES.npm) {
+  const lock = JSON.parse(content);
+  if (lock.packages === undefined) {
+    throw new Error(`${path}: lockfileVersion ${lock.lockfileVersion} is not supported; reinstall with npm 7 or later`);
+  }
+
+  const installed = new Map();
+  const importerDirs = [];
+  for (const [location, entry] of Object.entries(lock.packages)) {
+    const at = location.lastIndexOf('node_modules/');
+    if (at === -1) {
+      importerDirs.push(location);
+    } else if (entry.link !== true && entry.version !== undefined) {
+      installed.set(location, { name: entry.name ?? location.slice(at + 'node_modules/'.length), version: entry.version });
+    }
+  }
+
+  const importers = {};
+  for (const dir of importerDirs) {
+    const entry = lock.packages[dir];
+    const resolved = {};
+    for (const field of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+      for (const name of Object.keys(entry[field] ?? {})) {
+        // npm hoists to the root node_modules unless a workspace needs a different version
+        const found = installed.get(dir === '' ? `node_modules/${name}` : `${dir}/node_modules/${name}`) ??
+          installed.get(`node_modules/${name}`);
+        if (found !== undefined) resolved[name] = found.version;
+      }
+    }
+    importers[dir === '' ? '.' : dir] = resolved;
+  }
+
+  return { manager: 'npm', path, importers, packages: [...installed.values()] };
+}
+
+/**
+ * yarn.lock keys entries by the ranges that resolved to them, so the root
+ * importer is found through package.json.
+ * @param {string} content
+ * @param {Object} manifest - Parsed package.json
+ * @param {string} [path]
+ */
+export function parseYarnLock(content, manifest, path = LOCKFILES.yarn) {
+  const versionsBySpec = new Map();
+  const packages = new Map();
+  let specs = [];
+
+  for (const line of content.split('\n')) {
+    if (/^[^\s#]/.test(line) && line.trimEnd().endsWith(':')) {
+      // `"a@^1.0.0", a@^1.1.0:` (classic) or `"a@npm:^1.0.0, a@npm:^1.1.0":` (Berry)
+      specs = line.trimEnd().slice(0, -1).split(',')
+        .map(spec => spec.trim().replace(/^"|"$/g, ''))
+        .filter(spec => spec !== '__metadata' && !spec.includes('@workspace:'));
+      continue;
+    }
+
+    const version = /^\s+version:?\s+"?([^"\s]+)"?/.exec(line)?.[1];
+    if (version === undefined || specs.length === 0) continue;
+
+    for (const spec of specs) {
+      const [name, range] = splitSpec(spec);
+      versionsBySpec.set(`${name}@${range.replace(/^npm:/, '')}`, version);
+      packages.set(`${name}@${version}`, { name, version });
+    }
+    specs = [];
+  }
+
+  const root = {};
+  for (const field of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+    for (const [name, range] of Object.entries(manifest[field] ?? {})) {
+      const version = versionsBySpec.get(`${name}@${range}`);
+      if (version !== undefined) root[name] = version;
+    }
+  }
+
+  return { manager: 'yarn', path, importers: { '.': root }, packages: [...packages.values()] };
+}
+
+/**
+ * Read the lockfile in `cwd`, detected like `init` detects the package manager
+ * @param {string} cwd
+ * @returns {Object|undefined} The parsed lockfile, or undefined without one
+ */
+export function readLockfile(cwd) {
+  const manager = detectPackageManager(cwd);
+  if (manager === undefined) return undefined;
+
+  const path = join(cwd, LOCKFILES[manager]);
+  const content = readFileSync(path, 'utf8');
+  switch (manager) {
+    case 'pnpm':
+      return parsePnpmLock(content, path);
+    case 'npm':
+      return parseNpmLock(content, path);
+    default:
+      return parseYarnLock(content, JSON.parse(readFileSync(join(cwd, 'package.json'), 'utf8')), path);
+  }
+}
+
+/**
+ * Every version of `name` in the tree, lowest first
+ * @param {Object} lockfile
+ * @param {string} name
+ */
+export function resolvedVersions(lockfile, name) {
+  const versions = lockfile.packages.filter(pkg => pkg.name === name).map(pkg => pkg.version);
+  // Git and tarball dependencies have versions semver can't order
+  const compare = (a, b) => semver.valid(a) !== null && semver.valid(b) !== null ? semver.compare(a, b) : a.localeCompare(b);
+  return [...new Set(versions)].sort(compare);
+}
+
+/**
+ * Packages installed in more than one version
+ * @param {Object} lockfile
+ * @returns {Array<{ name: string, versions: string[] }>}
+ */
+export function findDuplicates(lockfile) {
+  const names = [...new Set(lockfile.packages.map(pkg => pkg.name))].sort();
+  return names
+    .map(name => ({ name, versions: resolvedVersions(lockfile, name) }))
+    .filter(({ versions }) => versions.length > 1);
+}
+
+/**
+ * Names of packages pinned through pnpm.overrides, overrides or resolutions.
+ * Selectors such as `parent>child`, `**\/child` and `child@<2` name `child`.
+ * @param {Object} manifest - Parsed package.json
+ */
+export function overriddenPackages(manifest) {
+  const names = new Set();
+  const collect = (overrides) => {
+    for (const [selector, value] of Object.entries(overrides)) {
+      if (selector === '.') continue;
+      const last = selector.split('>').pop().replace(/^(\*\*\/)+/, '');
+      const scoped = /(@[^/]+\/[^/@]+)(@.*)?$/.exec(last);
+      names.add(scoped ? scoped[1] : splitSpec(last.split('/').pop())[0]);
+      // npm nests overrides under the package they apply within
+      if (value !== null && typeof value === 'object') collect(value);
+    }
+  };
+
+  for (const fields of OVERRIDE_FIELDS) {
+    const overrides = fields.reduce((value, field) => value?.[field], manifest);
+    if (overrides !== null && typeof overrides === 'object') collect(overrides);
+  }
+  return [...names];
+}
+
+/**
+ * Check decisions against the lockfile: recorded resolved versions must still
+ * be installed and inside the decided range, and transitive packages that are
+ * overridden or hit by an advisory need a decision of their own.
+ *
+ * Like the rest of `deps check`, this covers the root package only: a decision
+ * is held to the version the root importer (`.`) resolves, and `manifest` is
+ * the root package.json. Workspace importers aren't read; a dependency the
+ * root doesn't declare is held to every version of it in the tree instead.
+ * @param {Object} input
+ * @param {Object} input.lockfile - From readLockfile
+ * @param {Object} input.manifest - Parsed package.json
+ * @param {Array} input.decisions - DependencyDecisions#list() results
+ * @param {Array} [input.advisories] - Normalized advisories (see advisories.js)
+ * @returns {{ violations: Array, duplicates: Array<{ name: string, versions: string[] }> }}
+ */
+export function checkLockfile({ lockfile, manifest, decisions, advisories = [] }) {
+  const violations = [];
+  const direct = lockfile.importers['.'] ?? {};
+  const active = decisions.filter(decision => decision.status !== 'revoked');
+
+  for (const decision of active) {
+    const versions = direct[decision.name] === undefined
+      ? resolvedVersions(lockfile, decision.name)
+      : [direct[decision.name]];
+    if (versions.length === 0) continue;
+
+    if (decision.resolvedVersion !== undefined && !versions.includes(decision.resolvedVersion)) {
+      violations.push({
+        type: 'RESOLVED_VERSION_CHANGED',
+        dependency: decision.name,
+        recorded: decision.resolvedVersion,
+        resolved: versions,
+        message: `${decision.name} resolves to ${versions.join(', ')}, but its decision recorded ${decision.resolvedVersion}`
+      });
+    }
+
+    const outside = semver.validRange(decision.value) === null
+      ? []
+      : versions.filter(version =>
+        semver.valid(version) !== null && !semver.satisfies(version, decision.value, { includePrerelease: true }));
+    if (outside.length > 0) {
+      violations.push({
+        type: 'RESOLVED_OUTSIDE_DECISION',
+        dependency: decision.name,
+        resolved: outside,
+        message: `${decision.name} resolves to ${outside.join(', ')}, outside its decided range ${decision.value}`
+      });
+    }
+  }
+
+  const decided = new Set(active.map(decision => decision.name));
+  const declared = new Set(['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']
+    .flatMap(field => Object.keys(manifest[field] ?? {})));
+  const needsDecision = (name) => !declared.has(name) && !decided.has(name);
+
+  for (const name of overriddenPackages(manifest).filter(needsDecision)) {
+    violations.push({
+      type: 'TRANSITIVE_UNDECIDED',
+      dependency: name,
+      message: `Transitive dependency ${name} is overridden in package.json but has no decision`
+    });
+  }
+  for (const advisory of advisories.filter(advisory => needsDecision(advisory.name))) {
+    const affected = resolvedVersions(lockfile, advisory.name)
+      .filter(version => semver.satisfies(version, advisory.vulnerableVersions, { includePrerelease: true }));
+    if (affected.length === 0) continue;
+    violations.push({
+      type: 'TRANSITIVE_UNDECIDED',
+      dependency: advisory.name,
+      advisory: advisory.id,
+      message: `Transitive dependency ${advisory.name} ${affected.join(', ')} is affected by ${advisory.id} (${advisory.severity}) but has no decision`
+    });
+  }
+
+  return { violations, duplicates: findDuplicates(lockfile) };
+}
@@ -0,0 +1,276 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import {
+  checkLockfile,
+  detectPackageManager,
+  findDuplicates,
+  overriddenPackages,
+  parseNpmLock,
+  parsePnpmLock,
+  parseYarnLock,
+  readLockfile
+} from './lockfile.js';
+import { createDependencyDecision } from './test-utils/factories.js';
+
+const pnpmV9 = `lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    devDependencies:
+      '@typescript-eslint/parser':
+        specifier: ^8.33.0
+        version: 8.33.0(eslint@9.27.0)(typescript@5.8.3)
+      typescript:
+        specifier: ^5.8.3
+        version: 5.8.3
+
+  tools/decisions:
+    dependencies:
+      '@acme/lib':
+        specifier: workspace:*
+        version: link:../lib
+
+packages:
+
+  '@typescript-eslint/parser@8.33.0':
+    resolution: {integrity: sha512-a}
+
+  brace-expansion@1.1.11:
+    resolution: {integrity: sha512-b}
+
+  brace-expansion@2.0.1:
+    resolution: {integrity: sha512-c}
+
+  typescript@5.8.3:
+    resolution: {integrity: sha512-d}
+`;
+
+const pnpmV6 = `lockfileVersion: '6.0'
+
+dependencies:
+  lodash:
+    specifier: ^4.17.0
+    version: 4.17.20
+
+packages:
+
+  /lodash@4.17.20:
+    resolution: {integrity: sha512-e}
+
+  /@babel/core@7.24.0(supports-color@8.1.1):
+    resolution: {integrity: sha512-f}
+`;
+
+const pnpmV5 = `lockfileVersion: 5.4
+
+specifiers:
+  lodash: ^4.17.0
+
+dependencies:
+  lodash: 4.17.20
+
+packages:
+
+  /lodash/4.17.20:
+    resolution: {integrity: sha512-e}
+
+  /@babel/core/7.24.0_supports-color@8.1.1:
+    resolution: {integrity: sha512-f}
+`;
+
+/**
+ * A package-lock.json v3 with lodash hoisted and two copies of minimist
+ */
+function npmLockV3() {
+  return {
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'app', dependencies: { lodash: '^4.17.0' } },
+      'node_modules/lodash': { version: '4.17.21' },
+      'node_modules/minimist': { version: '1.2.8' },
+      'node_modules/mkdirp/node_modules/minimist': { version: '0.0.8' }
+    }
+  };
+}
+
+const npmV3 = JSON.stringify(npmLockV3());
+
+const yarnClassic = `# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+# yarn lockfile v1
+
+
+"@babel/core@^7.24.0", "@babel/core@^7.20.0":
+  version "7.24.0"
+  resolved "https://registry.yarnpkg.com/@babel/core/-/core-7.24.0.tgz"
+
+lodash@^4.17.0:
+  version "4.17.20"
+`;
+
+const yarnBerry = `__metadata:
+  version: 8
+
+"lodash@npm:^4.17.0":
+  version: 4.17.21
+  resolution: "lodash@npm:4.17.21"
+
+"app@workspace:.":
+  version: 0.0.0-use.local
+`;
+
+function lockfile(packages, direct = {}, workspaceImporters = {}) {
+  return { manager: 'pnpm', path: 'pnpm-lock.yaml', importers: { '.': direct, ...workspaceImporters }, packages };
+}
+
+/**
+ * A package.json with `overrides` under `fields`, e.g. ['pnpm', 'overrides']
+ */
+function overriding(fields, overrides) {
+  return fields.reduceRight((value, field) => ({ [field]: value }), overrides);
+}
+
+const noManifest = {};
+
+function installed(name, version) {
+  return { name, version };
+}
+
+describe('parsePnpmLock', () => {
+  it('reads v9 importers without peer suffixes or workspace links', () => {
+    const lock = parsePnpmLock(pnpmV9);
+
+    expect(lock.importers['.']).toEqual({ '@typescript-eslint/parser': '8.33.0', typescript: '5.8.3' });
+    expect(lock.importers['tools/decisions']).toEqual({});
+    expect(lock.packages).toContainEqual(installed('@typescript-eslint/parser', '8.33.0'));
+  });
+
+  it('reads v6 and v5 lockfiles of single-package projects', () => {
+    for (const content of [pnpmV6, pnpmV5]) {
+      const lock = parsePnpmLock(content);
+
+      expect(lock.importers['.']).toEqual({ lodash: '4.17.20' });
+      expect(lock.packages).toEqual([installed('lodash', '4.17.20'), installed('@babel/core', '7.24.0')]);
+    }
+  });
+});
+
+describe('parseNpmLock', () => {
+  it('reads hoisted and nested packages', () => {
+    const lock = parseNpmLock(npmV3);
+
+    expect(lock.importers['.']).toEqual({ lodash: '4.17.21' });
+    expect(lock.packages).toContainEqual(installed('minimist', '0.0.8'));
+  });
+
+  it('rejects v1 lockfiles', () => {
+    const v1 = { lockfileVersion: 1, dependencies: [] };
+
+    expect(() => parseNpmLock(JSON.stringify(v1)))
+      .toThrow('lockfileVersion 1 is not supported');
+  });
+});
+
+describe('parseYarnLock', () => {
+  it('reads classic and Berry lockfiles through package.json ranges', () => {
+    const manifest = overriding(['dependencies'], { lodash: '^4.17.0' });
+
+    expect(parseYarnLock(yarnClassic, manifest).importers['.']).toEqual({ lodash: '4.17.20' });
+    expect(parseYarnLock(yarnClassic, manifest).packages).toContainEqual(installed('@babel/core', '7.24.0'));
+    expect(parseYarnLock(yarnBerry, manifest).packages).toEqual([installed('lodash', '4.17.21')]);
+  });
+});
+
+describe('readLockfile', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = mkdtempSync(join(tmpdir(), 'tooling-lockfile-'));
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  it('prefers pnpm-lock.yaml, like init', () => {
+    writeFileSync(join(cwd, 'package-lock.json'), npmV3);
+    expect(detectPackageManager(cwd)).toBe('npm');
+
+    writeFileSync(join(cwd, 'pnpm-lock.yaml'), pnpmV6);
+    expect(detectPackageManager(cwd)).toBe('pnpm');
+    expect(readLockfile(cwd)).toMatchObject({ manager: 'pnpm', path: join(cwd, 'pnpm-lock.yaml') });
+  });
+
+  it('returns undefined without a lockfile', () => {
+    expect(readLockfile(cwd)).toBeUndefined();
+  });
+});
+
+describe('findDuplicates', () => {
+  it('lists packages installed in more than one version', () => {
+    expect(findDuplicates(parsePnpmLock(pnpmV9))).toEqual([{ name: 'brace-expansion', versions: ['1.1.11', '2.0.1'] }]);
+    expect(findDuplicates(lockfile([installed('a', '10.0.0'), installed('a', '9.1.0')]))[0].versions).toEqual(['9.1.0', '10.0.0']);
+  });
+});
+
+describe('overriddenPackages', () => {
+  it('names the packages pnpm, npm and yarn overrides pin', () => {
+    const manifest = {
+      ...overriding(['pnpm', 'overrides'], { 'foo>minimist': '^1.2.6', '@babel/traverse@<7.23.2': '7.23.2' }),
+      ...overriding(['overrides', 'mkdirp'], { minimist: '1.2.8' }),
+      ...overriding(['resolutions'], { '**/semver': '^7.5.2' })
+    };
+
+    expect(overriddenPackages(manifest).sort()).toEqual(['@babel/traverse', 'minimist', 'mkdirp', 'semver']);
+  });
+});
+
+describe('checkLockfile', () => {
+  it('verifies recorded resolved versions and decided ranges', () => {
+    const lock = lockfile([installed('vitest', '3.2.0')], { vitest: '3.2.0' });
+    const decisions = [createDependencyDecision('vitest', { value: '~3.1.4', resolvedVersion: '3.1.4' })];
+
+    const { violations } = checkLockfile({ lockfile: lock, manifest: noManifest, decisions });
+
+    expect(violations.map(violation => violation.type)).toEqual(['RESOLVED_VERSION_CHANGED', 'RESOLVED_OUTSIDE_DECISION']);
+    expect(violations[0].message).toBe('vitest resolves to 3.2.0, but its decision recorded 3.1.4');
+  });
+
+  it('passes when the lockfile matches the decisions', () => {
+    const lock = lockfile([installed('vitest', '3.1.4')], { vitest: '3.1.4' });
+
+    expect(checkLockfile({ lockfile: lock, manifest: noManifest, decisions: [createDependencyDecision('vitest', { value: '^3.1.4', resolvedVersion: '3.1.4' })] }).violations).toEqual([]);
+  });
+
+  it('holds decisions to the root importer, and to the whole tree for what the root does not declare', () => {
+    const packages = [installed('vitest', '3.1.4'), installed('vitest', '3.2.0'), installed('zod', '3.23.0')];
+    const cli = { vitest: '3.2.0', zod: '3.23.0' };
+    const lock = lockfile(packages, { vitest: '3.1.4' }, { 'tools/cli': cli });
+    const decisions = [
+      createDependencyDecision('vitest', { value: '~3.1.4', resolvedVersion: '3.1.4' }),
+      createDependencyDecision('zod', { value: '~3.22.0' })
+    ];
+
+    const { violations } = checkLockfile({ lockfile: lock, manifest: noManifest, decisions });
+
+    expect(violations.map(violation => violation.message)).toEqual(['zod resolves to 3.23.0, outside its decided range ~3.22.0']);
+  });
+
+  it('flags overridden and vulnerable transitive dependencies without a decision', () => {
+    const lock = lockfile([installed('minimist', '1.2.5'), installed('semver', '7.5.4')]);
+    const manifest = overriding(['pnpm', 'overrides'], { semver: '^7.5.2' });
+    const advisories = [{ id: 'GHSA-xvch-5gv4-984h', name: 'minimist', vulnerableVersions: '<1.2.6', severity: 'critical' }];
+
+    const { violations } = checkLockfile({ lockfile: lock, manifest, decisions: [], advisories });
+
+    expect(violations.map(violation => [violation.type, violation.dependency])).toEqual([
+      ['TRANSITIVE_UNDECIDED', 'semver'],
+      ['TRANSITIVE_UNDECIDED', 'minimist']
+    ]);
+    expect(checkLockfile({ lockfile: lock, manifest, decisions: [createDependencyDecision('semver', { value: '^7.5.2' })] }).violations).toEqual([]);
+  });
+});
@@ -0,0 +1,175 @@
+import { compareVersions } from './registry.js';
+
+/**
+ * Update policies for tracked dependencies
+ *
+ * A dependency decision's `policy` table says which new versions may be taken
+ * without review:
+ *
+ *   [dependencies.typescript.policy]
+ *   update = "auto"          # "auto" accepts allowed updates; "review" (default) asks for every one
+ *   major = "review"         # "review" (default), "auto", or "ignore" to only consider the current major
+ *   range = "^"              # "^", "~" or "exact" for the proposed range; "exact" pins, so always review
+ *   prerelease = false       # consider pre-release versions (default false)
+ *   minReleaseAge = "7d"     # only versions published at least this long ago ("3d", "2w", or days)
+ *
+ * The older `type = "tag-based"` / `targetTag` policy is still honoured: the
+ * version behind the target dist-tag is accepted once it is newer.
+ */
+
+/** @typedef {'current' | 'accept' | 'review' | 'hold'} PolicyVerdict */
+
+/**
+ * @typedef {Object} PolicyResult
+ * @property {PolicyVerdict} verdict - `accept`: update without review; `review`: needs a
+ *   decision; `hold`: newer versions exist but the policy doesn't take them yet
+ * @property {string} current - Version the declared range is based on
+ * @property {string} [candidate] - Version the policy would move to
+ * @property {'major' | 'minor' | 'patch'} [change]
+ * @property {string} [proposedRange] - Declared range moved to `candidate`
+ * @property {string} reason
+ */
+
+const UPDATE_MODES = ['auto', 'review'];
+const MAJOR_MODES = ['review', 'auto', 'ignore'];
+const RANGE_STYLES = ['^', '~', 'exact'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const RANGE_PATTERN = /^(\^|~|>=|=)?v?(\d+\.\d+\.\d+(?:-[\w.-]+)?)$/;
+
+function isPrerelease(version) {
+  return /^\d+\.\d+\.\d+-/.test(version);
+}
+
+/**
+ * The part of `to` that differs from `from`
+ * @returns {'major' | 'minor' | 'patch'}
+ */
+export function classifyChange(from, to) {
+  const [fromMajor, fromMinor] = from.split('.').map(Number);
+  const [toMajor, toMinor] = to.split('.').map(Number);
+  if (toMajor !== fromMajor) return 'major';
+  if (toMinor !== fromMinor) return 'minor';
+  return 'patch';
+}
+
+/**
+ * Parse a `minReleaseAge` of `<n>d`, `<n>w` or a number of days into milliseconds
+ */
+export function parseReleaseAge(value) {
+  if (typeof value === 'number' && value >= 0) return value * DAY;
+
+  const match = /^(\d+)\s*([dw])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid minReleaseAge "${value}": expected days such as 7, "7d" or "2w"`);
+  }
+  return Number(match[1]) * (match[2] === 'w' ? 7 : 1) * DAY;
+}
+
+/**
+ * Fill in defaults and reject values the engine doesn't understand
+ * @param {Object} [policy] - A decision's `policy` table
+ */
+export function normalizePolicy(policy = {}) {
+  const normalized = {
+    update: policy.update ?? 'review',
+    major: policy.major ?? 'review',
+    range: policy.range === '=' ? 'exact' : policy.range,
+    prerelease: policy.prerelease === true,
+    minReleaseAge: policy.minReleaseAge === undefined ? 0 : parseReleaseAge(policy.minReleaseAge),
+    targetTag: policy.type === 'tag-based' ? policy.targetTag : undefined
+  };
+
+  if (!UPDATE_MODES.includes(normalized.update)) {
+    throw new Error(`Invalid policy update "${normalized.update}": expected ${UPDATE_MODES.join(', ')}`);
+  }
+  if (!MAJOR_MODES.includes(normalized.major)) {
+    throw new Error(`Invalid policy major "${normalized.major}": expected ${MAJOR_MODES.join(', ')}`);
+  }
+  if (normalized.range !== undefined && !RANGE_STYLES.includes(normalized.range)) {
+    throw new Error(`Invalid policy range "${normalized.range}": expected ${RANGE_STYLES.join(', ')}`);
+  }
+  return normalized;
+}
+
+function proposeRange(declaredOperator, rangeStyle, version) {
+  if (rangeStyle === 'exact') return version;
+  return `${rangeStyle ?? declaredOperator ?? ''}${version}`;
+}
+
+/**
+ * Decide what `policy` says about the versions available for a dependency
+ * @param {Object} input
+ * @param {string} input.range - Range declared in package.json
+ * @param {Object} input.metadata - Registry metadata: `{ distTags, versions, time }`
+ * @param {Object} [input.policy] - The decision's `policy` table
+ * @param {Date} [input.now]
+ * @returns {PolicyResult}
+ */
+export function evaluatePolicy({ range, metadata, policy, now = new Date() }) {
+  const match = RANGE_PATTERN.exec(range.trim());
+  if (!match) {
+    return { verdict: 'hold', current: range, reason: `${range} is not a single-version range the policy can reason about` };
+  }
+
+  const [, operator, current] = match;
+  const rules = normalizePolicy(policy);
+  const newer = (version) => compareVersions(version, current) > 0 ||
+    (compareVersions(version, current) === 0 && isPrerelease(current) && !isPrerelease(version));
+
+  if (rules.targetTag !== undefined) {
+    const tagged = metadata.distTags[rules.targetTag];
+    if (tagged === undefined || !newer(tagged)) {
+      return { verdict: 'current', current, reason: `the ${rules.targetTag} tag has nothing newer` };
+    }
+    return {
+      verdict: 'accept',
+      current,
+      candidate: tagged,
+      change: classifyChange(current, tagged),
+      proposedRange: proposeRange(operator, rules.range, tagged),
+      reason: `the ${rules.targetTag} tag now points to ${tagged}`
+    };
+  }
+
+  // Without pre-releases, nothing past the latest tag counts: it hasn't been released to everyone
+  const latest = metadata.distTags.latest;
+  const available = metadata.versions
+    .filter(newer)
+    .filter(version => rules.prerelease || !isPrerelease(version))
+    .filter(version => rules.prerelease || latest === undefined || compareVersions(version, latest) <= 0)
+    .filter(version => rules.major !== 'ignore' || classifyChange(current, version) !== 'major')
+    .sort(compareVersions);
+
+  if (available.length === 0) {
+    return { verdict: 'current', current, reason: 'no newer version the policy considers' };
+  }
+
+  const releasedBefore = now.getTime() - rules.minReleaseAge;
+  const released = (version) => {
+    const published = Date.parse(metadata.time?.[version] ?? '');
+    return !Number.isNaN(published) && published <= releasedBefore;
+  };
+  const old = rules.minReleaseAge === 0 ? available : available.filter(released);
+  const candidate = old[old.length - 1];
+
+  if (candidate === undefined) {
+    const newest = available[available.length - 1];
+    return { verdict: 'hold', current, candidate: newest, reason: `${newest} is younger than the minimum release age` };
+  }
+
+  const change = classifyChange(current, candidate);
+  const result = { current, candidate, change, proposedRange: proposeRange(operator, rules.range, candidate) };
+
+  if (rules.range === 'exact') {
+    return { ...result, verdict: 'review', reason: `pinned to ${current}; moving to ${candidate} needs review` };
+  }
+  if (change === 'major' && rules.major === 'review') {
+    return { ...result, verdict: 'review', reason: `${candidate} is a major update` };
+  }
+  if (rules.update === 'review') {
+    return { ...result, verdict: 'review', reason: `policy reviews every update (${change} to ${candidate})` };
+  }
+  return { ...result, verdict: 'accept', reason: `policy accepts ${change} updates` };
+}
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+
+import { classifyChange, evaluatePolicy, normalizePolicy, parseReleaseAge } from './policy.js';
+
+const now = new Date('2025-06-15T00:00:00Z');
+
+/**
+ * Registry metadata from `[version, days before now it was published]` pairs;
+ * versions without days have no known publish time
+ */
+function published(distTags, releases) {
+  const time = Object.fromEntries(releases
+    .filter(([, days]) => days !== undefined)
+    .map(([version, days]) => [version, new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString()]));
+  return { distTags, versions: releases.map(([version]) => version), time };
+}
+
+const vitest = published({ latest: '4.0.1' }, [
+  ['3.1.4', 90],
+  ['3.1.5', 40],
+  ['3.2.0', 20],
+  ['4.0.0-beta.1', 15],
+  ['4.0.0', 5],
+  ['4.0.1', 2]
+]);
+
+function check(range, policy, metadata = vitest) {
+  return evaluatePolicy({ range, metadata, policy, now });
+}
+
+describe('evaluatePolicy', () => {
+  it('reviews every update by default', () => {
+    const result = check('^3.1.4');
+
+    expect(result).toMatchObject({ verdict: 'review', candidate: '4.0.1', change: 'major', proposedRange: '^4.0.1' });
+  });
+
+  it('accepts minor and patch updates automatically but reviews majors', () => {
+    const policy = { update: 'auto', range: '^', major: 'review' };
+
+    expect(check('^3.1.4', policy))
+      .toMatchObject({ verdict: 'review', candidate: '4.0.1', reason: '4.0.1 is a major update' });
+    expect(check('^3.1.4', { ...policy, major: 'ignore' }))
+      .toMatchObject({ verdict: 'accept', candidate: '3.2.0', change: 'minor', proposedRange: '^3.2.0' });
+    expect(check('^3.1.4', { ...policy, major: 'auto' }))
+      .toMatchObject({ verdict: 'accept', candidate: '4.0.1' });
+  });
+
+  it('reports current dependencies', () => {
+    expect(check('^4.0.1').verdict).toBe('current');
+    expect(check('^3.2.0', { major: 'ignore' }).verdict).toBe('current');
+  });
+
+  it('always reviews exact pins and proposes another pin', () => {
+    const result = check('3.1.4', { update: 'auto', range: 'exact', major: 'ignore' });
+
+    expect(result).toMatchObject({ verdict: 'review', candidate: '3.2.0', proposedRange: '3.2.0' });
+  });
+
+  it('rewrites the proposed range in the policy style', () => {
+    const result = check('^3.1.4', { update: 'auto', range: '~', major: 'ignore' });
+
+    expect(result.proposedRange).toBe('~3.2.0');
+  });
+
+  it('ignores pre-releases unless the policy allows them', () => {
+    const metadata = published({ latest: '3.2.0', next: '4.0.0-beta.1' }, [['3.2.0', 20], ['4.0.0-beta.1', 15]]);
+
+    expect(check('^3.2.0', undefined, metadata).verdict).toBe('current');
+    expect(check('^3.2.0', { prerelease: true }, metadata))
+      .toMatchObject({ verdict: 'review', candidate: '4.0.0-beta.1' });
+    expect(check('^4.0.0-beta.1', { update: 'auto', major: 'auto' }))
+      .toMatchObject({ verdict: 'accept', candidate: '4.0.1', change: 'patch' });
+  });
+
+  it('waits for the minimum release age', () => {
+    const policy = { update: 'auto', major: 'auto', minReleaseAge: '7d' };
+
+    expect(check('^3.1.4', policy))
+      .toMatchObject({ verdict: 'accept', candidate: '3.2.0' });
+    expect(check('^3.2.0', policy))
+      .toMatchObject({ verdict: 'hold', candidate: '4.0.1', reason: '4.0.1 is younger than the minimum release age' });
+  });
+
+  it('holds versions without a known publish time under a minimum release age', () => {
+    const metadata = published({ latest: '3.2.0' }, [['3.1.4'], ['3.2.0']]);
+
+    expect(check('^3.1.4', { minReleaseAge: 1 }, metadata).verdict).toBe('hold');
+  });
+
+  it('accepts the version behind the target tag of a tag-based policy', () => {
+    const metadata = published({ latest: '4.0.1', stable: '3.2.0' }, [['3.1.4', 90], ['3.2.0', 20], ['4.0.1', 2]]);
+    const policy = { type: 'tag-based', targetTag: 'stable' };
+
+    expect(check('^3.1.4', policy, metadata))
+      .toMatchObject({ verdict: 'accept', candidate: '3.2.0', proposedRange: '^3.2.0' });
+    expect(check('^3.2.0', policy, metadata).verdict).toBe('current');
+  });
+
+  it('holds ranges it cannot reason about', () => {
+    expect(check('^3.0.0 || ^4.0.0').verdict).toBe('hold');
+  });
+});
+
+describe('normalizePolicy', () => {
+  it('fills in defaults', () => {
+    expect(normalizePolicy()).toMatchObject({ update: 'review', major: 'review', prerelease: false, minReleaseAge: 0 });
+    expect(normalizePolicy({ range: '=' }).range).toBe('exact');
+  });
+
+  it('rejects unknown values', () => {
+    expect(() => normalizePolicy({ update: 'always' })).toThrow('Invalid policy update "always": expected auto, review');
+    expect(() => normalizePolicy({ major: 'never' })).toThrow('Invalid policy major "never"');
+    expect(() => normalizePolicy({ range: '>=' })).toThrow('Invalid policy range ">="');
+  });
+});
+
+describe('parseReleaseAge', () => {
+  it('reads days and weeks', () => {
+    expect(parseReleaseAge(3)).toBe(3 * 24 * 60 * 60 * 1000);
+    expect(parseReleaseAge('3d')).toBe(parseReleaseAge(3));
+    expect(parseReleaseAge('2w')).toBe(parseReleaseAge(14));
+    expect(() => parseReleaseAge('3 months')).toThrow('Invalid minReleaseAge "3 months"');
+  });
+});
+
+describe('classifyChange', () => {
+  it('names the part of the version that changed', () => {
+    expect(classifyChange('3.1.4', '4.0.0')).toBe('major');
+    expect(classifyChange('3.1.4', '3.2.0')).toBe('minor');
+    expect(classifyChange('3.1.4', '3.1.5')).toBe('patch');
+  });
+});
@@ -0,0 +1,185 @@
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Registry metadata clients for dependency checks
+ *
+ * Every client has the same shape, so checks don't care where metadata comes from:
+ *
+ *   { getMetadata(name) => Promise<{ name, distTags, versions, time }> }
+ *
+ * - createHttpRegistryClient reads a live registry (npmjs.org, or a local Verdaccio)
+ * - createSnapshotRegistryClient reads a registry snapshot from disk
+ * - createCachedRegistryClient keeps metadata on disk and can serve it offline
+ */
+
+export const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+
+/** Cached metadata is refetched after a day when online */
+export const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+/** Manifest fields checked for updates, matching npm-check-updates' defaults */
+const UPDATE_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+/**
+ * Reduce a packument (full or abbreviated) or snapshot entry to the fields checks use
+ * @param {string} name
+ * @param {Object} document
+ */
+function toMetadata(name, document) {
+  const versions = Array.isArray(document.versions)
+    ? document.versions
+    : Object.keys(document.versions ?? {});
+  return { name, distTags: document['dist-tags'] ?? {}, versions, time: document.time ?? {} };
+}
+
+/**
+ * Client for a live registry
+ * @param {Object} [options]
+ * @param {string} [options.registry] - Registry URL, e.g. http://localhost:4873 for Verdaccio
+ * @param {typeof fetch} [options.fetch] - fetch implementation
+ */
+export function createHttpRegistryClient({ registry = DEFAULT_REGISTRY, fetch: fetchImpl = fetch } = {}) {
+  const base = registry.replace(/\/+$/, '');
+
+  return {
+    async getMetadata(name) {
+      const url = `${base}/${name.replace('/', '%2f')}`;
+      let response;
+      try {
+        // The full document, since only it has publish times for minimum release age policies
+        response = await fetchImpl(url, { headers: { accept: 'application/json' } });
+      } catch (error) {
+        throw new Error(`Cannot reach registry ${base} for ${name}: ${error.message}`);
+      }
+      if (!response.ok) {
+        throw new Error(`Registry ${base} returned ${response.status} for ${name}`);
+      }
+      return toMetadata(name, await response.json());
+    }
+  };
+}
+
+/**
+ * Client for a registry snapshot on disk. `path` is either a JSON file mapping
+ * package names to `{ "dist-tags", "versions", "time" }`, or a Verdaccio-style storage
+ * directory holding `<name>/package.json` packuments.
+ * @param {string} path
+ */
+export function createSnapshotRegistryClient(path) {
+  if (!existsSync(path)) {
+    throw new Error(`Registry snapshot not found: ${path}`);
+  }
+
+  const isDirectory = statSync(path).isDirectory();
+  const snapshot = isDirectory ? undefined : JSON.parse(readFileSync(path, 'utf8'));
+
+  return {
+    async getMetadata(name) {
+      if (snapshot !== undefined) {
+        const entry = snapshot[name];
+        if (!entry) throw new Error(`${name} is not in registry snapshot ${path}`);
+        return toMetadata(name, entry);
+      }
+
+      const packument = join(path, name, 'package.json');
+      if (!existsSync(packument)) throw new Error(`${name} is not in registry snapshot ${path}`);
+      return toMetadata(name, JSON.parse(readFileSync(packument, 'utf8')));
+    }
+  };
+}
+
+/**
+ * Wrap a client with an on-disk cache. Online, entries older than `ttl` are
+ * refetched, falling back to the stale entry if the registry can't be reached.
+ * Offline, only the cache is read and `client` may be omitted.
+ * @param {Object|undefined} client
+ * @param {Object} options
+ * @param {string} options.cacheDir
+ * @param {number} [options.ttl] - Milliseconds before a cached entry is refetched
+ * @param {boolean} [options.offline]
+ * @param {() => Date} [options.now]
+ */
+export function createCachedRegistryClient(client, { cacheDir, ttl = DEFAULT_CACHE_TTL, offline = false, now = () => new Date() }) {
+  const entryPath = (name) => join(cacheDir, `${encodeURIComponent(name)}.json`);
+
+  const read = (name) => {
+    const path = entryPath(name);
+    return existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : undefined;
+  };
+
+  return {
+    async getMetadata(name) {
+      const cached = read(name);
+
+      if (offline || client === undefined) {
+        if (cached === undefined) {
+          throw new Error(`No cached registry metadata for ${name} in ${cacheDir} (offline)`);
+        }
+        return cached.metadata;
+      }
+
+      if (cached !== undefined && now().getTime() - cached.fetchedAt < ttl) {
+        return cached.metadata;
+      }
+
+      let metadata;
+      try {
+        metadata = await client.getMetadata(name);
+      } catch (error) {
+        if (cached !== undefined) return cached.metadata;
+        throw error;
+      }
+
+      mkdirSync(cacheDir, { recursive: true });
+      writeFileSync(entryPath(name), JSON.stringify({ fetchedAt: now().getTime(), metadata }, null, 2));
+      return metadata;
+    }
+  };
+}
+
+/**
+ * Build the client `deps check` uses from CLI options
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Project directory; the default cache lives in its node_modules/.cache
+ * @param {boolean} [options.offline] - Never touch the network
+ * @param {string} [options.registry] - Registry URL
+ * @param {string} [options.snapshot] - Registry snapshot file or directory; implies no network
+ * @param {string} [options.cacheDir] - Cache directory
+ */
+export function createRegistryClient({ cwd = process.cwd(), offline = false, registry, snapshot, cacheDir } = {}) {
+  if (snapshot !== undefined) {
+    return createSnapshotRegistryClient(snapshot);
+  }
+
+  return createCachedRegistryClient(offline ? undefined : createHttpRegistryClient({ registry }), {
+    cacheDir: cacheDir ?? join(cwd, 'node_modules', '.cache', 'explicit-decisions', 'registry'),
+    offline
+  });
+}
+
+/**
+ * Compare two `major.minor.patch` versions, ignoring prerelease and build suffixes
+ * @returns {number} negative, zero or positive like Array.prototype.sort
+ */
+export function compareVersions(a, b) {
+  const parts = (version) => version.split(/[-+]/)[0].split('.').map(Number);
+  const [left, right] = [parts(a), parts(b)];
+  for (let i = 0; i < 3; i++) {
+    const difference = (left[i] ?? 0) - (right[i] ?? 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * The `[name, range, field]` entries of a manifest that resolve from a registry,
+ * skipping workspace, link, file and portal specifiers
+ * @param {Object} manifest - Parsed package.json
+ * @returns {Array<[string, string, string]>}
+ */
+export function registryDependencies(manifest) {
+  return UPDATE_FIELDS
+    .flatMap(field => Object.entries(manifest[field] ?? {}).map(([name, range]) => [name, range, field]))
+    .filter(([, range]) => !/^(workspace|link|file|portal):/.test(range));
+}
@@ -0,0 +1,127 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import {
+  createCachedRegistryClient,
+  createHttpRegistryClient,
+  createRegistryClient,
+  createSnapshotRegistryClient
+} from './registry.js';
+import { createFixtureClient } from './test-utils/implementations.js';
+
+/**
+ * A registry document as snapshots and registries serve it
+ */
+function packument(latest, versions) {
+  return { 'dist-tags': { latest }, versions };
+}
+
+describe('registry clients', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'tooling-registry-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads a snapshot file', async () => {
+    const snapshot = join(dir, 'registry.json');
+    writeFileSync(snapshot, JSON.stringify({ vitest: packument('3.2.0', ['3.1.4', '3.2.0']) }));
+
+    const client = createSnapshotRegistryClient(snapshot);
+
+    const { distTags, versions } = await client.getMetadata('vitest');
+    expect(distTags).toEqual({ latest: '3.2.0' });
+    expect(versions).toEqual(['3.1.4', '3.2.0']);
+    await expect(client.getMetadata('eslint')).rejects.toThrow(`eslint is not in registry snapshot ${snapshot}`);
+  });
+
+  it('reads Verdaccio-style packuments from a storage directory', async () => {
+    mkdirSync(join(dir, '@types', 'node'), { recursive: true });
+    // Registries key versions by number, with each version's manifest as the value
+    const versions = Object.fromEntries(['20.17.50', '22.15.23'].map(version => [version, {}]));
+    writeFileSync(join(dir, '@types', 'node', 'package.json'), JSON.stringify(packument('22.15.23', versions)));
+
+    const metadata = await createSnapshotRegistryClient(dir).getMetadata('@types/node');
+
+    expect(metadata.distTags).toEqual({ latest: '22.15.23' });
+    expect(metadata.versions).toEqual(['20.17.50', '22.15.23']);
+  });
+
+  it('queries a registry for package metadata', async () => {
+    const requests = [];
+    const fetch = async (url, init) => {
+      requests.push([url, init.headers.accept]);
+      return { ok: true, status: 200, json: async () => packument('8.33.0', ['8.33.0']) };
+    };
+
+    const client = createHttpRegistryClient({ registry: 'http://localhost:4873/', fetch });
+
+    expect((await client.getMetadata('@typescript-eslint/parser')).distTags.latest).toBe('8.33.0');
+    expect(requests).toEqual([['http://localhost:4873/@typescript-eslint%2fparser', 'application/json']]);
+  });
+
+  it('reports registry errors', async () => {
+    const client = createHttpRegistryClient({ fetch: async () => ({ ok: false, status: 404 }) });
+
+    await expect(client.getMetadata('missing')).rejects.toThrow('Registry https://registry.npmjs.org returned 404 for missing');
+  });
+
+  describe('cache', () => {
+    let time;
+    const now = () => new Date(time);
+
+    beforeEach(() => {
+      time = Date.parse('2025-06-01T00:00:00Z');
+    });
+
+    it('serves cached metadata until it expires', async () => {
+      const upstream = createFixtureClient({ vitest: ['3.2.0'] });
+      const client = createCachedRegistryClient(upstream, { cacheDir: dir, ttl: 1000, now });
+
+      await client.getMetadata('vitest');
+      await client.getMetadata('vitest');
+      expect(upstream.lookups).toBe(1);
+
+      time += 1001;
+      await client.getMetadata('vitest');
+      expect(upstream.lookups).toBe(2);
+    });
+
+    it('falls back to stale metadata when the registry is unreachable', async () => {
+      await createCachedRegistryClient(createFixtureClient({ vitest: ['3.2.0'] }), { cacheDir: dir, ttl: 1000, now }).getMetadata('vitest');
+      time += 5000;
+
+      const client = createCachedRegistryClient(createFixtureClient({}), { cacheDir: dir, ttl: 1000, now });
+
+      expect((await client.getMetadata('vitest')).distTags.latest).toBe('3.2.0');
+      await expect(client.getMetadata('eslint')).rejects.toThrow('registry unavailable for eslint');
+    });
+
+    it('only reads the cache offline', async () => {
+      await createCachedRegistryClient(createFixtureClient({ vitest: ['3.2.0'] }), { cacheDir: dir, now }).getMetadata('vitest');
+      const upstream = createFixtureClient({ vitest: ['4.0.0'] });
+
+      const client = createCachedRegistryClient(upstream, { cacheDir: dir, offline: true, now });
+
+      expect((await client.getMetadata('vitest')).distTags.latest).toBe('3.2.0');
+      await expect(client.getMetadata('eslint')).rejects.toThrow(`No cached registry metadata for eslint in ${dir} (offline)`);
+      expect(upstream.lookups).toBe(0);
+    });
+
+    it('is the default client, kept under node_modules/.cache', async () => {
+      const cacheDir = join(dir, 'node_modules', '.cache', 'explicit-decisions', 'registry');
+      await createCachedRegistryClient(createFixtureClient({ eslint: ['9.27.0'] }), { cacheDir, now }).getMetadata('eslint');
+
+      const client = createRegistryClient({ cwd: dir, offline: true });
+
+      expect((await client.getMetadata('eslint')).distTags.latest).toBe('9.27.0');
+    });
+  });
+});
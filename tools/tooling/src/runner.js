@@ -0,0 +1,172 @@
+import { spawn } from 'child_process';
+
+/**
+ * Structured command runner for the tooling CLIs
+ *
+ * Commands are an executable plus an argument array and never go through a
+ * shell, so package names and other input can't be interpreted as shell syntax.
+ *
+ *   const runner = createCommandRunner();
+ *   const { stdout } = await runner.run('pnpm', ['exec', 'npm-check-updates', '--jsonUpgraded'], { cwd });
+ *
+ * createFakeRunner has the same `run` and answers from canned results, for tests.
+ */
+
+/** Default time limit for a command, in milliseconds */
+export const DEFAULT_TIMEOUT = 2 * 60 * 1000;
+
+function formatCommand(command, args) {
+  return [command, ...args].join(' ');
+}
+
+/**
+ * A command that could not run or exited with a disallowed code
+ */
+export class CommandError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.command
+   * @param {string[]} details.args
+   * @param {number|null} [details.exitCode]
+   * @param {string} [details.stdout]
+   * @param {string} [details.stderr]
+   */
+  constructor(message, { command, args, exitCode = null, stdout = '', stderr = '' }) {
+    super(message);
+    this.name = 'CommandError';
+    this.command = command;
+    this.args = args;
+    this.exitCode = exitCode;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+}
+
+/**
+ * The executable was not found
+ */
+export class CommandNotFoundError extends CommandError {
+  constructor(details) {
+    super(`Command not found: ${details.command}`, details);
+    this.name = 'CommandNotFoundError';
+  }
+}
+
+/**
+ * The command was stopped after running longer than its timeout
+ */
+export class CommandTimeoutError extends CommandError {
+  constructor(details, timeout) {
+    super(`Command timed out after ${timeout}ms: ${formatCommand(details.command, details.args)}`, details);
+    this.name = 'CommandTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Turn a finished command into its result, or a CommandError when the exit code isn't allowed
+ */
+function toResult(command, args, { exitCode, stdout, stderr }, allowExitCodes) {
+  if (!allowExitCodes.includes(exitCode)) {
+    const output = stderr.trim() === '' ? '' : `\n${stderr.trim()}`;
+    throw new CommandError(
+      `Command failed with exit code ${exitCode}: ${formatCommand(command, args)}${output}`,
+      { command, args, exitCode, stdout, stderr }
+    );
+  }
+  return { exitCode, stdout, stderr };
+}
+
+/**
+ * Runner that spawns real processes
+ * @param {Object} [defaults]
+ * @param {number} [defaults.timeout] - Milliseconds before a command is stopped
+ */
+export function createCommandRunner({ timeout: defaultTimeout = DEFAULT_TIMEOUT } = {}) {
+  return {
+    /**
+     * Run `command` with `args`
+     * @param {string} command
+     * @param {string[]} [args]
+     * @param {Object} [options]
+     * @param {string} [options.cwd]
+     * @param {number} [options.timeout] - Milliseconds before the command is stopped
+     * @param {'pipe'|'inherit'} [options.stdio] - `inherit` hands the terminal to the
+     *   command (for interactive tools); its output is then not captured
+     * @param {number[]} [options.allowExitCodes] - Exit codes that count as success
+     * @returns {Promise<{ exitCode: number, stdout: string, stderr: string }>}
+     */
+    run(command, args = [], { cwd, timeout = defaultTimeout, stdio = 'pipe', allowExitCodes = [0] } = {}) {
+      return new Promise((resolve, reject) => {
+        const child = spawn(command, args, {
+          cwd,
+          shell: false,
+          stdio: stdio === 'inherit' ? 'inherit' : ['ignore', 'pipe', 'pipe']
+        });
+
+        let stdout = '';
+        let stderr = '';
+        let timedOut = false;
+        child.stdout?.on('data', chunk => { stdout += chunk; });
+        child.stderr?.on('data', chunk => { stderr += chunk; });
+
+        const timer = setTimeout(() => {
+          timedOut = true;
+          child.kill('SIGTERM');
+        }, timeout);
+
+        child.on('error', error => {
+          clearTimeout(timer);
+          const details = { command, args, stdout, stderr };
+          reject(error.code === 'ENOENT'
+            ? new CommandNotFoundError(details)
+            : new CommandError(`Cannot run ${formatCommand(command, args)}: ${error.message}`, details));
+        });
+
+        child.on('close', exitCode => {
+          clearTimeout(timer);
+          if (timedOut) {
+            reject(new CommandTimeoutError({ command, args, exitCode, stdout, stderr }, timeout));
+            return;
+          }
+          try {
+            resolve(toResult(command, args, { exitCode, stdout, stderr }, allowExitCodes));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Runner that answers from canned results instead of spawning processes.
+ * Each result matches a command whose executable and leading arguments equal
+ * `command`; the first match wins. Unmatched commands fail as not found.
+ * Every call is recorded in `calls`.
+ * @param {Array<{ command: string[], exitCode?: number, stdout?: string, stderr?: string, error?: Error }>} results
+ */
+export function createFakeRunner(results = []) {
+  const calls = [];
+
+  return {
+    calls,
+    async run(command, args = [], options = {}) {
+      calls.push({ command, args, options });
+
+      const invocation = [command, ...args];
+      const match = results.find(result => result.command.every((part, i) => invocation[i] === part));
+      if (match === undefined) {
+        throw new CommandNotFoundError({ command, args });
+      }
+      if (match.error !== undefined) {
+        throw match.error;
+      }
+
+      const finished = { exitCode: match.exitCode ?? 0, stdout: match.stdout ?? '', stderr: match.stderr ?? '' };
+      return toResult(command, args, finished, options.allowExitCodes ?? [0]);
+    }
+  };
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  CommandError,
+  CommandNotFoundError,
+  CommandTimeoutError,
+  createCommandRunner,
+  createFakeRunner
+} from './runner.js';
+
+const node = process.execPath;
+
+describe('createCommandRunner', () => {
+  const runner = createCommandRunner();
+
+  it('captures stdout and stderr', async () => {
+    const result = await runner.run(node, ['-e', 'console.log("out"); console.error("err")']);
+
+    expect(result).toEqual({ exitCode: 0, stdout: 'out\n', stderr: 'err\n' });
+  });
+
+  it('passes arguments without a shell', async () => {
+    const { stdout } = await runner.run(node, ['-e', 'console.log(process.argv[1])', '$(echo injected); rm -rf /']);
+
+    expect(stdout).toBe('$(echo injected); rm -rf /\n');
+  });
+
+  it('rejects disallowed exit codes with the captured output', async () => {
+    const failing = runner.run(node, ['-e', 'console.error("boom"); process.exit(3)']);
+
+    await expect(failing).rejects.toThrow(CommandError);
+    await expect(failing).rejects.toMatchObject({ exitCode: 3, stderr: 'boom\n' });
+    await expect(failing).rejects.toThrow(/exit code 3: .* -e .*\nboom$/);
+  });
+
+  it('accepts allowed exit codes', async () => {
+    const { exitCode } = await runner.run(node, ['-e', 'process.exit(1)'], { allowExitCodes: [0, 1] });
+
+    expect(exitCode).toBe(1);
+  });
+
+  it('stops commands that run past their timeout', async () => {
+    const slow = runner.run(node, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 100 });
+
+    await expect(slow).rejects.toThrow(CommandTimeoutError);
+    await expect(slow).rejects.toThrow('Command timed out after 100ms');
+  });
+
+  it('reports missing executables', async () => {
+    await expect(runner.run('definitely-not-a-command-xyz')).rejects.toThrow(CommandNotFoundError);
+  });
+});
+
+describe('createFakeRunner', () => {
+  it('answers from the first result whose command prefix matches and records calls', async () => {
+    const runner = createFakeRunner([
+      { command: ['pnpm', 'exec', 'npm-check-updates', '--jsonUpgraded'], stdout: '{"vitest":"^3.2.0"}' },
+      { command: ['pnpm'], stdout: 'any pnpm command' }
+    ]);
+
+    expect((await runner.run('pnpm', ['exec', 'npm-check-updates', '--jsonUpgraded'], { cwd: '/project' })).stdout)
+      .toBe('{"vitest":"^3.2.0"}');
+    expect((await runner.run('pnpm', ['install'])).stdout).toBe('any pnpm command');
+    expect(runner.calls.map(call => [call.command, ...call.args])).toEqual([
+      ['pnpm', 'exec', 'npm-check-updates', '--jsonUpgraded'],
+      ['pnpm', 'install']
+    ]);
+    expect(runner.calls[0].options).toEqual({ cwd: '/project' });
+  });
+
+  it('fails like the real runner', async () => {
+    const runner = createFakeRunner([{ command: ['npm', 'view'], exitCode: 1, stderr: 'E404' }]);
+
+    await expect(runner.run('npm', ['view', 'missing'])).rejects.toMatchObject({ name: 'CommandError', exitCode: 1 });
+    await expect(runner.run('yarn')).rejects.toThrow(CommandNotFoundError);
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * Test data shared by the tests
+ */
+
+/**
+ * package.json content for an app; empty dependency fields are left out
+ */
+export function createManifestFile(dependencies = {}, devDependencies = {}) {
+  const manifest = { name: 'app' };
+  if (Object.keys(dependencies).length > 0) manifest.dependencies = dependencies;
+  if (Object.keys(devDependencies).length > 0) manifest.devDependencies = devDependencies;
+  return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+/**
+ * A dependency decision as DependencyDecisions#list() returns it
+ */
+export function createDependencyDecision(name, fields = {}) {
+  return { name, key: name, value: '^1.0.0', reason: 'r', reviewBy: '2025-06-20', status: 'active', history: [], ...fields };
+}
@@ -0,0 +1,20 @@
+/**
+ * In-memory stand-ins for the services the tooling talks to, shared by the tests
+ */
+
+/**
+ * A registry client serving `{ name: [versions...] }`, with the last version
+ * tagged latest. Counts lookups; unknown packages fail like an unreachable registry.
+ */
+export function createFixtureClient(packages) {
+  const client = {
+    lookups: 0,
+    async getMetadata(name) {
+      client.lookups++;
+      const versions = packages[name];
+      if (versions === undefined) throw new Error(`registry unavailable for ${name}`);
+      return { name, distTags: { latest: versions[versions.length - 1] }, versions, time: {} };
+    }
+  };
+  return client;
+}
@@ -0,0 +1,159 @@
+import { addDuration, createDateString, parseDuration } from '@explicit-decisions/decisions';
+
+/**
+ * Package selection tiers (see docs/principles/PACKAGE_SELECTION.md)
+ *
+ * A dependency decision's `tier` says how much the project relies on it, and
+ * each tier says what the decision must document and how soon it must be
+ * reviewed again:
+ *
+ *   [dependencies.zod]
+ *   tier = "experimental"
+ *   removalTrigger = "Drop if the schema layer moves to JSON Schema"
+ *   reviewBy = "2025-07-01"       # experimental decisions are reviewed within 30 days
+ *
+ * Tiers can be adjusted or added in decisions.toml (or `rules.tiers` in
+ * dependency-versions.json):
+ *
+ *   [metadata.tiers]
+ *   since = "2025-06-01"          # dependencies decided from this date on count as new
+ *
+ *   [metadata.tiers.experimental]
+ *   reviewWithin = "14d"
+ *   requires = ["removalTrigger", "migrationPath"]
+ *
+ * Once `since` is set, new dependencies (decided on or after it) must also
+ * declare a tier and the platform alternative they were weighed against.
+ * Decisions made before then keep working without one.
+ */
+
+/** Fields every new dependency decision must fill in, whatever its tier */
+const NEW_DEPENDENCY_FIELDS = ['platformAlternative'];
+
+/** The tiers PACKAGE_SELECTION.md describes */
+export const DEFAULT_TIERS = {
+  essential: { requires: ['platformAlternative'], reviewWithin: '6m' },
+  justified: { requires: ['removalTrigger'], reviewWithin: '30d' },
+  convenience: { requires: ['platformAlternative', 'removalTrigger'], reviewWithin: '3m' },
+  experimental: { requires: ['removalTrigger'], reviewWithin: '30d' },
+  deprecated: { requires: ['removalDate'] }
+};
+
+const TIER_FIELDS = ['requires', 'reviewWithin'];
+
+function isTable(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeTier(name, tier) {
+  const unknown = Object.keys(tier).find(field => !TIER_FIELDS.includes(field));
+  if (unknown !== undefined) {
+    throw new Error(`Invalid tier "${name}": unknown field "${unknown}"`);
+  }
+
+  const { requires = [], reviewWithin } = tier;
+  if (!Array.isArray(requires) || requires.some(field => typeof field !== 'string')) {
+    throw new Error(`Invalid tier "${name}": requires must be a list of field names`);
+  }
+  if (reviewWithin !== undefined) {
+    try {
+      parseDuration(String(reviewWithin));
+    } catch (error) {
+      throw new Error(`Invalid tier "${name}": ${error.message}`);
+    }
+  }
+  return { requires, reviewWithin };
+}
+
+/**
+ * Merge configured tiers over the defaults and reject definitions the checker can't apply
+ * @param {Object} [config] - `[metadata.tiers]`, from DependencyDecisions#tiers()
+ * @returns {{ since?: string, tiers: Record<string, { requires: string[], reviewWithin?: string }> }}
+ */
+export function normalizeTiers(config = {}) {
+  const { since, ...configured } = config;
+  if (since !== undefined && (typeof since !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(since))) {
+    throw new Error(`Invalid tiers since "${since}": expected a date (YYYY-MM-DD)`);
+  }
+
+  const tiers = {};
+  for (const name of new Set([...Object.keys(DEFAULT_TIERS), ...Object.keys(configured)])) {
+    const tier = configured[name] ?? {};
+    if (!isTable(tier)) {
+      throw new Error(`Invalid tier "${name}": expected a table with ${TIER_FIELDS.join(', ')}`);
+    }
+    // A configured tier replaces the default field by field
+    tiers[name] = normalizeTier(name, { ...DEFAULT_TIERS[name], ...tier });
+  }
+  return { since, tiers };
+}
+
+/**
+ * The date a decision was last made or reviewed
+ */
+function lastDecided(decision) {
+  const dates = [decision.decided, ...(decision.history ?? []).map(entry => entry.at)]
+    .filter(date => typeof date === 'string');
+  return dates.sort().at(-1);
+}
+
+/**
+ * Check a dependency decision against its tier
+ * @param {Object} decision - A DependencyDecisions#list() entry
+ * @param {Object} rules - From normalizeTiers
+ * @param {Date} [now]
+ * @returns {Array<{ type: string, dependency: string, message: string }>}
+ */
+export function checkTier(decision, { since, tiers }, now = new Date()) {
+  if (decision.status === 'revoked') return [];
+
+  const { name, tier } = decision;
+  const isNew = since !== undefined && (decision.decided ?? '') >= since;
+  const violations = [];
+
+  if (tier === undefined) {
+    if (isNew) {
+      violations.push({
+        type: 'TIER_MISSING',
+        dependency: name,
+        message: `New dependency ${name} must declare a tier (${Object.keys(tiers).join(', ')})`
+      });
+    }
+  } else if (tiers[tier] === undefined) {
+    violations.push({
+      type: 'TIER_UNKNOWN',
+      dependency: name,
+      tier,
+      message: `Dependency ${name} has unknown tier "${tier}" (expected ${Object.keys(tiers).join(', ')})`
+    });
+  }
+
+  const definition = tiers[tier];
+  const required = [...new Set([...(definition?.requires ?? []), ...(isNew ? NEW_DEPENDENCY_FIELDS : [])])];
+  const missing = required.filter(field => typeof decision[field] !== 'string' || decision[field].trim() === '');
+  if (missing.length > 0) {
+    violations.push({
+      type: 'TIER_REQUIREMENT_MISSING',
+      dependency: name,
+      missing,
+      message: `Dependency ${name} (${tier ?? 'no tier'}${isNew ? ', new' : ''}) must document ${missing.join(', ')}`
+    });
+  }
+
+  if (definition?.reviewWithin !== undefined) {
+    const from = lastDecided(decision);
+    const start = from === undefined ? now : new Date(`${from}T00:00:00Z`);
+    const latest = createDateString(addDuration(start, parseDuration(definition.reviewWithin)));
+    if (decision.reviewBy > latest) {
+      violations.push({
+        type: 'TIER_REVIEW_TOO_LATE',
+        dependency: name,
+        tier,
+        message: `Dependency ${name} is ${tier}, so it must be reviewed within ${definition.reviewWithin}: ` +
+          `reviewBy ${decision.reviewBy} is after ${latest}`
+      });
+    }
+  }
+
+  return violations;
+}
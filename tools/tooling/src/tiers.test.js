@@ -0,0 +1,111 @@
+import { readdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+import { DependencyDecisions } from '@explicit-decisions/decisions/dependencies';
+import { describe, it, expect } from 'vitest';
+
+import { createDependencyDecision } from './test-utils/factories.js';
+import { checkTier, normalizeTiers } from './tiers.js';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '../../..');
+
+const now = new Date('2025-06-01T12:00:00Z');
+
+/**
+ * `[metadata.tiers]` defining or adjusting one tier
+ */
+function tierConfig(name, fields) {
+  return { [name]: fields };
+}
+
+function check(fields, config) {
+  return checkTier(createDependencyDecision('zod', fields), normalizeTiers(config), now).map(violation => violation.type);
+}
+
+describe('normalizeTiers', () => {
+  it('merges configured tiers over the defaults', () => {
+    const { since, tiers } = normalizeTiers({
+      since: '2025-06-01',
+      ...tierConfig('experimental', { reviewWithin: '14d' }),
+      ...tierConfig('vendored', { requires: ['migrationPath'] })
+    });
+
+    expect(since).toBe('2025-06-01');
+    expect(tiers.experimental).toEqual({ requires: ['removalTrigger'], reviewWithin: '14d' });
+    expect(tiers.vendored).toEqual({ requires: ['migrationPath'], reviewWithin: undefined });
+    expect(Object.keys(tiers)).toContain('essential');
+  });
+
+  it('rejects definitions it cannot apply', () => {
+    expect(() => normalizeTiers(tierConfig('experimental', { reviewWithin: 'soon' }))).toThrow('Invalid tier "experimental": Invalid duration');
+    expect(() => normalizeTiers(tierConfig('experimental', { reviewAfter: '14d' }))).toThrow('unknown field "reviewAfter"');
+    expect(() => normalizeTiers(tierConfig('experimental', { requires: 'removalTrigger' }))).toThrow('requires must be a list of field names');
+    expect(() => normalizeTiers({ experimental: '30d' })).toThrow('expected a table');
+    expect(() => normalizeTiers({ since: 'June' })).toThrow('Invalid tiers since "June"');
+  });
+});
+
+describe('checkTier', () => {
+  it('passes decisions that document what their tier requires', () => {
+    expect(check({ tier: 'experimental', removalTrigger: 'When zod 4 lands', decided: '2025-06-01' })).toEqual([]);
+    expect(check({ tier: 'essential', platformAlternative: 'Hand-written validators', reviewBy: '2025-11-01' })).toEqual([]);
+  });
+
+  it('requires the fields of the tier', () => {
+    const [violation] = checkTier(createDependencyDecision('zod', { tier: 'convenience' }), normalizeTiers(), now);
+
+    expect(violation).toMatchObject({ type: 'TIER_REQUIREMENT_MISSING', missing: ['platformAlternative', 'removalTrigger'] });
+    expect(violation.message).toBe('Dependency zod (convenience) must document platformAlternative, removalTrigger');
+  });
+
+  it('holds the review date to the tier review window', () => {
+    const late = { tier: 'experimental', removalTrigger: 't', decided: '2025-05-01', reviewBy: '2025-11-01' };
+    const [violation] = checkTier(createDependencyDecision('zod', late), normalizeTiers(), now);
+
+    expect(violation.type).toBe('TIER_REVIEW_TOO_LATE');
+    expect(violation.message).toContain('reviewBy 2025-11-01 is after 2025-05-31');
+  });
+
+  it('counts the review window from the latest renewal', () => {
+    const history = [{ action: 'renew', at: '2025-10-15', by: 'ci', reason: 'Still needed' }];
+
+    expect(check({ tier: 'experimental', removalTrigger: 't', decided: '2025-05-01', reviewBy: '2025-11-01', history })).toEqual([]);
+  });
+
+  it('rejects tiers nobody defined', () => {
+    expect(check({ tier: 'critical' })).toEqual(['TIER_UNKNOWN']);
+  });
+
+  it('requires a tier and a platform alternative of new dependencies once since is set', () => {
+    expect(check({ decided: '2025-06-01' }, { since: '2025-05-01' })).toEqual(['TIER_MISSING', 'TIER_REQUIREMENT_MISSING']);
+    expect(check({ decided: '2025-04-01' }, { since: '2025-05-01' })).toEqual([]);
+    expect(check({ decided: '2025-06-01' })).toEqual([]);
+  });
+
+  it('ignores revoked decisions', () => {
+    expect(check({ tier: 'critical', status: 'revoked' })).toEqual([]);
+  });
+});
+
+describe("the repository's decisions", () => {
+  it('document what their tiers require', async () => {
+    const decisions = new DependencyDecisions(repoRoot);
+    const rules = normalizeTiers(await decisions.tiers());
+    const violations = (await decisions.list()).flatMap(decision => checkTier(decision, rules, now));
+
+    expect(violations.map(violation => violation.message)).toEqual([]);
+  });
+
+  it('document what their tiers require in each package', async () => {
+    const rules = normalizeTiers(await new DependencyDecisions(repoRoot).tiers());
+    const packages = await readdir(join(repoRoot, 'tools'));
+
+    for (const name of packages) {
+      const decisions = await new DependencyDecisions(join(repoRoot, 'tools', name)).list();
+      const violations = decisions.flatMap(decision => checkTier(decision, rules, now));
+
+      expect(violations.map(violation => violation.message)).toEqual([]);
+    }
+  });
+});